@@ -2,6 +2,21 @@ import React, { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceDot,
+} from 'recharts';
+
+// Line colors of the strategy's ctx.plot lines
+const PLOT_COLORS = ['#f59e0b', '#10b981', '#3b82f6', '#ec4899', '#14b8a6', '#f97316', '#8b5cf6', '#84cc16'];
 
 function BacktestDetail() {
   const { id } = useParams();
@@ -64,6 +79,38 @@ function BacktestDetail() {
     : null;
   const metrics = results?.metrics || {};
   const trades = results?.trades || [];
+  const benchmark = results?.benchmark;
+  // Data quality reports of the uploaded files; only files with issues are shown
+  const qualityIssues = (results?.dataQuality || []).filter(
+    q => !q.valid || q.gaps.count > 0 || q.zeroVolumeRuns.count > 0
+  );
+  // Strategy console output and exceptions captured during the run
+  const strategyLogs = results?.logs || { count: 0, dropped: 0, items: [] };
+  const strategyErrors = results?.errors || { count: 0, items: [] };
+  const logLevelColors = { log: 'text-gray-300', info: 'text-blue-300', warn: 'text-yellow-400', error: 'text-red-400' };
+  const benchmarkByTime = new Map((benchmark?.equityCurve || []).map(p => [p.timestamp, p.equity]));
+  const equityData = (results?.equityCurve || []).map(p => ({
+    time: new Date(p.timestamp).toLocaleString(),
+    equity: p.equity,
+    benchmark: benchmarkByTime.get(p.timestamp),
+    drawdownPercent: -p.drawdownPercent,
+  }));
+  // Price chart with the strategy's ctx.plot lines, stored per equity curve point, and ctx.mark markers
+  const plots = results?.annotations?.plots || {};
+  const plotNames = Object.keys(plots);
+  const marks = results?.annotations?.marks?.items || [];
+  const priceData = (results?.equityCurve || []).map((p, i) => {
+    const point = { time: new Date(p.timestamp).toLocaleString(), ms: new Date(p.timestamp).getTime(), price: p.price };
+    for (const name of plotNames) point[`plot:${name}`] = plots[name][i];
+    return point;
+  });
+  const hasPriceChart = priceData.some(p => p.price !== undefined) || plotNames.length > 0;
+  // Markers sit on the nearest stored point, as the stored curve may be downsampled
+  const markPoints = priceData.length === 0 ? [] : marks.map((m) => {
+    const ms = new Date(m.timestamp).getTime();
+    const nearest = priceData.reduce((best, p) => (Math.abs(p.ms - ms) < Math.abs(best.ms - ms) ? p : best));
+    return { ...m, time: nearest.time };
+  });
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900">
@@ -129,9 +176,257 @@ function BacktestDetail() {
               <p className="text-xs text-gray-400 uppercase">Profit Factor</p>
               <p className="text-2xl font-bold text-white mt-1">{metrics.profitFactor?.toFixed(2) || '0.00'}</p>
             </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">CAGR</p>
+              <p className={`text-2xl font-bold mt-1 ${metrics.cagr >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {metrics.cagr?.toFixed(2) || 0}%
+              </p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Sortino Ratio</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.sortinoRatio?.toFixed(2) || '0.00'}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Calmar Ratio</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.calmarRatio?.toFixed(2) || '0.00'}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Ulcer Index</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.ulcerIndex?.toFixed(2) || '0.00'}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Exposure</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.exposurePercent?.toFixed(2) || 0}%</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Avg Bars Held</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.averageBarsHeld?.toFixed(1) || 0}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Max DD Duration</p>
+              <p className="text-2xl font-bold text-white mt-1">{metrics.maxDrawdownDuration || 0} bars</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Recovery Time</p>
+              <p className="text-2xl font-bold text-white mt-1">
+                {metrics.recoveryTime != null ? `${metrics.recoveryTime} bars` : '—'}
+              </p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Commission</p>
+              <p className="text-2xl font-bold text-red-400 mt-1">${metrics.totalCommission?.toFixed(2) || '0.00'}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Borrow Fees</p>
+              <p className="text-2xl font-bold text-red-400 mt-1">${metrics.totalBorrowFees?.toFixed(2) || '0.00'}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Swap</p>
+              <p className={`text-2xl font-bold mt-1 ${metrics.totalSwap >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                ${metrics.totalSwap?.toFixed(2) || '0.00'}
+              </p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Win Streak</p>
+              <p className="text-2xl font-bold text-green-400 mt-1">{metrics.maxWinStreak || 0}</p>
+            </div>
+            <div className="bg-gray-700 rounded p-4">
+              <p className="text-xs text-gray-400 uppercase">Loss Streak</p>
+              <p className="text-2xl font-bold text-red-400 mt-1">{metrics.maxLossStreak || 0}</p>
+            </div>
           </div>
         </div>
 
+        {/* Equity Curve */}
+        {equityData.length > 0 && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-gray-700">
+            <h2 className="text-2xl font-bold text-white mb-4">💹 Equity Curve</h2>
+            <div style={{ height: '300px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={equityData}>
+                  <XAxis dataKey="time" hide />
+                  <YAxis stroke="#9ca3af" domain={['auto', 'auto']} />
+                  <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: 'none' }} />
+                  <Legend />
+                  <Line type="monotone" dataKey="equity" name="Strategy" stroke="#a855f7" dot={false} />
+                  {benchmark && (
+                    <Line type="monotone" dataKey="benchmark" name="Benchmark" stroke="#9ca3af" dot={false} />
+                  )}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <div style={{ height: '120px' }} className="mt-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={equityData}>
+                  <XAxis dataKey="time" hide />
+                  <YAxis stroke="#9ca3af" unit="%" />
+                  <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: 'none' }} />
+                  <Area type="monotone" dataKey="drawdownPercent" name="Drawdown" stroke="#f87171" fill="#f87171" fillOpacity={0.3} />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+
+        {/* Price and Strategy Annotations */}
+        {hasPriceChart && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-gray-700">
+            <h2 className="text-2xl font-bold text-white mb-4">🕯️ Price & Strategy Plots</h2>
+            <div style={{ height: '360px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={priceData}>
+                  <XAxis dataKey="time" hide />
+                  <YAxis stroke="#9ca3af" domain={['auto', 'auto']} />
+                  <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: 'none' }} />
+                  <Legend />
+                  <Line type="monotone" dataKey="price" name="Close" stroke="#e5e7eb" dot={false} />
+                  {plotNames.map((name, i) => (
+                    <Line
+                      key={name}
+                      type="monotone"
+                      dataKey={`plot:${name}`}
+                      name={name}
+                      stroke={PLOT_COLORS[i % PLOT_COLORS.length]}
+                      dot={false}
+                      connectNulls={false}
+                    />
+                  ))}
+                  {markPoints.map((m, i) => (
+                    <ReferenceDot
+                      key={i}
+                      x={m.time}
+                      y={m.price}
+                      r={4}
+                      fill="#facc15"
+                      stroke="none"
+                      label={{ value: m.label, position: 'top', fill: '#facc15', fontSize: 11 }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            {results.annotations?.marks?.count > marks.length && (
+              <p className="text-sm text-gray-400 mt-2">Showing the first {marks.length} of {results.annotations.marks.count} markers.</p>
+            )}
+          </div>
+        )}
+
+        {/* Benchmark */}
+        {benchmark && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-gray-700">
+            <h2 className="text-2xl font-bold text-white mb-4">
+              📈 vs {benchmark.source === 'file' ? 'Benchmark' : 'Buy & Hold'}
+            </h2>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Benchmark Return</p>
+                <p className={`text-2xl font-bold mt-1 ${benchmark.metrics.benchmarkReturn >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {benchmark.metrics.benchmarkReturn.toFixed(2)}%
+                </p>
+              </div>
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Excess Return</p>
+                <p className={`text-2xl font-bold mt-1 ${benchmark.metrics.excessReturn >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {benchmark.metrics.excessReturn.toFixed(2)}%
+                </p>
+              </div>
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Alpha (ann.)</p>
+                <p className="text-2xl font-bold text-white mt-1">{benchmark.metrics.alpha.toFixed(2)}%</p>
+              </div>
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Beta</p>
+                <p className="text-2xl font-bold text-white mt-1">{benchmark.metrics.beta.toFixed(2)}</p>
+              </div>
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Correlation</p>
+                <p className="text-2xl font-bold text-white mt-1">{benchmark.metrics.correlation.toFixed(2)}</p>
+              </div>
+              <div className="bg-gray-700 rounded p-4">
+                <p className="text-xs text-gray-400 uppercase">Information Ratio</p>
+                <p className="text-2xl font-bold text-white mt-1">{benchmark.metrics.informationRatio.toFixed(2)}</p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Data Quality */}
+        {qualityIssues.length > 0 && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-gray-700">
+            <h2 className="text-2xl font-bold text-white mb-4">🧹 Data Quality</h2>
+            {qualityIssues.map((q) => (
+              <div key={q.file} className="mb-4">
+                <p className="text-white font-medium">
+                  {q.file} <span className="text-gray-400 text-sm">({q.rows} rows, {q.mode} mode)</span>
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mt-2">
+                  {[
+                    ['Skipped Rows', q.skippedRows.count],
+                    ['Duplicates', q.duplicates.count],
+                    ['Out of Order', q.outOfOrder.count],
+                    ['Bad OHLC', q.ohlcIssues.count],
+                    ['Gaps', q.gaps.count],
+                    ['Zero-Volume Runs', q.zeroVolumeRuns.count],
+                  ].map(([label, count]) => (
+                    <div key={label} className="bg-gray-700 rounded p-4">
+                      <p className="text-xs text-gray-400 uppercase">{label}</p>
+                      <p className={`text-2xl font-bold mt-1 ${count > 0 ? 'text-yellow-400' : 'text-white'}`}>{count}</p>
+                    </div>
+                  ))}
+                </div>
+                {q.repaired && (
+                  <p className="text-sm text-gray-400 mt-2">
+                    Repaired: {q.repaired.droppedRows} rows dropped{q.repaired.sorted ? ', rows sorted by time' : ''}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Strategy Errors */}
+        {strategyErrors.count > 0 && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-red-700">
+            <h2 className="text-2xl font-bold text-white mb-4">⚠️ Strategy Errors ({strategyErrors.count})</h2>
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {strategyErrors.items.map((e, i) => (
+                <div key={i} className="bg-gray-700 rounded p-3">
+                  <p className="text-red-400 font-medium">{e.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Bar {e.index ?? '-'}{e.timestamp ? ` · ${new Date(e.timestamp).toLocaleString()}` : ''}
+                  </p>
+                  {e.stack && <pre className="text-xs text-gray-300 mt-2 whitespace-pre-wrap">{e.stack}</pre>}
+                </div>
+              ))}
+            </div>
+            {strategyErrors.count > strategyErrors.items.length && (
+              <p className="text-sm text-gray-400 mt-2">Showing the first {strategyErrors.items.length} errors.</p>
+            )}
+          </div>
+        )}
+
+        {/* Strategy Log */}
+        {strategyLogs.count > 0 && (
+          <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-6 border border-gray-700">
+            <h2 className="text-2xl font-bold text-white mb-4">🪵 Strategy Log</h2>
+            <div className="bg-gray-900 rounded p-3 max-h-96 overflow-y-auto font-mono text-xs">
+              {strategyLogs.items.map((entry, i) => (
+                <div key={i} className={logLevelColors[entry.level] || 'text-gray-300'}>
+                  <span className="text-gray-500">
+                    [{entry.index ?? '-'}{entry.timestamp ? ` ${new Date(entry.timestamp).toLocaleString()}` : ''}]
+                  </span>{' '}
+                  {entry.message}
+                </div>
+              ))}
+            </div>
+            {strategyLogs.dropped > 0 && (
+              <p className="text-sm text-gray-400 mt-2">
+                {strategyLogs.dropped} of {strategyLogs.count} entries were not kept (per-run and per-bar limits).
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Trades Table */}
         <div className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700">
           <div className="flex justify-between items-center mb-4">
@@ -155,12 +450,14 @@ function BacktestDetail() {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase">Exit Price</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase">P&L</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase">P&L %</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase">MAE</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase">MFE</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-700">
                 {trades.length === 0 ? (
                   <tr>
-                    <td colSpan="8" className="px-6 py-4 text-center text-gray-400">
+                    <td colSpan="10" className="px-6 py-4 text-center text-gray-400">
                       No trades executed
                     </td>
                   </tr>
@@ -183,6 +480,12 @@ function BacktestDetail() {
                       <td className={`px-6 py-4 whitespace-nowrap text-sm font-semibold ${trade.pnlPercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                         {trade.pnlPercent.toFixed(2)}%
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-red-400">
+                        {trade.mae != null ? `$${trade.mae.toFixed(2)}` : '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-green-400">
+                        {trade.mfe != null ? `$${trade.mfe.toFixed(2)}` : '—'}
+                      </td>
                     </tr>
                   ))
                 )}
@@ -14,11 +14,15 @@ function Backtests() {
     commission: '0.001',
     slippage: '0.0005',
     initialCapital: '10000',
+    dataValidation: 'report',
+    timeframeAlignment: 'open',
     timeframes: ['1m','15m','1h'],
   });
   const [files, setFiles] = useState([]);
+  const [benchmarkFile, setBenchmarkFile] = useState(null);
   const [running, setRunning] = useState(false);
-  const availableTimeframes = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+  const [job, setJob] = useState(null);
+  const availableTimeframes = ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w', '1mo'];
 
   useEffect(() => {
     fetchData();
@@ -69,6 +73,8 @@ function Backtests() {
     formDataToSend.append('commission', formData.commission);
     formDataToSend.append('slippage', formData.slippage);
     formDataToSend.append('initialCapital', formData.initialCapital);
+    formDataToSend.append('dataValidation', formData.dataValidation);
+    formDataToSend.append('timeframeAlignment', formData.timeframeAlignment);
     // Send timeframes as JSON string (ordered)
     formDataToSend.append('timeframes', JSON.stringify(formData.timeframes || []));
 
@@ -76,20 +82,98 @@ function Backtests() {
     for (let i = 0; i < files.length; i++) {
       formDataToSend.append('dataFiles', files[i]);
     }
+    if (benchmarkFile) {
+      formDataToSend.append('benchmark', benchmarkFile);
+    }
 
     try {
       const response = await axios.post('/api/backtests/run', formDataToSend, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
-      toast.success('Backtest completed');
-      setShowRunForm(false);
-      fetchData();
-      // Navigate to backtest detail
-      window.location.href = `/backtests/${response.data.backtest.id}`;
+      // The backtest runs as a background job; follow it until it finishes
+      const finished = await waitForJob(response.data.job);
+      if (finished.status === 'completed') {
+        toast.success('Backtest completed');
+        setShowRunForm(false);
+        fetchData();
+        // Navigate to backtest detail
+        window.location.href = `/backtests/${finished.result.backtestId}`;
+      } else if (finished.status === 'cancelled') {
+        toast('Backtest cancelled');
+      } else {
+        toast.error(finished.error || 'Backtest failed');
+      }
     } catch (error) {
       toast.error(error.response?.data?.error || 'Backtest failed');
     } finally {
       setRunning(false);
+      setJob(null);
+    }
+  };
+
+  const isJobActive = (current) => current.status === 'queued' || current.status === 'running';
+
+  // Poll the job endpoint until the job completes, fails or is cancelled
+  const pollJob = async (current) => {
+    while (isJobActive(current)) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      const response = await axios.get(`/api/backtests/jobs/${current.id}`);
+      current = response.data.job;
+      setJob(current);
+    }
+    return current;
+  };
+
+  // Follow a queued backtest job's progress over the WebSocket until it completes, fails or is cancelled.
+  // If the socket can't subscribe to the job or drops before it finishes, poll the job endpoint instead;
+  // the subscription must be answered within a few seconds (under the dev server, /ws is its own socket).
+  const waitForJob = (queuedJob) => new Promise((resolve, reject) => {
+    let current = queuedJob;
+    setJob(current);
+    if (!isJobActive(current)) {
+      resolve(current);
+      return;
+    }
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws`);
+    let settled = false;
+    const settle = (fallBack) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(subscribeTimeout);
+      socket.close();
+      if (fallBack) {
+        pollJob(current).then(resolve, reject);
+      } else {
+        resolve(current);
+      }
+    };
+
+    const subscribeTimeout = setTimeout(() => settle(true), 5000);
+
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'subscribe_job', jobId: current.id }));
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'job_progress' || message.type === 'job_status') {
+        clearTimeout(subscribeTimeout);
+        current = message.job;
+        setJob(current);
+        if (!isJobActive(current)) settle(false);
+      } else if (message.type === 'error') {
+        settle(true);
+      }
+    };
+    socket.onerror = () => settle(true);
+    socket.onclose = () => settle(true);
+  });
+
+  const handleCancelJob = async () => {
+    if (!job) return;
+    try {
+      await axios.post(`/api/backtests/jobs/${job.id}/cancel`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel backtest');
     }
   };
 
@@ -194,17 +278,53 @@ function Backtests() {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Bad Data Rows</label>
+                  <select
+                    value={formData.dataValidation}
+                    onChange={(e) => setFormData({ ...formData, dataValidation: e.target.value })}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="report">Skip and report</option>
+                    <option value="strict">Reject the file (strict)</option>
+                    <option value="repair">Repair: sort, dedupe, drop</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Higher-Timeframe Bars</label>
+                  <select
+                    value={formData.timeframeAlignment}
+                    onChange={(e) => setFormData({ ...formData, timeframeAlignment: e.target.value })}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="open">From their open (looks ahead)</option>
+                    <option value="closed">Once closed</option>
+                    <option value="forming">Once closed, plus the forming bar</option>
+                  </select>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">OHLCV CSV File(s) *</label>
                   <input
                     type="file"
-                    accept=".csv"
+                    accept=".csv,.gz"
                     required
                     multiple
                     onChange={(e) => setFiles(Array.from(e.target.files))}
                     className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-300 focus:outline-none focus:ring-2 focus:ring-purple-500"
                   />
-                  <p className="text-xs text-gray-400 mt-1">Upload one CSV per selected timeframe. Files will be mapped in the order you uploaded them.</p>
+                  <p className="text-xs text-gray-400 mt-1">Upload one CSV (or .csv.gz) per selected timeframe. Files will be mapped in the order you uploaded them.</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">Benchmark CSV (optional)</label>
+                  <input
+                    type="file"
+                    accept=".csv,.gz"
+                    onChange={(e) => setBenchmarkFile(e.target.files[0] || null)}
+                    className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-300 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">Defaults to buying and holding the backtested data.</p>
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">Timeframes</label>
@@ -233,8 +353,20 @@ function Backtests() {
                 disabled={running}
                 className="w-full py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-md hover:from-purple-500 hover:to-pink-500 font-semibold disabled:opacity-60"
               >
-                {running ? '⏳ Running...' : '▶ Run Backtest'}
+                {!running && '▶ Run Backtest'}
+                {running && !job && '⏳ Uploading...'}
+                {running && job?.status === 'queued' && '⏳ Queued...'}
+                {running && job?.status === 'running' && `⏳ Running... ${job.progress.percent}% (${job.progress.trades} trades)`}
               </button>
+              {job && (job.status === 'queued' || job.status === 'running') && (
+                <button
+                  type="button"
+                  onClick={handleCancelJob}
+                  className="w-full py-2 bg-gray-700 text-gray-200 rounded-md hover:bg-gray-600"
+                >
+                  Cancel Backtest
+                </button>
+              )}
             </form>
           </div>
         )}
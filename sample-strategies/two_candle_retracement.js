@@ -6,6 +6,9 @@
  * 
  * Entry: BUY when previous candle was bullish and current candle is a pullback
  * Exit: SELL when price closes below previous candle's close
+ *
+ * Optional params `stopLossPct` / `takeProfitPct` attach bracket levels to the
+ * entry, so the engine also exits on its own when a later candle touches them.
  */
 
 module.exports = async function strategy(ctx) {
@@ -13,6 +16,7 @@ module.exports = async function strategy(ctx) {
   // ctx.index - current candle index
   // ctx.params - strategy parameters (can be customized)
   // ctx.state - persistent state object (shared across calls)
+  // ctx.position - open position (null when flat), kept up to date by the engine
   
   const currentCandle = ctx.candles[ctx.index];
   
@@ -23,17 +27,10 @@ module.exports = async function strategy(ctx) {
   
   const prevCandle = ctx.candles[ctx.index - 1];
   
-  // Initialize state if needed
-  if (!ctx.state.initialized) {
-    ctx.state.initialized = true;
-    ctx.state.position = null; // Track if we're in a position
-  }
-  
-  // Check if we're in a position
-  if (ctx.state.position) {
+  // Check if we're in a position (it may already have been closed by a stop or target)
+  if (ctx.position) {
     // Exit condition: close below previous candle's close (bearish signal)
     if (currentCandle.close < prevCandle.close) {
-      ctx.state.position = null;
       return { 
         signal: 'SELL',
         meta: { reason: 'Exit on bearish close' }
@@ -52,14 +49,14 @@ module.exports = async function strategy(ctx) {
   const currentAbovePrevOpen = currentCandle.close > prevCandle.open;
   
   if (prevWasBullish && currentIsRetracement && currentAbovePrevOpen) {
-    ctx.state.position = {
-      entryIndex: ctx.index,
-      entryPrice: currentCandle.close,
-    };
+    const stopLossPct = ctx.params?.stopLossPct;
+    const takeProfitPct = ctx.params?.takeProfitPct;
     
     return { 
       signal: 'BUY',
       size: ctx.params?.size || 1.0, // Use custom size from params or default to 1.0
+      stopLoss: stopLossPct ? currentCandle.close * (1 - stopLossPct / 100) : undefined,
+      takeProfit: takeProfitPct ? currentCandle.close * (1 + takeProfitPct / 100) : undefined,
       meta: { 
         reason: '2-candle retracement buy',
         prevClose: prevCandle.close,
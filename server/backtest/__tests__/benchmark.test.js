@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for Benchmark Comparison
+ */
+
+const { alignCloses, buyAndHoldCurve, compareToBenchmark } = require('../benchmark');
+
+describe('Benchmark comparison', () => {
+  const hour = 60 * 60 * 1000;
+  const timeline = [0, 1, 2, 3].map(i => i * hour);
+  const curve = values => values.map((equity, i) => ({ timestamp: new Date(i * hour), equity }));
+
+  test('should forward-fill closes onto the timeline', () => {
+    const candles = [
+      { timestamp: new Date(hour), close: 10 },
+      { timestamp: new Date(3 * hour), close: 12 },
+    ];
+
+    expect(alignCloses(timeline, candles)).toEqual([10, 10, 10, 12]);
+  });
+
+  test('should split capital equally across a basket', () => {
+    const a = timeline.map((ts, i) => ({ timestamp: new Date(ts), close: 10 + i }));
+    const b = timeline.map(ts => ({ timestamp: new Date(ts), close: 20 }));
+    const equity = buyAndHoldCurve(timeline, [a, b], 1000).map(p => p.equity);
+
+    expect(equity[0]).toBeCloseTo(1000, 8);
+    expect(equity[3]).toBeCloseTo(500 * 1.3 + 500, 8);
+  });
+
+  test('should report beta, correlation and excess return', () => {
+    const benchmark = curve([1000, 1010, 1000, 1020]);
+    // Twice the benchmark's moves
+    const levered = curve([1000, 1020, 999.8, 1039.796]);
+    const metrics = compareToBenchmark(levered, benchmark, 1000, 252);
+
+    expect(metrics.beta).toBeCloseTo(2, 3);
+    expect(metrics.correlation).toBeCloseTo(1, 4);
+    expect(metrics.alpha).toBeCloseTo(0, 1);
+    expect(metrics.excessReturn).toBeCloseTo(3.98 - 2, 2);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for the Trading Calendar
+ */
+
+const BacktestEngine = require('../engine');
+const { parseTimeframe, createCalendar } = require('../calendar');
+
+const HOUR = 60 * 60 * 1000;
+const utc = iso => new Date(iso).getTime();
+const iso = ms => new Date(ms).toISOString();
+
+describe('Trading calendar', () => {
+  test('should parse weekly and monthly timeframes', () => {
+    expect(parseTimeframe('15m')).toEqual({ count: 15, unit: 'm', ms: 15 * 60 * 1000 });
+    expect(parseTimeframe('1w').ms).toBe(7 * 24 * HOUR);
+    expect(parseTimeframe('3mo')).toMatchObject({ count: 3, unit: 'mo' });
+    expect(() => parseTimeframe('1y')).toThrow('Invalid timeframe');
+    expect(() => parseTimeframe('0h')).toThrow('Invalid timeframe');
+  });
+
+  test('should keep epoch-aligned UTC buckets by default', () => {
+    const calendar = createCalendar();
+    const fourHours = calendar.bucketer('4h');
+    const ts = utc('2024-03-05T13:37:00Z');
+
+    expect(fourHours(ts)).toBe(Math.floor(ts / (4 * HOUR)) * 4 * HOUR);
+    expect(iso(calendar.bucketer('1d')(ts))).toBe('2024-03-05T00:00:00.000Z');
+    // Weeks start on Monday, months on the 1st
+    expect(iso(calendar.bucketer('1w')(ts))).toBe('2024-03-04T00:00:00.000Z');
+    expect(iso(calendar.bucketer('1mo')(ts))).toBe('2024-03-01T00:00:00.000Z');
+    expect(iso(calendar.bucketer('3mo')(ts))).toBe('2024-01-01T00:00:00.000Z');
+    expect(iso(createCalendar({ weekStart: 0 }).bucketer('1w')(ts))).toBe('2024-03-03T00:00:00.000Z');
+  });
+
+  test('should close daily bars at the New York 17:00 rollover across DST changes', () => {
+    const calendar = createCalendar({ timeZone: 'America/New_York', sessionStart: '17:00' });
+    const daily = calendar.bucketer('1d');
+
+    // Winter (EST, UTC-5): the session opened at 22:00 UTC the day before
+    expect(iso(daily(utc('2024-01-10T12:00:00Z')))).toBe('2024-01-09T22:00:00.000Z');
+    expect(iso(daily(utc('2024-01-10T21:59:00Z')))).toBe('2024-01-09T22:00:00.000Z');
+    expect(iso(daily(utc('2024-01-10T22:00:00Z')))).toBe('2024-01-10T22:00:00.000Z');
+    // Summer (EDT, UTC-4): 21:00 UTC
+    expect(iso(daily(utc('2024-07-10T12:00:00Z')))).toBe('2024-07-09T21:00:00.000Z');
+    expect(calendar.tradingDay(utc('2024-07-10T21:30:00Z'))).toBe('2024-07-11');
+
+    // Sunday's 17:00 open starts Monday's session, and the week
+    const weekly = calendar.bucketer('1w');
+    expect(iso(weekly(utc('2024-01-12T15:00:00Z')))).toBe('2024-01-07T22:00:00.000Z');
+    expect(calendar.tradingDay(utc('2024-01-07T23:00:00Z'))).toBe('2024-01-08');
+
+    // Intraday bars count from the session open
+    expect(iso(calendar.bucketer('4h')(utc('2024-01-10T03:30:00Z')))).toBe('2024-01-10T02:00:00.000Z');
+  });
+
+  test('should aggregate candles on the configured trading days', () => {
+    const engine = new BacktestEngine({ timeZone: 'America/New_York', sessionStart: '17:00', timeframes: ['1h', '1d'] });
+    const candles = Array.from({ length: 48 }, (_, i) => ({
+      timestamp: new Date(utc('2024-01-09T00:00:00Z') + i * HOUR),
+      open: 100 + i,
+      high: 101 + i,
+      low: 99 + i,
+      close: 100.5 + i,
+      volume: 1,
+    }));
+
+    const daily = engine.aggregateCandles(candles, '1d');
+    expect(daily.map(c => iso(c.timestamp.getTime()))).toEqual([
+      '2024-01-08T22:00:00.000Z',
+      '2024-01-09T22:00:00.000Z',
+      '2024-01-10T22:00:00.000Z',
+    ]);
+    // 00:00-21:00 UTC, then a full 24 hours, then the last 2
+    expect(daily.map(c => c.volume)).toEqual([22, 24, 2]);
+    expect(daily[1]).toMatchObject({ open: 122, close: 145.5, high: 146, low: 121 });
+    expect(() => new BacktestEngine({ timeZone: 'Mars/Olympus' })).toThrow('Invalid time zone');
+    expect(() => new BacktestEngine({ sessionStart: '25:00' })).toThrow('Invalid session start');
+  });
+});
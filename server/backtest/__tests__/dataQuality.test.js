@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Data Quality Validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+const BacktestEngine = require('../engine');
+const { createQualityReport, describeIssues, MAX_LISTED_ISSUES, RECENT_TIMESTAMPS } = require('../dataQuality');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const ts = hours => new Date(START + hours * HOUR).toISOString();
+const row = (hours, { open = 100, high = 101, low = 99, close = 100.5, volume = 10 } = {}) =>
+  `${ts(hours)},${open},${high},${low},${close},${volume}`;
+
+describe('Data quality validation', () => {
+  let dir;
+  let messyPath;
+  let cleanPath;
+
+  // Hourly bars 0-9 with a gap (4 and 5 missing), a zero-volume run, a duplicate,
+  // an out-of-order row, inconsistent prices and unparseable rows
+  const messyRows = [
+    row(0),
+    row(1),
+    row(1, { close: 100.8 }), // Duplicate (line 4)
+    row(3, { volume: 0 }),
+    row(2), // Out of order (line 6)
+    'garbage,1,2,3,4,5', // Invalid timestamp (line 7)
+    row(6, { volume: 0 }),
+    row(7, { high: 98 }), // High below low (line 9)
+    `${ts(8)},100,101,99,abc,10`, // Invalid close (line 10)
+    row(8, { close: 102 }), // Close above high (line 11)
+    row(9),
+  ];
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-'));
+    const header = 'timestamp,open,high,low,close,volume';
+    messyPath = path.join(dir, 'messy.csv');
+    cleanPath = path.join(dir, 'clean.csv');
+    fs.writeFileSync(messyPath, [header, ...messyRows].join('\n'));
+    fs.writeFileSync(cleanPath, [header, ...Array.from({ length: 24 }, (_, i) => row(i))].join('\n'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should report every kind of issue and keep loading as before', async () => {
+    const engine = new BacktestEngine();
+    const { data, report } = await engine.loadCsv(messyPath);
+
+    // Only unparseable rows are skipped in report mode
+    expect(data).toHaveLength(9);
+    expect(report).toMatchObject({ mode: 'report', rows: 11, interval: HOUR, valid: false });
+    expect(report.skippedRows).toEqual({
+      count: 2,
+      items: [
+        { line: 7, reason: 'invalid timestamp: garbage' },
+        { line: 10, reason: 'invalid close' },
+      ],
+    });
+    expect(report.duplicates.items).toEqual([{ line: 4, timestamp: ts(1) }]);
+    expect(report.outOfOrder.items).toEqual([{ line: 6, timestamp: ts(2), after: ts(3) }]);
+    expect(report.ohlcIssues.items.map(i => [i.line, i.reason])).toEqual([
+      [9, 'high below low'],
+      [11, 'close outside high-low range'],
+    ]);
+    // 1h -> 3h (2 missing) and 3h -> 6h (4 and 5 missing)
+    expect(report.gaps).toEqual({
+      count: 2,
+      items: [
+        { from: ts(1), to: ts(3), missingBars: 1 },
+        { from: ts(3), to: ts(6), missingBars: 2 },
+      ],
+    });
+    // 3h and 6h are consecutive bars once the out-of-order 2h is set aside
+    expect(report.zeroVolumeRuns).toEqual({ count: 1, items: [{ from: ts(3), to: ts(6), bars: 2 }] });
+    expect(describeIssues(report)).toBe(
+      '2 invalid rows, 1 duplicate timestamp, 1 out-of-order row, 2 rows with inconsistent OHLC prices');
+  });
+
+  test('should reject a file with invalid rows in strict mode', async () => {
+    const engine = new BacktestEngine({ dataValidation: 'strict' });
+
+    await expect(engine.loadCsv(messyPath)).rejects.toMatchObject({
+      message: expect.stringContaining('Data quality check failed: 2 invalid rows'),
+      report: expect.objectContaining({ mode: 'strict', valid: false }),
+    });
+
+    const { data, report } = await engine.loadCsv(cleanPath);
+    expect(data).toHaveLength(24);
+    expect(report).toMatchObject({ valid: true, gaps: { count: 0 }, zeroVolumeRuns: { count: 0 } });
+  });
+
+  test('should sort, dedupe and drop bad rows in repair mode', async () => {
+    const engine = new BacktestEngine({ dataValidation: 'repair' });
+    const { data, report } = await engine.loadCsv(messyPath);
+
+    // The first row of each timestamp, in time order, without inconsistent prices
+    expect(data.map(c => c.timestamp.toISOString())).toEqual([0, 1, 2, 3, 6, 9].map(ts));
+    expect(data[1].close).toBe(100.5);
+    expect(report.repaired).toEqual({ sorted: true, candles: 6, droppedRows: 5 });
+    // Gaps are checked on the repaired series: 2h is back in place
+    expect(report.gaps.items).toEqual([
+      { from: ts(3), to: ts(6), missingBars: 2 },
+      { from: ts(6), to: ts(9), missingBars: 2 },
+    ]);
+
+    // Aggregating into a primary timeframe works on the repaired candles
+    const aggregated = new BacktestEngine({ dataValidation: 'repair', timeframes: ['1h', '4h'], primaryTimeframe: '4h' });
+    const series = await aggregated.loadSeries(messyPath);
+    expect(series['4h'].map(c => c.timestamp.toISOString())).toEqual([0, 4, 8].map(ts));
+  });
+
+  test('should count a repeat of an earlier timestamp as a duplicate', () => {
+    const report = createQualityReport('repair');
+    const candle = hours => ({ timestamp: new Date(START + hours * HOUR), open: 100, high: 101, low: 99, close: 100.5, volume: 10 });
+
+    expect([0, 2, 1, 0, 1].map((hours, i) => report.check(candle(hours), i + 2))).toEqual([true, true, true, false, false]);
+    const { duplicates, outOfOrder } = report.finish();
+    expect(duplicates.items).toEqual([{ line: 5, timestamp: ts(0) }, { line: 6, timestamp: ts(1) }]);
+    expect(outOfOrder.items).toEqual([{ line: 4, timestamp: ts(1), after: ts(2) }]);
+  });
+
+  test('should keep memory bounded while checking a long stream', () => {
+    v8.setFlagsFromString('--expose-gc');
+    const gc = vm.runInNewContext('gc');
+    const report = createQualityReport('report');
+    const minuteBar = i => ({ timestamp: new Date(START + i * 60 * 1000), open: 100, high: 101, low: 99, close: 100.5, volume: 10 });
+    const rows = 1000000;
+
+    gc();
+    const before = process.memoryUsage().heapUsed;
+    for (let i = 0; i < rows; i++) report.check(minuteBar(i), i + 2);
+    // A repeat of a recent timestamp is still a duplicate; older ones are only out of order
+    report.check(minuteBar(rows - RECENT_TIMESTAMPS / 2), rows + 2);
+    report.check(minuteBar(0), rows + 3);
+    gc();
+    const growth = process.memoryUsage().heapUsed - before;
+
+    const { duplicates, outOfOrder } = report.finish();
+    expect(duplicates.items.map(i => i.line)).toEqual([rows + 2]);
+    expect(outOfOrder.items.map(i => i.line)).toEqual([rows + 3]);
+    // Remembering every timestamp would take tens of MB
+    expect(growth).toBeLessThan(10 * 1024 * 1024);
+  });
+
+  test('should cap listed issues but count them all', () => {
+    const report = createQualityReport('report');
+    for (let i = 0; i < MAX_LISTED_ISSUES + 5; i++) report.skip(i + 2, 'missing timestamp');
+
+    const { skippedRows, interval } = report.finish();
+    expect(skippedRows.count).toBe(MAX_LISTED_ISSUES + 5);
+    expect(skippedRows.items).toHaveLength(MAX_LISTED_ISSUES);
+    expect(interval).toBeNull();
+    expect(() => createQualityReport('lenient')).toThrow('Invalid data validation mode');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Streaming Candle Ingestion
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const BacktestEngine = require('../engine');
+const { readCandleChunks, createStreamAggregator, collectCandles } = require('../dataStream');
+
+describe('Streaming candle ingestion', () => {
+  let dir;
+  let csvPath;
+  let gzPath;
+  const rows = Array.from({ length: 120 }, (_, i) => {
+    const ts = new Date(Date.UTC(2024, 0, 1) + i * 15 * 60 * 1000).toISOString();
+    const close = 100 + Math.sin(i / 4) * 5;
+    return `${ts},${close - 0.5},${close + 1},${close - 1},${close},${100 + i}`;
+  });
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+    const text = ['timestamp,open,high,low,close,volume', ...rows, 'not-a-date,1,1,1,1,1'].join('\n');
+    csvPath = path.join(dir, 'data.csv');
+    gzPath = path.join(dir, 'upload'); // Uploads are stored without an extension
+    fs.writeFileSync(csvPath, text);
+    fs.writeFileSync(gzPath, zlib.gzipSync(text));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should read plain and gzip CSVs in chunks, skipping invalid rows', async () => {
+    const chunks = [];
+    for await (const chunk of readCandleChunks(csvPath, { chunkSize: 50 })) chunks.push(chunk);
+    expect(chunks.map(c => c.length)).toEqual([50, 50, 20]);
+
+    const gzipped = [];
+    for await (const chunk of readCandleChunks(gzPath)) gzipped.push(...chunk);
+    expect(gzipped).toEqual(chunks.flat());
+  });
+
+  test('should aggregate while streaming like the in-memory aggregation', async () => {
+    const engine = new BacktestEngine();
+    const candles = await engine.loadData(gzPath);
+    const { raw, candlesByTf, count } = await collectCandles(readCandleChunks(csvPath, { chunkSize: 7 }), {
+      '1h': engine.timeframeToMs('1h'),
+      '4h': engine.timeframeToMs('4h'),
+    });
+
+    expect(raw).toBeNull();
+    expect(count).toBe(120);
+    expect(candlesByTf['1h']).toEqual(engine.aggregateCandles(candles, '1h'));
+    expect(candlesByTf['4h']).toEqual(engine.aggregateCandles(candles, '4h'));
+  });
+
+  test('should drop candles from an earlier bar', () => {
+    const aggregator = createStreamAggregator({ '1h': 60 * 60 * 1000, '4h': 4 * 60 * 60 * 1000 });
+    const candle = (iso, close) => ({ timestamp: new Date(iso), open: close, high: close, low: close, close, volume: 1 });
+    expect(aggregator.push(candle('2024-01-01T02:00:00Z', 2))).toBe(true);
+    // Late for the 1h bar though inside the current 4h bar: left out of both
+    expect(aggregator.push(candle('2024-01-01T01:00:00Z', 1))).toBe(false);
+    expect(aggregator.push(candle('2024-01-01T02:30:00Z', 3))).toBe(true);
+
+    const candlesByTf = aggregator.finish();
+    expect(candlesByTf['1h']).toHaveLength(1);
+    expect(candlesByTf['4h'][0]).toMatchObject({ open: 2, close: 3, low: 2, volume: 2 });
+  });
+
+  test('should report out-of-order rows left out while loading a primary timeframe', async () => {
+    const outOfOrderPath = path.join(dir, 'out-of-order.csv');
+    fs.writeFileSync(outOfOrderPath, [
+      'timestamp,open,high,low,close,volume',
+      '2024-01-01T00:00:00Z,1,1,1,1,1',
+      '2024-01-01T01:00:00Z,2,2,2,2,1',
+      '2024-01-01T00:30:00Z,9,9,9,9,1',
+      '2024-01-01T02:00:00Z,3,3,3,3,1',
+    ].join('\n'));
+    const engine = new BacktestEngine({ timeframes: ['1h'], primaryTimeframe: '1h' });
+
+    const { data, report } = await engine.loadCsv(outOfOrderPath, { series: true });
+
+    expect(data['1h'].map(c => c.close)).toEqual([1, 2, 3]);
+    expect(report.outOfOrder.count).toBe(1);
+    expect(report.droppedOutOfOrder).toBe(1);
+  });
+
+  test('should run a backtest from a stream on the primary timeframe', async () => {
+    const strategyCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index % 4 === 0) return { signal: ctx.position ? 'SELL' : 'BUY', size: 1 };
+        return { signal: 'HOLD' };
+      };
+    `;
+    const options = { timeframes: ['1h', '4h'], primaryTimeframe: '1h' };
+    const streamed = await new BacktestEngine(options).runStream(strategyCode, readCandleChunks(gzPath));
+
+    const engine = new BacktestEngine(options);
+    const loaded = await engine.loadSeries(csvPath);
+    expect(Object.keys(loaded)).toEqual(['1h', '4h']);
+    const inMemory = await engine.run(strategyCode, await engine.loadData(csvPath));
+
+    expect(streamed.equityCurve.length).toBe(30);
+    expect(streamed.trades).toEqual(inMemory.trades);
+    expect(streamed.finalCapital).toBeCloseTo(inMemory.finalCapital, 10);
+  });
+
+  test('should reject a primary timeframe outside the timeframes', () => {
+    expect(() => new BacktestEngine({ timeframes: ['1h'], primaryTimeframe: '4h' })).toThrow('not one of the timeframes');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Benchmark: a long backtest must scale linearly with the number of bars
+ */
+
+const BacktestEngine = require('../engine');
+
+describe('BacktestEngine benchmark', () => {
+  test('should run 500k 15m bars in seconds', async () => {
+    const bars = 500000;
+    const start = Date.UTC(2020, 0, 1);
+    const data = new Array(bars);
+    let price = 1800;
+    for (let i = 0; i < bars; i++) {
+      const next = price + Math.sin(i / 50) * 2;
+      data[i] = {
+        timestamp: new Date(start + i * 15 * 60 * 1000),
+        open: price,
+        high: Math.max(price, next) + 1,
+        low: Math.min(price, next) - 1,
+        close: next,
+        volume: 1000,
+      };
+      price = next;
+    }
+    const strategyCode = `
+      module.exports = async function strategy(ctx) {
+        const fast = ctx.ta.sma(ctx.candles, 10);
+        const slow = ctx.ta.sma(ctx.candlesByTf['4h'], 20);
+        const last = ctx.candles[ctx.candles.length - 1];
+        if (fast === null || slow === null) return { signal: 'HOLD' };
+        if (!ctx.position && fast > slow && last.close > fast) return { signal: 'BUY', size: 1 };
+        if (ctx.position && fast < slow) return { signal: 'SELL' };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    const startedAt = Date.now();
+    const results = await new BacktestEngine({ timeframes: ['15m', '4h'] }).run(strategyCode, data);
+    const elapsed = Date.now() - startedAt;
+
+    expect(results.equityCurve.length).toBe(bars);
+    expect(results.trades.length).toBeGreaterThan(0);
+    // Copying the candles so far on every bar would take hours here
+    expect(elapsed).toBeLessThan(30000);
+  }, 120000);
+});
@@ -208,6 +208,1114 @@ describe('BacktestEngine', () => {
       expect(metrics).toHaveProperty('averageWin');
       expect(metrics).toHaveProperty('averageLoss');
     });
+
+    test('should annualize Sharpe by the bar frequency', () => {
+      const equities = [10000, 10100, 10050, 10200, 10150, 10300];
+      const curveAt = (stepMs) => equities.map((equity, i) => ({ timestamp: new Date(i * stepMs), equity }));
+      const trades = [{ pnl: 300, entryIndex: 0, exitIndex: 5 }];
+
+      const daily = engine.calculateMetrics(trades, curveAt(24 * 60 * 60 * 1000), 10000);
+      const quarterHour = engine.calculateMetrics(trades, curveAt(15 * 60 * 1000), 10000);
+
+      expect(daily.sharpeRatio).toBeGreaterThan(0);
+      expect(quarterHour.sharpeRatio / daily.sharpeRatio).toBeCloseTo(Math.sqrt(96), 1);
+      expect(quarterHour.sortinoRatio).toBeGreaterThan(quarterHour.sharpeRatio);
+    });
+
+    test('should annualize by elapsed calendar time on data with market closures', () => {
+      // Two years of weekday-only daily bars, growing 21% in total
+      const day = 24 * 60 * 60 * 1000;
+      const curve = [];
+      for (let ts = Date.UTC(2022, 0, 3); ts <= Date.UTC(2024, 0, 3); ts += day) {
+        const weekday = new Date(ts).getUTCDay();
+        if (weekday !== 0 && weekday !== 6) curve.push({ timestamp: new Date(ts), equity: 10000 });
+      }
+      curve[curve.length - 1].equity = 12100;
+      const years = 730 / 365.25;
+
+      const metrics = engine.calculateMetrics([{ pnl: 2100, entryIndex: 0, exitIndex: curve.length - 1 }], curve, 10000);
+
+      expect(metrics.cagr).toBeCloseTo((Math.pow(1.21, 1 / years) - 1) * 100, 1);
+      expect(engine.getPeriodsPerYear(curve.map(p => p.timestamp.getTime()))).toBeCloseTo((curve.length - 1) / years, 6);
+      expect(engine.getPeriodsPerYear(curve.map(p => p.timestamp.getTime()))).toBeLessThan(262);
+    });
+
+    test('should measure drawdown duration, recovery, exposure and streaks', () => {
+      const hour = 60 * 60 * 1000;
+      const curve = [10000, 10200, 10000, 9800, 10100, 10300, 10250].map((equity, i) => ({
+        timestamp: new Date(i * hour),
+        equity,
+        exposure: i >= 1 && i <= 4 ? 1000 : 0,
+      }));
+      const trades = [
+        { pnl: 200, entryIndex: 0, exitIndex: 1 },
+        { pnl: -100, entryIndex: 1, exitIndex: 2 },
+        { pnl: -300, entryIndex: 2, exitIndex: 3 },
+        { pnl: 500, entryIndex: 3, exitIndex: 5 },
+      ];
+      const metrics = engine.calculateMetrics(trades, curve, 10000);
+
+      expect(metrics.maxDrawdown).toBe(400);
+      // Peak at bar 1, regained at bar 5
+      expect(metrics.maxDrawdownDuration).toBe(3);
+      expect(metrics.recoveryTime).toBe(2);
+      expect(metrics.exposurePercent).toBeCloseTo((4 / 7) * 100, 1);
+      expect(metrics.averageBarsHeld).toBe(1.25);
+      expect(metrics.maxWinStreak).toBe(1);
+      expect(metrics.maxLossStreak).toBe(2);
+      expect(metrics.ulcerIndex).toBeGreaterThan(0);
+      expect(metrics.calmarRatio).toBeGreaterThan(0);
+    });
+
+    test('should record max adverse and favorable excursion per trade', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', size: 2 };
+          if (ctx.index === 3) return { signal: 'SELL' };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+      const entry = 101 * 1.0005;
+
+      // Held through bars 1-3: lowest low 100, highest high 104
+      expect(trade.mae).toBeCloseTo((entry - 100) * 2, 6);
+      expect(trade.mfe).toBeCloseTo((104 - entry) * 2, 6);
+      expect(trade.maePercent).toBeCloseTo(((entry - 100) / entry) * 100, 6);
+    });
+  });
+
+  describe('Indicator library', () => {
+    test('should give strategies ctx.ta', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          ctx.state.sma = ctx.state.sma || [];
+          ctx.state.sma.push(ctx.ta.sma(ctx.candles, 2));
+          if (ctx.index === 4) return { signal: 'BUY', size: 1, meta: { sma: ctx.state.sma, prev: ctx.ta.ago(1).sma(ctx.candles, 2) } };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const closes = sampleData.map(c => c.close);
+      const { meta } = results.trades[0];
+
+      expect(meta.sma[0]).toBeNull();
+      expect(meta.sma[4]).toBeCloseTo((closes[3] + closes[4]) / 2, 10);
+      expect(meta.prev).toBeCloseTo((closes[2] + closes[3]) / 2, 10);
+    });
+  });
+
+  describe('Pending orders', () => {
+    test('should fill a BUY LIMIT on a later candle at the limit price', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', orderType: 'LIMIT', price: 100.5, size: 1.0 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(results.trades.length).toBe(1);
+      expect(trade.entryIndex).toBe(1);
+      expect(trade.entryPrice).toBe(100.5);
+      expect(trade.entryOrderType).toBe('LIMIT');
+      expect(trade.exitOrderType).toBe('MARKET');
+    });
+
+    test('should fill a BUY STOP once the high crosses the trigger, with slippage', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', orderType: 'STOP', price: 103.8, size: 1.0 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.entryIndex).toBe(2);
+      expect(trade.entryPrice).toBeCloseTo(103.8 * 1.0005, 8);
+      expect(trade.entryOrderType).toBe('STOP');
+    });
+
+    test('should expire resting orders after expiresAfter candles', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', orderType: 'STOP', price: 103.8, expiresAfter: 1 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.trades.length).toBe(0);
+    });
+
+    test('should expose pending orders to the strategy and support CANCEL', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'SELL', orderType: 'LIMIT', price: 200 };
+          }
+          if (ctx.index === 1 && ctx.pendingOrders.length === 1) {
+            return { signal: 'BUY', size: 1.0 };
+          }
+          if (ctx.index === 2) {
+            return { signal: 'CANCEL' };
+          }
+          if (ctx.index === 3 && ctx.pendingOrders.length === 0) {
+            return { signal: 'SELL' };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.trades.length).toBe(1);
+      expect(results.trades[0].entryIndex).toBe(1);
+      expect(results.trades[0].exitIndex).toBe(3);
+    });
+  });
+
+  describe('Stop-loss / take-profit brackets', () => {
+    test('should exit at the stop-loss when a later candle touches it', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', size: 1.0, stopLoss: 100.5 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.exitIndex).toBe(1);
+      expect(trade.exitReason).toBe('stop');
+      expect(trade.exitOrderType).toBe('STOP');
+      expect(trade.exitPrice).toBeCloseTo(100.5 * 0.9995, 8);
+    });
+
+    test('should exit at the take-profit without slippage', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', size: 1.0, takeProfit: 103.8 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.exitIndex).toBe(2);
+      expect(trade.exitReason).toBe('target');
+      expect(trade.exitPrice).toBe(103.8);
+    });
+
+    test('should assume the stop is hit first when a candle touches both levels', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', size: 1.0, stopLoss: 100.5, takeProfit: 102.5 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.trades[0].exitReason).toBe('stop');
+    });
+
+    test('should record signal and end-of-data exits and update ctx.position', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', size: 1.0, stopLoss: 100.5 };
+          }
+          if (ctx.index === 2 && !ctx.position) {
+            return { signal: 'BUY', size: 1.0 };
+          }
+          if (ctx.index === 3 && ctx.position) {
+            return { signal: 'SELL' };
+          }
+          if (ctx.index === 4) {
+            return { signal: 'BUY', size: 1.0 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.trades.map(t => t.exitReason)).toEqual(['stop', 'signal', 'end_of_data']);
+    });
+  });
+
+  describe('Intrabar fill model', () => {
+    const bracketCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) {
+          return { signal: 'BUY', size: 1.0, stopLoss: 100.5, takeProfit: 102.5 };
+        }
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should resolve stop and target in the same candle by the configured path', async () => {
+      const highFirst = new BacktestEngine({ intrabarModel: 'OHLC' });
+      const lowFirst = new BacktestEngine({ intrabarModel: 'olhc' });
+
+      const highFirstResults = await highFirst.run(bracketCode, sampleData);
+      const lowFirstResults = await lowFirst.run(bracketCode, sampleData);
+
+      expect(highFirstResults.trades[0].exitReason).toBe('target');
+      expect(lowFirstResults.trades[0].exitReason).toBe('stop');
+      expect(highFirstResults.intrabarModel).toBe('OHLC');
+      expect(lowFirstResults.intrabarModel).toBe('OLHC');
+    });
+
+    test('should default to the worst case for the position', async () => {
+      const results = await engine.run(bracketCode, sampleData);
+
+      expect(results.intrabarModel).toBe('WORST');
+      expect(results.trades[0].exitReason).toBe('stop');
+    });
+
+    test('should stop out a limit entry later in the candle that filled it', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) {
+            return { signal: 'BUY', orderType: 'LIMIT', price: 100.5, stopLoss: 100.2 };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.entryIndex).toBe(1);
+      expect(trade.exitIndex).toBe(1);
+      expect(trade.exitReason).toBe('stop');
+    });
+
+    test('should reject unknown intrabar models', () => {
+      expect(() => new BacktestEngine({ intrabarModel: 'RANDOM' })).toThrow('Invalid intrabar model');
+    });
+  });
+
+  describe('Position sizing', () => {
+    const entryCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) {
+          return { signal: 'BUY', size: 3, stopLoss: 96 };
+        }
+        return { signal: 'HOLD' };
+      };
+    `;
+    const entryPrice = 101 * 1.0005;
+
+    test('should use the signal size by default', async () => {
+      const results = await engine.run(entryCode, sampleData);
+
+      expect(results.trades[0].size).toBe(3);
+      expect(results.sizing).toEqual({ mode: 'signal', value: null });
+    });
+
+    test('should size fixed units and fixed notional', async () => {
+      const units = new BacktestEngine({ sizingMode: 'units', sizingValue: 5 });
+      const notional = new BacktestEngine({ sizingMode: 'notional', sizingValue: 2000 });
+
+      expect((await units.run(entryCode, sampleData)).trades[0].size).toBe(5);
+      expect((await notional.run(entryCode, sampleData)).trades[0].size).toBeCloseTo(2000 / entryPrice, 8);
+    });
+
+    test('should size a percentage of equity and cap it at available capital', async () => {
+      const half = new BacktestEngine({ sizingMode: 'percentEquity', sizingValue: 50, initialCapital: 10000 });
+      const all = new BacktestEngine({ sizingMode: 'percentEquity', sizingValue: 100, initialCapital: 10000 });
+
+      expect((await half.run(entryCode, sampleData)).trades[0].size).toBeCloseTo(5000 / entryPrice, 8);
+      expect((await all.run(entryCode, sampleData)).trades[0].size).toBeCloseTo(10000 / (entryPrice * 1.001), 8);
+    });
+
+    test('should size fixed-fractional risk from the stop distance', async () => {
+      const risk = new BacktestEngine({ sizingMode: 'riskPercent', sizingValue: 1, initialCapital: 10000 });
+      const noStopCode = entryCode.replace(', stopLoss: 96', '');
+
+      const results = await risk.run(entryCode, sampleData);
+      const noStopResults = await risk.run(noStopCode, sampleData);
+
+      expect(results.trades[0].size).toBeCloseTo(100 / (entryPrice - 96), 8);
+      expect(noStopResults.trades.length).toBe(0);
+    });
+
+    test('should reject invalid sizing options', () => {
+      expect(() => new BacktestEngine({ sizingMode: 'kelly', sizingValue: 1 })).toThrow('Invalid sizing mode');
+      expect(() => new BacktestEngine({ sizingMode: 'units' })).toThrow('requires a positive sizingValue');
+    });
+  });
+
+  describe('Pyramiding and lots', () => {
+    const scaleCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) return { signal: 'BUY', size: 1 };
+        if (ctx.index === 1) return { signal: 'BUY', size: 2 };
+        if (ctx.index === 2) return { signal: 'BUY', size: 4 };
+        if (ctx.index === 3) return { signal: 'SELL', size: 1.5 };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should ignore entries beyond the pyramiding limit', async () => {
+      const results = await engine.run(scaleCode, sampleData);
+
+      // Default limit of 1: only the first BUY opens, the SELL scales out 1.5 of 1 unit
+      expect(results.trades.length).toBe(1);
+      expect(results.trades[0].size).toBe(1);
+      expect(results.trades[0].exitIndex).toBe(3);
+    });
+
+    test('should scale in and scale out lots in FIFO order', async () => {
+      const fifo = new BacktestEngine({ pyramiding: 2 });
+      const results = await fifo.run(scaleCode, sampleData);
+
+      expect(results.trades.map(t => [t.entryIndex, t.size, t.exitIndex, t.exitReason])).toEqual([
+        [0, 1, 3, 'signal'],
+        [1, 0.5, 3, 'signal'],
+        [1, 1.5, 4, 'end_of_data'],
+      ]);
+      expect(results.trades[1].entryPrice).toBeCloseTo(102 * 1.0005, 8);
+    });
+
+    test('should scale out lots in LIFO order', async () => {
+      const lifo = new BacktestEngine({ pyramiding: 2, lotAccounting: 'LIFO' });
+      const results = await lifo.run(scaleCode, sampleData);
+
+      expect(results.trades.map(t => [t.entryIndex, t.size, t.exitIndex])).toEqual([
+        [1, 1.5, 3],
+        [1, 0.5, 4],
+        [0, 1, 4],
+      ]);
+    });
+
+    test('should expose lots and average entry price on ctx.position', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index < 2) return { signal: 'BUY', size: 1 };
+          const p = ctx.position;
+          if (ctx.index === 2 && p.lots.length === 2 && p.size === 2 && p.entryPrice > p.lots[0].entryPrice) {
+            return { signal: 'SELL' };
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+      const results = await new BacktestEngine({ pyramiding: 3 }).run(strategyCode, sampleData);
+
+      expect(results.trades.length).toBe(2);
+      expect(results.trades.every(t => t.exitIndex === 2)).toBe(true);
+    });
+
+    test('should close only the lot whose stop-loss is hit', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', size: 1, stopLoss: 100.5 };
+          if (ctx.index === 1) return { signal: 'BUY', size: 1 };
+          return { signal: 'HOLD' };
+        };
+      `;
+      const results = await new BacktestEngine({ pyramiding: 2 }).run(strategyCode, sampleData);
+
+      expect(results.trades.map(t => [t.lotId, t.exitReason])).toEqual([[1, 'stop'], [2, 'end_of_data']]);
+    });
+
+    test('should account short P&L and capital consistently', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'SELL', size: 1 };
+          if (ctx.index === 3) return { signal: 'BUY' };
+          return { signal: 'HOLD' };
+        };
+      `;
+      const results = await engine.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+      const entry = 101 * 0.9995;
+      const exit = 102.5 * 1.0005;
+
+      expect(trade.side).toBe('SHORT');
+      expect(trade.pnl).toBeCloseTo((entry - exit) - entry * 0.001 - exit * 0.001, 8);
+      expect(results.finalCapital).toBeCloseTo(10000 + trade.pnl, 8);
+    });
+  });
+
+  describe('Commission models', () => {
+    test('should charge the maker rate on limit fills and the taker rate on market fills', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', orderType: 'LIMIT', price: 100.5, size: 1.0 };
+          return { signal: 'HOLD' };
+        };
+      `;
+      const makerTaker = new BacktestEngine({ slippage: 0, commission: { type: 'makerTaker', maker: 0.0002, taker: 0.001 } });
+      const results = await makerTaker.run(strategyCode, sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.commission).toBeCloseTo(100.5 * 0.0002 + trade.exitPrice * 0.001, 10);
+      expect(trade.pnl).toBeCloseTo(trade.exitPrice - 100.5 - trade.commission, 10);
+      expect(results.metrics.totalCommission).toBeCloseTo(trade.commission, 2);
+    });
+
+    test('should charge a per-order fee once for an exit that closes several lots', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', size: 1 };
+          if (ctx.index === 1) return { signal: 'BUY', size: 2 };
+          if (ctx.index === 2) return { signal: 'SELL', size: 3 };
+          return { signal: 'HOLD' };
+        };
+      `;
+      const perOrder = new BacktestEngine({ slippage: 0, pyramiding: 2, commission: { type: 'perOrder', amount: 3 } });
+      const results = await perOrder.run(strategyCode, sampleData);
+
+      // Two entries plus one exit order, split 1:2 across the lots
+      expect(results.trades.map(t => t.commission)).toEqual([3 + 1, 3 + 2]);
+      expect(results.metrics.totalCommission).toBe(9);
+    });
+
+    test('should reject an invalid commission model', () => {
+      expect(() => new BacktestEngine({ commission: { type: 'perUnit' } })).toThrow('non-negative rate');
+    });
+  });
+
+  describe('Slippage models and volume cap', () => {
+    const buyCode = (size) => `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) return { signal: 'BUY', size: ${size} };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should fill market orders a fixed number of ticks away', async () => {
+      const ticks = new BacktestEngine({ commission: 0, slippage: { type: 'ticks', ticks: 2, tickSize: 0.05 } });
+      const results = await ticks.run(buyCode(1), sampleData);
+      const trade = results.trades[0];
+
+      expect(trade.entryPrice).toBeCloseTo(101.1, 10);
+      expect(trade.exitPrice).toBeCloseTo(sampleData[sampleData.length - 1].close - 0.1, 10);
+    });
+
+    test('should charge square-root impact on the order share of candle volume', async () => {
+      const impact = new BacktestEngine({ commission: 0, slippage: { type: 'sqrtImpact', coefficient: 0.1 } });
+      const results = await impact.run(buyCode(10), sampleData);
+
+      // 10 units of a 1000 volume candle: 0.1 * sqrt(0.01) = 1% of price
+      expect(results.trades[0].entryPrice).toBeCloseTo(101 * 1.01, 10);
+    });
+
+    test('should reject or partially fill orders over the volume cap', async () => {
+      const reject = new BacktestEngine({ maxVolumeShare: 0.01 });
+      const rejected = await reject.run(buyCode(15), sampleData);
+      expect(rejected.trades.length).toBe(0);
+      expect(rejected.volumeCap).toEqual({ maxVolumeShare: 0.01, mode: 'reject', rejected: 1, partial: 0 });
+
+      const partial = new BacktestEngine({ maxVolumeShare: 0.01, volumeCapMode: 'partial' });
+      const filled = await partial.run(buyCode(15), sampleData);
+      expect(filled.trades[0].size).toBe(10);
+      expect(filled.volumeCap.partial).toBe(1);
+    });
+  });
+
+  describe('Holding costs', () => {
+    // Three daily candles at noon UTC
+    const dailyData = [100, 110, 120].map((close, i) => ({
+      timestamp: new Date(Date.UTC(2024, 0, 1 + i, 12)),
+      open: close,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 1000,
+    }));
+    const holdCode = (side, exitSide) => `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) return { signal: '${side}', size: 2 };
+        if (ctx.index === 2) return { signal: '${exitSide}' };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should accrue short borrow fees for the time held', async () => {
+      const engine = new BacktestEngine({ commission: 0, slippage: 0, borrowRate: 0.365 });
+      const results = await engine.run(holdCode('SELL', 'BUY'), dailyData);
+      const trade = results.trades[0];
+
+      // Filled at the first close: one day at 110, one day at 120, each at 0.1% per day on 2 units
+      expect(trade.borrowFees).toBeCloseTo(2 * 110 * 0.001 + 2 * 120 * 0.001, 8);
+      expect(trade.pnl).toBeCloseTo(-2 * 20 - trade.borrowFees, 8);
+      expect(results.finalCapital).toBeCloseTo(10000 + trade.pnl, 8);
+      expect(results.metrics.totalBorrowFees).toBeCloseTo(trade.borrowFees, 2);
+    });
+
+    test('should apply swap at each rollover crossed', async () => {
+      const engine = new BacktestEngine({ commission: 0, slippage: 0, swapLong: -0.001, swapShort: 0.0005 });
+      const long = await engine.run(holdCode('BUY', 'SELL'), dailyData);
+
+      expect(long.trades[0].swap).toBeCloseTo(-0.001 * 2 * (110 + 120), 8);
+      expect(long.trades[0].borrowFees).toBe(0);
+      expect(long.trades[0].pnl).toBeCloseTo(2 * 20 + long.trades[0].swap, 8);
+
+      const short = await engine.run(holdCode('SELL', 'BUY'), dailyData);
+      expect(short.trades[0].swap).toBeCloseTo(0.0005 * 2 * (110 + 120), 8);
+      expect(short.metrics.totalSwap).toBeCloseTo(short.trades[0].swap, 2);
+    });
+
+    test('should honour the rollover time and triple swap day', async () => {
+      // Rollover at 22:00 UTC; 2024-01-03 is a Wednesday
+      const engine = new BacktestEngine({
+        commission: 0, slippage: 0, swapLong: -0.001, rolloverTime: '22:00', tripleSwapDay: 3,
+      });
+      const results = await engine.run(holdCode('BUY', 'SELL'), dailyData.map((c, i) => ({
+        ...c,
+        timestamp: new Date(Date.UTC(2024, 0, 2 + i, 12)),
+      })));
+
+      // Held from Wednesday noon: Wednesday night counts three times at 110, Thursday night once at 120
+      expect(results.trades[0].swap).toBeCloseTo(-0.001 * 2 * (3 * 110 + 120), 8);
+      expect(() => new BacktestEngine({ rolloverTime: '25:00' })).toThrow('Invalid rollover time');
+    });
+
+    // Hourly candles from 19:00 UTC; held from the first close (20:00) to the third (22:00)
+    const eveningData = (day) => [100, 110, 120].map((close, i) => ({
+      timestamp: new Date(Date.UTC(2024, 2, day, 19 + i)),
+      open: close,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 1000,
+    }));
+
+    test('should evaluate the rollover time in the configured time zone', async () => {
+      const engine = new BacktestEngine({
+        commission: 0, slippage: 0, swapLong: -0.001, timeZone: 'America/New_York', rolloverTime: '17:00',
+      });
+
+      // 17:00 New York is 22:00 UTC on Friday 2024-03-08, crossed during the last bar (close 120)
+      const winter = await engine.run(holdCode('BUY', 'SELL'), eveningData(8));
+      expect(winter.trades[0].swap).toBeCloseTo(-0.001 * 2 * 120, 8);
+
+      // After the change to daylight saving time on 2024-03-10 it is 21:00 UTC, crossed a bar earlier
+      const summer = await engine.run(holdCode('BUY', 'SELL'), eveningData(11));
+      expect(summer.trades[0].swap).toBeCloseTo(-0.001 * 2 * 110, 8);
+    });
+
+    test('should only charge swap on positions held across the rollover', async () => {
+      const engine = new BacktestEngine({ commission: 0, slippage: 0, swapLong: -0.001, rolloverTime: '21:00' });
+      const entryCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === ctx.params.entry) return { signal: 'BUY', size: 2 };
+          if (ctx.index === 2) return { signal: 'SELL' };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      // Bought at the 21:00 close, on the rollover itself: nothing to charge
+      const late = await engine.run(entryCode, eveningData(11), { entry: 1 });
+      expect(late.trades[0].swap).toBe(0);
+
+      const early = await engine.run(entryCode, eveningData(11), { entry: 0 });
+      expect(early.trades[0].swap).toBeCloseTo(-0.001 * 2 * 110, 8);
+    });
+  });
+
+  describe('Margin and liquidation', () => {
+    const candle = (hour, open, high, low, close) => ({
+      timestamp: new Date(Date.UTC(2024, 0, 1, hour)), open, high, low, close, volume: 1000,
+    });
+    const buyCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) return { signal: 'BUY', size: ctx.params.size };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should open positions larger than capital with leverage', async () => {
+      const leveraged = new BacktestEngine({ commission: 0, slippage: 0, leverage: 10 });
+      const results = await leveraged.run(buyCode, sampleData, { size: 500 });
+
+      expect(results.trades.length).toBe(1);
+      expect(results.equityCurve[0].marginUsed).toBeCloseTo(500 * 101 * 0.1, 6);
+      expect(results.equityCurve[0].cash).toBeCloseTo(10000 - 500 * 101 * 0.1, 6);
+      expect(results.trades[0].pnl).toBeCloseTo(500 * (103.5 - 101), 6);
+      expect(results.finalCapital).toBeCloseTo(10000 + results.trades[0].pnl, 6);
+
+      const cashOnly = new BacktestEngine({ commission: 0, slippage: 0 });
+      expect((await cashOnly.run(buyCode, sampleData, { size: 500 })).trades.length).toBe(0);
+    });
+
+    test('should liquidate when equity falls below maintenance margin', async () => {
+      // 900 units at 100 on 10% margin: equity 900p - 80000 meets 5% maintenance (45p) at p = 80000 / 855
+      const leveraged = new BacktestEngine({ commission: 0, slippage: 0, leverage: 10, maintenanceMargin: 0.05 });
+      const data = [candle(0, 100, 100, 100, 100), candle(1, 99, 100, 90, 95), candle(2, 95, 96, 94, 95)];
+      const results = await leveraged.run(buyCode, data, { size: 900 });
+      const trade = results.trades[0];
+      const level = 80000 / 855;
+
+      expect(trade.exitReason).toBe('liquidation');
+      expect(trade.exitIndex).toBe(1);
+      expect(trade.exitPrice).toBeCloseTo(level, 6);
+      expect(results.finalCapital).toBeCloseTo(0.05 * 900 * level, 6);
+      expect(results.metrics.liquidations).toBe(1);
+    });
+
+    test('should liquidate at the open when the candle gaps through the level', async () => {
+      const leveraged = new BacktestEngine({ commission: 0, slippage: 0, leverage: 10, maintenanceMargin: 0.05 });
+      const data = [candle(0, 100, 100, 100, 100), candle(1, 92, 93, 90, 91)];
+      const results = await leveraged.run(buyCode, data, { size: 900 });
+
+      expect(results.trades[0].exitReason).toBe('liquidation');
+      expect(results.trades[0].exitPrice).toBe(92);
+    });
+
+    test('should reject invalid margin settings', () => {
+      expect(() => new BacktestEngine({ leverage: 0.5 })).toThrow('Invalid leverage');
+      expect(() => new BacktestEngine({ leverage: 10, maintenanceMargin: 0.2 })).toThrow('Invalid maintenance margin');
+    });
+  });
+
+  describe('Portfolio backtests', () => {
+    let otherData;
+
+    beforeEach(() => {
+      // Second symbol trades at half the price and only every other hour
+      otherData = sampleData
+        .filter((c, i) => i % 2 === 1)
+        .map(c => ({ ...c, open: c.open / 2, high: c.high / 2, low: c.low / 2, close: c.close / 2 }));
+    });
+
+    test('should step through every timestamp and trade each symbol', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          const signals = [];
+          for (const symbol of Object.keys(ctx.symbols)) {
+            const s = ctx.symbols[symbol];
+            if (s.updated && !s.position) signals.push({ symbol, signal: 'BUY', size: 1 });
+          }
+          return signals;
+        };
+      `;
+
+      const results = await engine.runPortfolio(strategyCode, { AAA: sampleData, BBB: otherData });
+
+      expect(results.symbols).toEqual(['AAA', 'BBB']);
+      expect(results.trades.map(t => [t.symbol, t.entryIndex, t.exitIndex])).toEqual([
+        ['AAA', 0, 4],
+        ['BBB', 0, 1],
+      ]);
+      expect(results.trades[1].entryPrice).toBeCloseTo(51 * 1.0005, 8);
+      expect(results.perSymbol.AAA.metrics.totalTrades).toBe(1);
+      expect(results.perSymbol.BBB.metrics.totalTrades).toBe(1);
+      expect(results.metrics.totalTrades).toBe(2);
+    });
+
+    test('should share one capital pool across symbols', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 1) {
+            return [
+              { symbol: 'AAA', signal: 'BUY', size: 1 },
+              { symbol: 'BBB', signal: 'BUY', size: 1 },
+            ];
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+      const smallAccount = new BacktestEngine({ initialCapital: 150 });
+
+      const results = await smallAccount.runPortfolio(strategyCode, { AAA: sampleData, BBB: otherData });
+
+      expect(results.trades.map(t => t.symbol)).toEqual(['AAA']);
+    });
+
+    test('should compute per-symbol metrics from each symbol\'s own equity', async () => {
+      const feeFree = new BacktestEngine({ commission: 0, slippage: 0 });
+      const bar = (hour, close) => ({
+        timestamp: new Date(Date.UTC(2024, 0, 1, hour)), open: close, high: close, low: close, close, volume: 1000,
+      });
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return [{ symbol: 'AAA', signal: 'BUY', size: 10 }, { symbol: 'BBB', signal: 'BUY', size: 10 }];
+          return { signal: 'HOLD' };
+        };
+      `;
+      const data = {
+        AAA: [bar(0, 100), bar(1, 80), bar(2, 120), bar(3, 120)],
+        BBB: [bar(0, 50), bar(1, 50), bar(2, 50), bar(3, 50)],
+      };
+
+      const results = await feeFree.runPortfolio(strategyCode, data);
+
+      // AAA falls from 100 to 80 with 10 units held; both are held until the end-of-data exit on the last bar
+      expect(results.perSymbol.AAA.metrics).toMatchObject({ maxDrawdown: 200, netPnL: 200, exposurePercent: 75 });
+      expect(results.perSymbol.BBB.metrics).toMatchObject({ maxDrawdown: 0, netPnL: 0, exposurePercent: 75 });
+      expect(results.perSymbol.AAA.metrics.sharpeRatio).not.toBe(0);
+      expect(results.metrics.maxDrawdown).toBe(200);
+    });
+
+    test('should ignore signals for unknown symbols', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          return { symbol: 'ZZZ', signal: 'BUY', size: 1 };
+        };
+      `;
+
+      const results = await engine.runPortfolio(strategyCode, { AAA: sampleData });
+
+      expect(results.trades.length).toBe(0);
+    });
+  });
+
+  describe('Equity curve', () => {
+    test('should record equity, cash, exposure and drawdown for every bar', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 1) return { signal: 'BUY', size: 10 };
+          if (ctx.index === 3) return { signal: 'SELL' };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const curve = results.equityCurve;
+      const entry = 102 * 1.0005;
+
+      expect(curve.length).toBe(sampleData.length);
+      expect(curve[0]).toMatchObject({ equity: 10000, cash: 10000, exposure: 0, drawdown: 0 });
+      // Holding 10 units bought at bar 1, marked at the close
+      expect(curve[1].cash).toBeCloseTo(10000 - entry * 10 * 1.001, 6);
+      expect(curve[2].exposure).toBeCloseTo(1030, 6);
+      expect(curve[2].equity).toBeCloseTo(curve[2].cash + 1030, 6);
+      // Close drops from 103 to 102.5 before the exit
+      expect(curve[3].drawdown).toBeGreaterThan(0);
+      expect(curve[4].equity).toBeCloseTo(results.finalCapital, 6);
+      expect(results.metrics.maxDrawdown).toBeCloseTo(Math.max(...curve.map(p => p.drawdown)), 2);
+    });
+
+    test('should end at the final capital after closing positions at end of data', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', size: 10 };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+      const last = results.equityCurve[results.equityCurve.length - 1];
+
+      expect(last.equity).toBeCloseTo(results.finalCapital, 6);
+      expect(last.exposure).toBe(0);
+    });
+  });
+
+  describe('Trading sessions', () => {
+    const strategyCode = `
+      module.exports = async function strategy(ctx) {
+        ctx.state.sessions = ctx.state.sessions || [];
+        ctx.state.sessions.push(ctx.session.active);
+        if (ctx.index === 1) return { signal: 'BUY', size: 1, meta: { sessions: ctx.state.sessions.slice() } };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should give strategies ctx.session', async () => {
+      const results = await engine.run(strategyCode, sampleData);
+
+      // Monday 00:00-01:00 UTC is Tokyo morning
+      expect(results.trades[0].meta.sessions).toEqual([['asia'], ['asia']]);
+      expect(results.sessionFilter).toEqual({ tradingSessions: [], blocked: 0 });
+    });
+
+    test('should block strategy orders outside the trading sessions', async () => {
+      const londonOnly = new BacktestEngine({ tradingSessions: ['london'] });
+      const results = await londonOnly.run(strategyCode, sampleData);
+
+      expect(results.trades).toHaveLength(0);
+      expect(results.sessionFilter).toEqual({ tradingSessions: ['london'], blocked: 1 });
+      expect(() => new BacktestEngine({ tradingSessions: ['frankfurt'] })).toThrow('Unknown trading session');
+    });
+
+    test('should only fill resting orders inside the trading sessions', async () => {
+      const deskHours = new BacktestEngine({
+        sessions: { desk: { timeZone: 'UTC', open: '08:00', close: '09:00' } },
+        tradingSessions: ['desk'],
+      });
+      const candle = (iso, open, low) => ({ timestamp: new Date(iso), open, high: open + 1, low, close: open, volume: 1000 });
+      const data = [
+        candle('2024-01-01T08:00:00Z', 100, 99),
+        // Both reach the limit price outside desk hours
+        candle('2024-01-01T09:00:00Z', 100, 90),
+        candle('2024-01-01T10:00:00Z', 100, 90),
+        candle('2024-01-02T08:00:00Z', 96, 94),
+      ];
+      const limitCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) return { signal: 'BUY', orderType: 'LIMIT', price: 95, size: 1 };
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await deskHours.run(limitCode, data);
+
+      expect(results.trades).toHaveLength(1);
+      expect(results.trades[0].entryIndex).toBe(3);
+      expect(results.trades[0].entryPrice).toBe(95);
+    });
+  });
+
+  describe('Higher-timeframe alignment', () => {
+    // Eight 15m candles over two hours, closing at 100, 101, ... 107
+    const quarterHours = Array.from({ length: 8 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2024, 0, 1, 0, i * 15)),
+      open: 100 + i - 0.5,
+      high: 100 + i + 1,
+      low: 100 + i - 1,
+      close: 100 + i,
+      volume: 10,
+    }));
+    const strategyCode = `
+      module.exports = async function strategy(ctx) {
+        const hours = ctx.candlesByTf['1h'];
+        ctx.state.seen = ctx.state.seen || [];
+        ctx.state.seen.push(hours.length > 0 ? hours[hours.length - 1].close : null);
+        ctx.state.forming = ctx.state.forming || [];
+        ctx.state.forming.push(ctx.formingByTf['1h'] || null);
+        if (ctx.index === ctx.candles.length - 1) {
+          return { signal: 'BUY', size: 1, meta: { seen: ctx.state.seen, forming: ctx.state.forming } };
+        }
+        return { signal: 'HOLD' };
+      };
+    `;
+    const runWith = async (timeframeAlignment) => {
+      const tfEngine = new BacktestEngine({ timeframes: ['15m', '1h'], primaryTimeframe: '15m', timeframeAlignment });
+      const results = await tfEngine.run(strategyCode, quarterHours);
+      return { results, meta: results.trades[0].meta };
+    };
+
+    test('should expose higher-timeframe bars from their open by default, looking ahead', async () => {
+      const { results, meta } = await runWith(undefined);
+
+      // The 00:00 bar's close (103, at 00:45) is already visible on the 00:00 candle
+      expect(meta.seen).toEqual([103, 103, 103, 103, 107, 107, 107, 107]);
+      expect(results.timeframeAlignment).toBe('open');
+    });
+
+    test('should only expose higher-timeframe bars once they have closed', async () => {
+      const { meta } = await runWith('closed');
+
+      // The 00:00 bar appears on its last 15m candle; the final bar may be incomplete, so it stays hidden
+      expect(meta.seen).toEqual([null, null, null, 103, 103, 103, 103, 103]);
+      expect(meta.forming.every(bar => bar === null)).toBe(true);
+    });
+
+    test('should expose the forming bar built from the candles seen so far', async () => {
+      const { meta } = await runWith('forming');
+
+      expect(meta.seen).toEqual([null, null, null, 103, 103, 103, 103, 103]);
+      expect(meta.forming[1].timestamp.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+      expect(meta.forming[1]).toMatchObject({
+        open: 99.5,
+        high: 102,
+        low: 99,
+        close: 101,
+        volume: 20,
+      });
+      // Closed bars are in candlesByTf instead
+      expect(meta.forming[3]).toBeNull();
+      expect(meta.forming[7]).toMatchObject({ open: 103.5, close: 107, volume: 40 });
+      expect(() => new BacktestEngine({ timeframeAlignment: 'late' })).toThrow('Invalid timeframe alignment');
+    });
+  });
+
+  describe('Strategy logs', () => {
+    const strategyCode = `module.exports = async function strategy(ctx) {
+  console.log('close', ctx.currentCandle.close, { index: ctx.index });
+  if (ctx.index === 2) console.warn('pullback ahead');
+  if (ctx.index === 3) throw new Error('Indicator not ready');
+  return { signal: 'HOLD' };
+};`;
+
+    test('should capture console output with the bar it was written on', async () => {
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.logs.count).toBe(6);
+      expect(results.logs.items[0]).toEqual({
+        level: 'log',
+        index: 0,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        message: "close 101 { index: 0 }",
+      });
+      expect(results.logs.items[3]).toMatchObject({ level: 'warn', index: 2, message: 'pullback ahead' });
+    });
+
+    test('should log series as the candles they hold', async () => {
+      const seriesCode = `module.exports = async function strategy(ctx) {
+  if (ctx.index === 1) {
+    console.log('c', ctx.candles);
+    console.log({ last: ctx.candlesByTf['1h'] });
+  }
+  return { signal: 'HOLD' };
+};`;
+
+      const results = await engine.run(seriesCode, sampleData);
+      const [candles, byTf] = results.logs.items.map(entry => entry.message);
+
+      // The candles so far, not the view's empty proxy target
+      expect(candles).toMatch(/^c \[/);
+      expect(candles).toContain('close: 101');
+      expect(candles).toContain('close: 102');
+      expect(candles).not.toContain('close: 103');
+      expect(byTf).toContain('close: 102');
+    });
+
+    test('should cap the stored log entries', async () => {
+      const capped = new BacktestEngine({ maxLogEntries: 2 });
+      const results = await capped.run(strategyCode, sampleData);
+
+      expect(results.logs.items).toHaveLength(2);
+      expect(results.logs).toMatchObject({ count: 6, dropped: 4 });
+    });
+
+    test('should list strategy exceptions with the bar and code line', async () => {
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.errors.count).toBe(1);
+      expect(results.errors.items[0]).toMatchObject({
+        index: 3,
+        timestamp: '2024-01-01T03:00:00.000Z',
+        message: 'Indicator not ready',
+      });
+      expect(results.errors.items[0].stack).toMatch(/strategy\.js:4/);
+    });
+  });
+
+  describe('Chart annotations', () => {
+    test('should collect ctx.plot lines per bar and ctx.mark markers', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index > 0) ctx.plot('mid', (ctx.currentCandle.high + ctx.currentCandle.low) / 2);
+          if (ctx.index === 2) {
+            ctx.mark('breakout');
+            ctx.mark('target', 110);
+          }
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.annotations.plots).toEqual({ mid: [null, 101.5, 102.5, 102.75, 103] });
+      expect(results.annotations.marks.count).toBe(2);
+      expect(results.annotations.marks.items.map(({ index, label, price }) => ({ index, label, price }))).toEqual([
+        { index: 2, label: 'breakout', price: 103 },
+        { index: 2, label: 'target', price: 110 },
+      ]);
+      expect(results.annotations.marks.items[0].timestamp.toISOString()).toBe('2024-01-01T02:00:00.000Z');
+      // The equity curve carries the close for the price chart
+      expect(results.equityCurve.map(p => p.price)).toEqual([101, 102, 103, 102.5, 103.5]);
+    });
+
+    test('should report invalid annotations as strategy errors', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 0) ctx.plot('rsi', 'high');
+          if (ctx.index === 1) ctx.mark('');
+          if (ctx.index === 2) ctx.plot('__proto__', 7);
+          if (ctx.index === 3) ctx.plot('constructor', 3);
+          if (ctx.index === 4) ctx.plot('toString', 1);
+          return { signal: 'HOLD' };
+        };
+      `;
+
+      const results = await engine.run(strategyCode, sampleData);
+
+      expect(results.errors.items.map(e => e.message)).toEqual([
+        'Invalid value for plot rsi: high',
+        'Invalid mark label: ',
+        'Invalid plot name: __proto__',
+        'Invalid plot name: constructor',
+        'Invalid plot name: toString',
+      ]);
+      expect(Object.keys(results.annotations.plots)).toEqual([]);
+      expect(({})[2]).toBeUndefined();
+      expect(Object[3]).toBeUndefined();
+    });
+  });
+
+  describe('Progress reporting', () => {
+    test('should report each whole percent of bars processed with the trades so far', async () => {
+      const strategyCode = `
+        module.exports = async function strategy(ctx) {
+          if (ctx.index === 1) return { signal: 'BUY', size: 10 };
+          if (ctx.index === 3) return { signal: 'SELL' };
+          return { signal: 'HOLD' };
+        };
+      `;
+      const progress = [];
+
+      await engine.run(strategyCode, sampleData, {}, { onProgress: p => progress.push(p) });
+
+      expect(progress.map(p => p.percent)).toEqual([20, 40, 60, 80, 100]);
+      expect(progress.map(p => p.trades)).toEqual([0, 0, 0, 1, 1]);
+      expect(progress[4]).toEqual({ percent: 100, bars: 5, totalBars: 5, trades: 1 });
+    });
+  });
+
+  describe('Benchmark comparison', () => {
+    const buyAndHoldCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.index === 0) return { signal: 'BUY', size: 50 };
+        return { signal: 'HOLD' };
+      };
+    `;
+
+    test('should compare against buy-and-hold of the same candles', async () => {
+      const results = await engine.run(buyAndHoldCode, sampleData);
+      const { benchmark } = results;
+
+      expect(benchmark.source).toBe('buy_and_hold');
+      expect(benchmark.equityCurve.length).toBe(sampleData.length);
+      expect(benchmark.equityCurve[0].equity).toBeCloseTo(10000 / 1.001, 6);
+      expect(benchmark.finalEquity).toBeCloseTo((10000 / (101 * 1.001)) * 103.5, 2);
+      // Holding a fixed number of units moves in lockstep with the benchmark (apart from the exit costs)
+      expect(benchmark.metrics.correlation).toBeGreaterThan(0.99);
+      expect(benchmark.metrics.beta).toBeGreaterThan(0);
+    });
+
+    test('should use a supplied benchmark series aligned to the timeline', async () => {
+      const flat = sampleData.map(c => ({ ...c, open: 50, high: 50, low: 50, close: 50 }));
+      const results = await engine.run(buyAndHoldCode, sampleData, {}, { benchmark: flat });
+      const { benchmark } = results;
+
+      expect(benchmark.source).toBe('file');
+      expect(benchmark.metrics.benchmarkReturn).toBeCloseTo(-0.1, 1);
+      expect(benchmark.metrics.beta).toBe(0);
+      expect(benchmark.metrics.excessReturn).toBeCloseTo(
+        benchmark.metrics.strategyReturn - benchmark.metrics.benchmarkReturn, 1
+      );
+    });
   });
 
   describe('Edge cases', () => {
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for the Backtest Job Queue
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../jobQueue');
+
+const strategyCode = `
+  module.exports = function(ctx) {
+    if (ctx.index % 10 === 0) return { signal: 'BUY', size: 0.5 };
+    if (ctx.index % 10 === 5) return { signal: 'SELL', size: 0.5 };
+    return { signal: 'HOLD' };
+  };
+`;
+
+// Never returns from its first bar, so the job runs until it is cancelled
+const stuckStrategyCode = `
+  module.exports = function(ctx) {
+    while (true) {}
+  };
+`;
+
+// Resolve once a job reaches one of the given statuses
+const waitForStatus = (queue, jobId, statuses) => new Promise((resolve) => {
+  const current = queue.get(jobId);
+  if (statuses.includes(current.status)) return resolve(current);
+  const onStatus = (job) => {
+    if (job.id !== jobId || !statuses.includes(job.status)) return;
+    queue.off('status', onStatus);
+    resolve(job);
+  };
+  queue.on('status', onStatus);
+});
+
+describe('Backtest job queue', () => {
+  let dir;
+  let csvPath;
+  let queue;
+
+  const backtestData = (code, overrides = {}) => ({
+    code,
+    params: {},
+    body: { timeframes: '["1h"]', ...overrides },
+    files: [{ fieldname: 'dataFiles', originalname: 'data.csv', path: csvPath }],
+  });
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    const rows = Array.from({ length: 200 }, (_, i) => {
+      const ts = new Date(Date.UTC(2024, 0, 1) + i * 60 * 60 * 1000).toISOString();
+      const close = 100 + Math.sin(i / 5) * 10;
+      return `${ts},${close - 0.5},${close + 1},${close - 1},${close},1000`;
+    });
+    csvPath = path.join(dir, 'data.csv');
+    fs.writeFileSync(csvPath, ['timestamp,open,high,low,close,volume', ...rows].join('\n'));
+  });
+
+  afterEach(async () => {
+    if (queue) await queue.close();
+    queue = null;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should run a backtest in a worker, reporting progress and the completed result', async () => {
+    queue = new JobQueue({ concurrency: 1 });
+    const progress = [];
+    queue.on('progress', job => progress.push(job.progress));
+    const onComplete = jest.fn(async ({ results, tradesCsv }) => ({
+      trades: results.trades.length,
+      csvLines: tradesCsv.trim().split('\n').length,
+    }));
+
+    const queued = queue.enqueue(7, backtestData(strategyCode), { meta: { name: 'Job test' }, onComplete });
+    expect(queued).toMatchObject({ name: 'Job test', progress: { percent: 0 } });
+    expect(queue.list(7).map(j => j.id)).toEqual([queued.id]);
+    expect(queue.list(8)).toEqual([]);
+
+    const done = await waitForStatus(queue, queued.id, ['completed', 'failed']);
+    expect(done.status).toBe('completed');
+    expect(done.result.trades).toBeGreaterThan(0);
+    expect(done.result.csvLines).toBe(done.result.trades + 1); // Header plus one line per trade
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    // Dates survive the trip from the worker
+    expect(onComplete.mock.calls[0][0].results.trades[0].entryTime.toISOString()).toMatch(/^2024-01-01T/);
+
+    // Whole percents, in order, ending with every bar processed
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress.map(p => p.percent)).toEqual([...progress.map(p => p.percent)].sort((a, b) => a - b));
+    expect(progress[progress.length - 1]).toMatchObject({ percent: 100, bars: 200, totalBars: 200 });
+    expect(queue.list(7)).toEqual([]);
+    expect(queue.get(queued.id, 8)).toBeNull();
+  });
+
+  test('should run an optimization task, reporting progress per parameter set', async () => {
+    queue = new JobQueue({ concurrency: 1 });
+    const progress = [];
+    queue.on('progress', job => progress.push(job.progress));
+
+    const job = queue.enqueue(3, {
+      ...backtestData(strategyCode),
+      task: 'optimization',
+      options: { ranges: { period: [5, 10, 20] }, method: 'grid', metric: 'roi' },
+    }, { progress: { percent: 0, runs: 0, totalRuns: null } });
+    expect(job.progress).toEqual({ percent: 0, runs: 0, totalRuns: null });
+
+    const done = await waitForStatus(queue, job.id, ['completed', 'failed']);
+    expect(done.status).toBe('completed');
+    expect(done.result).toMatchObject({ method: 'grid', metric: 'roi', combinations: 3 });
+    expect(done.result.results.map(r => r.rank)).toEqual([1, 2, 3]);
+    expect(done.result.dataQuality).toHaveLength(1);
+    expect(progress).toEqual([
+      { percent: 33, runs: 1, totalRuns: 3 },
+      { percent: 66, runs: 2, totalRuns: 3 },
+      { percent: 100, runs: 3, totalRuns: 3 },
+    ]);
+  });
+
+  test('should fail a job when the worker cannot run it', async () => {
+    queue = new JobQueue({ concurrency: 1 });
+    const job = queue.enqueue(1, backtestData(strategyCode, { primaryTimeframe: '4h' }));
+
+    const done = await waitForStatus(queue, job.id, ['completed', 'failed']);
+    expect(done.status).toBe('failed');
+    expect(done.error).toMatch(/primary timeframe/i);
+  });
+
+  test('should discard what onComplete saved when the job is cancelled meanwhile', async () => {
+    queue = new JobQueue({ concurrency: 1 });
+    let saved;
+    let finishSave;
+    const saving = new Promise((resolve) => { saved = resolve; });
+    const onComplete = jest.fn(() => {
+      saved();
+      return new Promise((resolve) => { finishSave = () => resolve({ backtestId: 42 }); });
+    });
+    const onDiscard = jest.fn();
+    const job = queue.enqueue(1, backtestData(strategyCode), { onComplete, onDiscard });
+
+    await saving;
+    const cancelled = await queue.cancel(job.id, 1);
+    expect(cancelled.status).toBe('cancelled');
+    finishSave();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(onDiscard).toHaveBeenCalledWith({ backtestId: 42 });
+    expect(queue.get(job.id)).toMatchObject({ status: 'cancelled', result: null });
+  });
+
+  test('should cancel queued and running jobs', async () => {
+    queue = new JobQueue({ concurrency: 1 });
+    const onFinish = jest.fn();
+    const running = queue.enqueue(1, backtestData(stuckStrategyCode), { onFinish });
+    const queued = queue.enqueue(1, backtestData(strategyCode), { onFinish });
+    expect(queue.get(running.id).status).toBe('running');
+    expect(queue.get(queued.id).status).toBe('queued');
+
+    const cancelledQueued = await queue.cancel(queued.id, 1);
+    expect(cancelledQueued.status).toBe('cancelled');
+    expect(queue.list(1).map(j => j.id)).toEqual([running.id]);
+
+    expect(await queue.cancel(running.id, 2)).toBeNull();
+    const cancelledRunning = await queue.cancel(running.id, 1);
+    expect(cancelledRunning.status).toBe('cancelled');
+    expect(queue.running.size).toBe(0);
+    expect(queue.list(1)).toEqual([]);
+    await expect(queue.cancel(running.id, 1)).rejects.toThrow('already cancelled');
+    // Cleanup runs once per job, cancelled before or after it started
+    expect(onFinish).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for Monte Carlo Analysis
+ */
+
+const { monteCarlo } = require('../monteCarlo');
+
+describe('Monte Carlo analysis', () => {
+  const trades = [100, -50, 200, -150, 80, -30, 120, -60].map(pnl => ({ pnl }));
+
+  test('should keep final equity fixed when only the order is shuffled', () => {
+    const report = monteCarlo(trades, { initialCapital: 1000, simulations: 200, methods: ['shuffle'], seed: 1 });
+    const { finalEquity, maxDrawdown } = report.results.shuffle;
+
+    expect(report.original.finalEquity).toBe(1210);
+    expect(finalEquity.min).toBe(1210);
+    expect(finalEquity.max).toBe(1210);
+    // Drawdown depends on sequence and is never below the worst single loss
+    expect(maxDrawdown.min).toBeGreaterThanOrEqual(150);
+    expect(maxDrawdown.confidenceInterval.lower).toBeLessThanOrEqual(maxDrawdown.confidenceInterval.upper);
+  });
+
+  test('should vary final equity when resampling or skipping trades', () => {
+    const report = monteCarlo(trades, { initialCapital: 1000, simulations: 500, seed: 7, skipProbability: 0.25 });
+
+    for (const method of ['resample', 'skip']) {
+      const { finalEquity } = report.results[method];
+      expect(finalEquity.max).toBeGreaterThan(finalEquity.min);
+      expect(finalEquity.histogram.reduce((sum, b) => sum + b.count, 0)).toBe(500);
+    }
+    // Skipping never adds P&L beyond the sum of all winners
+    expect(report.results.skip.finalEquity.max).toBeLessThanOrEqual(1000 + 500);
+  });
+
+  test('should be reproducible from the seed', () => {
+    const first = monteCarlo(trades, { simulations: 100, seed: 42 });
+    const second = monteCarlo(trades, { simulations: 100, seed: 42 });
+
+    expect(first).toEqual(second);
+  });
+
+  test('should estimate risk of ruin', () => {
+    const losing = [-300, -300, 100, -300, 50].map(pnl => ({ pnl }));
+    const report = monteCarlo(losing, { initialCapital: 1000, simulations: 200, ruinPercent: 50, methods: ['shuffle'], seed: 3 });
+
+    // Final equity is always 250, below the 500 ruin level
+    expect(report.results.shuffle.riskOfRuin).toBe(1);
+    expect(monteCarlo(losing, { initialCapital: 1000, ruinPercent: 90, methods: ['shuffle'], seed: 3 }).results.shuffle.riskOfRuin).toBe(0);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => monteCarlo(trades, { methods: ['bootstrap'] })).toThrow('Unsupported Monte Carlo method');
+    expect(() => monteCarlo(trades, { simulations: 0 })).toThrow('simulations');
+    expect(() => monteCarlo(trades, { skipProbability: 1 })).toThrow('skipProbability');
+  });
+});
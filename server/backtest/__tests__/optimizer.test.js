@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for Parameter Optimizer
+ */
+
+const BacktestEngine = require('../engine');
+const { expandGrid, sampleRandom, optimize } = require('../optimizer');
+const { createRandom } = require('../../utils/random');
+
+describe('Parameter optimizer', () => {
+  const closes = [101, 102, 103, 102.5, 103.5];
+  const sampleData = closes.map((close, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, i)),
+    open: close - 0.5,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000,
+  }));
+
+  // Buys on the first candle and sells after `ctx.params.hold` candles
+  const strategyCode = `
+    module.exports = async function strategy(ctx) {
+      if (ctx.index === 0) return { signal: 'BUY', size: ctx.params.size };
+      if (ctx.index === ctx.params.hold) return { signal: 'SELL' };
+      return { signal: 'HOLD' };
+    };
+  `;
+
+  test('should expand every combination of list and stepped ranges', () => {
+    const combos = expandGrid({ fast: [5, 10], slow: { min: 0.1, max: 0.3, step: 0.1 } });
+
+    expect(combos.length).toBe(6);
+    expect(combos).toContainEqual({ fast: 10, slow: 0.3 });
+  });
+
+  test('should reject grids that are too large or continuous', () => {
+    expect(() => expandGrid({ a: { min: 1, max: 2000, step: 1 } })).toThrow('limit');
+    expect(() => expandGrid({ a: { min: 1, max: 2 } })).toThrow('needs a step');
+  });
+
+  test('should sample the same parameter sets for the same seed', () => {
+    const ranges = { a: { min: 0, max: 1 }, b: [1, 2, 3] };
+    const first = sampleRandom(ranges, 5, createRandom(42));
+    const second = sampleRandom(ranges, 5, createRandom(42));
+
+    expect(first).toEqual(second);
+    expect(first.every(c => c.a >= 0 && c.a <= 1 && [1, 2, 3].includes(c.b))).toBe(true);
+  });
+
+  test('should run each parameter set and rank by the chosen metric', async () => {
+    const engine = new BacktestEngine();
+    const report = await optimize(engine, strategyCode, sampleData, {
+      ranges: { hold: [1, 2, 3] },
+      metric: 'netPnL',
+      baseParams: { size: 2 },
+    });
+
+    expect(report.combinations).toBe(3);
+    expect(report.best.params).toEqual({ hold: 2 });
+    expect(report.results.map(r => r.rank)).toEqual([1, 2, 3]);
+    expect(report.results.map(r => r.params.hold)).toEqual([2, 3, 1]);
+  });
+
+  test('should reject unknown metrics', async () => {
+    const engine = new BacktestEngine();
+
+    await expect(optimize(engine, strategyCode, sampleData, { ranges: { hold: [1] }, metric: 'luck' }))
+      .rejects.toThrow('Unsupported ranking metric');
+  });
+});
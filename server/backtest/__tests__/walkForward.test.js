@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for Walk-Forward Analysis
+ */
+
+const { buildWindows, sliceData, walkForward } = require('../walkForward');
+
+describe('Walk-forward analysis', () => {
+  // Steadily rising closes: holding longer always wins in-sample
+  const sampleData = Array.from({ length: 20 }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, i)),
+    open: 100 + i - 0.5,
+    high: 100 + i + 1,
+    low: 100 + i - 1,
+    close: 100 + i,
+    volume: 1000,
+  }));
+
+  // Buys on the first candle it can trade and sells after `ctx.params.hold` candles, once per run
+  const strategyCode = `
+    module.exports = async function strategy(ctx) {
+      if (!ctx.position) return ctx.state.done ? { signal: 'HOLD' } : { signal: 'BUY', size: 1 };
+      if (ctx.index - ctx.position.lots[0].entryIndex >= ctx.params.hold) {
+        ctx.state.done = true;
+        return { signal: 'SELL' };
+      }
+      return { signal: 'HOLD' };
+    };
+  `;
+
+  test('should build rolling and anchored windows', () => {
+    expect(buildWindows(20, 8, 5, 'rolling')).toEqual([
+      { isStart: 0, oosStart: 8, oosEnd: 13 },
+      { isStart: 5, oosStart: 13, oosEnd: 18 },
+      { isStart: 10, oosStart: 18, oosEnd: 20 },
+    ]);
+    expect(buildWindows(20, 8, 5, 'anchored').map(w => w.isStart)).toEqual([0, 0, 0]);
+  });
+
+  test('should slice raw candles and timeframe mappings by time', () => {
+    const start = sampleData[2].timestamp.getTime();
+    const end = sampleData[5].timestamp.getTime();
+
+    expect(sliceData(sampleData, start, end).map(c => c.close)).toEqual([102, 103, 104]);
+    expect(sliceData({ '1h': sampleData }, start, end)['1h'].length).toBe(3);
+  });
+
+  test('should optimize each in-sample window and stitch out-of-sample trades', async () => {
+    const report = await walkForward({ initialCapital: 10000 }, strategyCode, sampleData, {
+      ranges: { hold: [1, 3] },
+      metric: 'netPnL',
+      inSampleBars: 8,
+      outOfSampleBars: 4,
+    });
+
+    expect(report.windows.length).toBe(3);
+    expect(report.windows.every(w => w.params.hold === 3)).toBe(true);
+    expect(report.windows[1].inSample.bars).toBe(8);
+    expect(report.windows[1].outOfSample.start).toEqual(sampleData[12].timestamp);
+
+    // One out-of-sample trade per window, capital carried across windows
+    expect(report.trades.map(t => t.window)).toEqual([0, 1, 2]);
+    const totalPnL = report.trades.reduce((sum, t) => sum + t.pnl, 0);
+    expect(report.finalCapital).toBeCloseTo(10000 + totalPnL, 6);
+    // Per-bar out-of-sample equity, ending at the final capital
+    expect(report.equityCurve.length).toBe(12);
+    expect(report.equityCurve[11].equity).toBeCloseTo(report.finalCapital, 6);
+    expect(report.efficiency).toBeGreaterThan(0);
+  });
+
+  test('should warm indicators up on the bars before each out-of-sample window', async () => {
+    // Waits for a 5-bar SMA, so a cold start could only enter on a window's fifth bar
+    const smaCode = `
+      module.exports = async function strategy(ctx) {
+        if (ctx.ta.sma(ctx.candles, 5) === null) return { signal: 'HOLD' };
+        if (!ctx.position) return ctx.state.done ? { signal: 'HOLD' } : { signal: 'BUY', size: 1 };
+        if (ctx.index - ctx.position.lots[0].entryIndex >= ctx.params.hold) {
+          ctx.state.done = true;
+          return { signal: 'SELL' };
+        }
+        return { signal: 'HOLD' };
+      };
+    `;
+    const report = await walkForward({ initialCapital: 10000 }, smaCode, sampleData, {
+      ranges: { hold: [1, 3] },
+      metric: 'netPnL',
+      inSampleBars: 8,
+      outOfSampleBars: 4,
+    });
+
+    // Each window trades from its first bar, and is measured over its own bars only
+    expect(report.trades.map(t => t.entryTime)).toEqual(report.windows.map(w => w.outOfSample.start));
+    expect(report.windows.map(w => w.outOfSampleMetrics.totalTrades)).toEqual([1, 1, 1]);
+    expect(report.equityCurve.map(p => p.timestamp)).toEqual(sampleData.slice(8).map(c => c.timestamp));
+  });
+
+  test('should keep in-sample windows anchored at the first candle', async () => {
+    const report = await walkForward({}, strategyCode, sampleData, {
+      ranges: { hold: [1, 3] },
+      inSampleBars: 8,
+      outOfSampleBars: 6,
+      mode: 'anchored',
+    });
+
+    expect(report.windows.map(w => w.inSample.bars)).toEqual([8, 14]);
+    expect(report.windows.every(w => w.inSample.start === sampleData[0].timestamp)).toBe(true);
+  });
+
+  test('should reject bad window settings', async () => {
+    await expect(walkForward({}, strategyCode, sampleData, {
+      ranges: { hold: [1] }, inSampleBars: 20, outOfSampleBars: 5,
+    })).rejects.toThrow('Need more than 20 candles');
+    await expect(walkForward({}, strategyCode, sampleData, {
+      ranges: { hold: [1] }, inSampleBars: 8, outOfSampleBars: 0,
+    })).rejects.toThrow('positive integers');
+  });
+});
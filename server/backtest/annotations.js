@@ -0,0 +1,73 @@
+/**
+ * Strategy Chart Annotations
+ *
+ * Collects what a strategy draws during a backtest: indicator lines from `ctx.plot(name, value)` and
+ * labeled markers from `ctx.mark(label, price)`. Lines hold one value per step of the run, aligned
+ * with the equity curve, so they can be downsampled with it for storage.
+ */
+
+const MAX_PLOTS = 20;
+const MAX_MARKS = 1000;
+const MAX_NAME_LENGTH = 100;
+
+// Names that would reach Object.prototype or a constructor if used as keys elsewhere
+const RESERVED_NAMES = new Set(['__proto__', 'constructor', 'prototype']);
+
+const checkName = (kind, name) => {
+  if (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Invalid ${kind}: ${name}`);
+  }
+};
+
+/**
+ * Create the annotations of a run over `steps` steps.
+ * `setStep(step, timestamp, price)` sets the bar that following calls annotate; `price` is the
+ * default marker price (the current close in single-series runs, else null). Calls on a negative step
+ * (a warm-up bar) are checked but not recorded.
+ * `plot` and `mark` are handed to strategies as `ctx.plot` and `ctx.mark`.
+ */
+const createAnnotations = (steps) => {
+  // Prototype-less, so strategy-chosen names stay own keys of this object
+  const plots = Object.create(null);
+  const marks = { count: 0, items: [] };
+  let current = { step: 0, timestamp: null, price: null };
+
+  const setStep = (step, timestamp, price = null) => {
+    current = { step, timestamp, price };
+  };
+
+  /**
+   * Plot `value` (a number, or null for a gap) on the line `name` at the current bar; the last call in a bar wins
+   */
+  const plot = (name, value) => {
+    checkName('plot name', name);
+    // Plot names become object keys, here and in stored results
+    if (RESERVED_NAMES.has(name) || name in Object.prototype) throw new Error(`Invalid plot name: ${name}`);
+    if (value !== null && !Number.isFinite(value)) throw new Error(`Invalid value for plot ${name}: ${value}`);
+    if (current.step < 0) return;
+    if (!Object.prototype.hasOwnProperty.call(plots, name)) {
+      if (Object.keys(plots).length >= MAX_PLOTS) throw new Error(`Too many plots (max ${MAX_PLOTS})`);
+      plots[name] = new Array(steps).fill(null);
+    }
+    plots[name][current.step] = value;
+  };
+
+  /**
+   * Place a marker labeled `label` at `price` (default: the current close) on the current bar
+   */
+  const mark = (label, price = current.price) => {
+    checkName('mark label', label);
+    if (!Number.isFinite(price)) throw new Error(`Invalid price for mark ${label}: ${price}`);
+    if (current.step < 0) return;
+    marks.count++;
+    if (marks.items.length < MAX_MARKS) {
+      marks.items.push({ index: current.step, timestamp: current.timestamp, label, price });
+    }
+  };
+
+  return { setStep, plot, mark, plots, marks };
+};
+
+module.exports = {
+  createAnnotations,
+};
@@ -0,0 +1,97 @@
+/**
+ * Backtest Worker
+ *
+ * Worker thread run by the job queue: loads a request's uploaded data and runs a backtest, a parameter
+ * optimization or a walk-forward analysis, posting `progress` messages while it runs, then one `result`
+ * (or `error`) message. Both carry the uploads' data quality reports (an `error` only for a file rejected
+ * in strict mode).
+ * `workerData` is `{ task, code, params, body, files, options }`: the task ('backtest' by default), the strategy,
+ * the multipart request's fields and files, and the optimizer or walk-forward options of the other tasks.
+ */
+
+const fsPromises = require('fs').promises;
+const { parentPort, workerData, threadId } = require('worker_threads');
+const BacktestEngine = require('./engine');
+const { optimize } = require('./optimizer');
+const { walkForward } = require('./walkForward');
+const { parseBacktestRequest, loadBacktestData, loadBenchmarkData } = require('../utils/backtestRequest');
+
+const postProgress = progress => parentPort.postMessage({ type: 'progress', progress });
+
+// Progress of a sweep, after `completed` of `total` backtests or windows
+const sweepProgress = (completed, total) => postProgress({
+  percent: Math.floor((completed / total) * 100),
+  runs: completed,
+  totalRuns: total,
+});
+
+async function runBacktest({ code, params, body, files }) {
+  const request = parseBacktestRequest(body);
+  const engine = new BacktestEngine(request.engineOptions);
+
+  // The loaders read uploads off a request
+  const req = { body, files };
+  const dataParam = await loadBacktestData(engine, req, request);
+  const benchmark = await loadBenchmarkData(engine, req);
+
+  const onProgress = postProgress;
+  const results = request.isPortfolio
+    ? await engine.runPortfolio(code, dataParam, params, { benchmark, onProgress })
+    : await engine.run(code, dataParam, params, { benchmark, onProgress });
+  results.dataQuality = req.dataQuality || [];
+
+  // Export trades to CSV and read it back as text for storage
+  const tradesCsvPath = `uploads/backtest_${Date.now()}_${threadId}_trades.csv`;
+  await engine.exportTradesToCSV(results.trades, tradesCsvPath);
+  const tradesCsv = await fsPromises.readFile(tradesCsvPath, 'utf8');
+  await fsPromises.unlink(tradesCsvPath);
+
+  return { results, tradesCsv };
+}
+
+async function runOptimization({ code, params, body, files, options }) {
+  const request = parseBacktestRequest(body);
+  const engine = new BacktestEngine(request.engineOptions);
+  const req = { body, files };
+  const data = await loadBacktestData(engine, req, request);
+
+  const report = await optimize(engine, code, data, {
+    ...options,
+    baseParams: params,
+    portfolio: request.isPortfolio,
+    onProgress: sweepProgress,
+  });
+  report.dataQuality = req.dataQuality || [];
+  return report;
+}
+
+async function runWalkForward({ code, params, body, files, options }) {
+  const request = parseBacktestRequest(body);
+  const engine = new BacktestEngine(request.engineOptions);
+  const req = { body, files };
+  const data = await loadBacktestData(engine, req, request);
+
+  const report = await walkForward(request.engineOptions, code, data, {
+    ...options,
+    baseParams: params,
+    onProgress: sweepProgress,
+  });
+  report.dataQuality = req.dataQuality || [];
+  return report;
+}
+
+const TASKS = {
+  backtest: runBacktest,
+  optimization: runOptimization,
+  walk_forward: runWalkForward,
+};
+
+async function runTask(data) {
+  const task = TASKS[data.task || 'backtest'];
+  if (!task) throw new Error(`Unknown job task: ${data.task}`);
+  return task(data);
+}
+
+runTask(workerData)
+  .then(result => parentPort.postMessage({ type: 'result', result }))
+  .catch(error => parentPort.postMessage({ type: 'error', error: error.message, details: error.report || null }));
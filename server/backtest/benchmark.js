@@ -0,0 +1,104 @@
+/**
+ * Benchmark Comparison
+ *
+ * Buy-and-hold equity on the backtest's timeline and the relative metrics
+ * (excess return, alpha, beta, correlation, information ratio) of a strategy against it
+ */
+
+// Timestamp (Date, ISO string or epoch ms) to epoch milliseconds
+function toMs(timestamp) {
+  return timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+}
+
+/**
+ * Close price at each timeline step: the latest candle at or before the step,
+ * or the first candle's close for steps before the series starts
+ */
+function alignCloses(timeline, candles) {
+  const closes = [];
+  let i = 0;
+  for (const ts of timeline) {
+    while (i < candles.length && toMs(candles[i].timestamp) <= ts) i++;
+    closes.push(candles[Math.max(i - 1, 0)].close);
+  }
+  return closes;
+}
+
+/**
+ * Equity of buying each candle series at its first aligned close with an equal share of
+ * `initialCapital` (paying entry commission) and holding to the end
+ */
+function buyAndHoldCurve(timeline, candleSets, initialCapital, commission = 0) {
+  const sets = candleSets.filter(c => Array.isArray(c) && c.length > 0);
+  if (timeline.length === 0 || sets.length === 0) return [];
+
+  const holdings = sets.map(candles => {
+    const closes = alignCloses(timeline, candles);
+    return { closes, units: (initialCapital / sets.length) / (closes[0] * (1 + commission)) };
+  });
+
+  return timeline.map((ts, step) => ({
+    timestamp: new Date(ts),
+    equity: holdings.reduce((sum, h) => sum + h.units * h.closes[step], 0),
+  }));
+}
+
+// Period-over-period returns of an equity curve
+function curveReturns(curve) {
+  return curve.slice(1).map((point, i) => {
+    const prev = curve[i].equity;
+    return prev > 0 ? point.equity / prev - 1 : 0;
+  });
+}
+
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+/**
+ * Strategy vs benchmark metrics from two equity curves on the same timeline.
+ * Alpha is Jensen's alpha with a zero risk-free rate; alpha and information ratio are
+ * annualized with `periodsPerYear` when known.
+ */
+function compareToBenchmark(strategyCurve, benchmarkCurve, initialCapital, periodsPerYear) {
+  const n = Math.min(strategyCurve.length, benchmarkCurve.length);
+  const strategyReturn = n > 0 ? (strategyCurve[n - 1].equity / initialCapital - 1) * 100 : 0;
+  const benchmarkReturn = n > 0 ? (benchmarkCurve[n - 1].equity / initialCapital - 1) * 100 : 0;
+
+  const rs = curveReturns(strategyCurve.slice(0, n));
+  const rb = curveReturns(benchmarkCurve.slice(0, n));
+  const meanS = mean(rs);
+  const meanB = mean(rb);
+  let cov = 0;
+  let varS = 0;
+  let varB = 0;
+  for (let i = 0; i < rs.length; i++) {
+    cov += (rs[i] - meanS) * (rb[i] - meanB);
+    varS += (rs[i] - meanS) ** 2;
+    varB += (rb[i] - meanB) ** 2;
+  }
+
+  const active = rs.map((r, i) => r - rb[i]);
+  const meanActive = mean(active);
+  const trackingError = Math.sqrt(mean(active.map(a => (a - meanActive) ** 2)));
+
+  const periods = periodsPerYear || 1;
+  const beta = varB > 0 ? cov / varB : 0;
+  const alpha = (meanS - beta * meanB) * periods * 100;
+  const correlation = varS > 0 && varB > 0 ? cov / Math.sqrt(varS * varB) : 0;
+  const informationRatio = trackingError > 0 ? (meanActive / trackingError) * Math.sqrt(periods) : 0;
+
+  return {
+    strategyReturn: parseFloat(strategyReturn.toFixed(2)),
+    benchmarkReturn: parseFloat(benchmarkReturn.toFixed(2)),
+    excessReturn: parseFloat((strategyReturn - benchmarkReturn).toFixed(2)),
+    alpha: parseFloat(alpha.toFixed(2)),
+    beta: parseFloat(beta.toFixed(4)),
+    correlation: parseFloat(correlation.toFixed(4)),
+    informationRatio: parseFloat(informationRatio.toFixed(2)),
+  };
+}
+
+module.exports = {
+  alignCloses,
+  buyAndHoldCurve,
+  compareToBenchmark,
+};
@@ -0,0 +1,101 @@
+/**
+ * Trading Calendar
+ *
+ * Buckets timestamps into bars of a timeframe. By default bars are aligned to UTC epoch time; with a
+ * time zone and session start they follow a market's trading days instead, e.g. daily gold bars from
+ * 17:00 to 17:00 New York time. Weekly ('1w') and monthly ('1mo') bars follow the same trading days.
+ */
+
+const { getTimeZone, parseTimeOfDay } = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Nominal length of each timeframe unit; months count as 30 days where a length is needed
+const UNIT_MS = {
+  m: MINUTE_MS,
+  h: 60 * MINUTE_MS,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  mo: 30 * DAY_MS,
+};
+
+/**
+ * Parse a timeframe such as '15m', '4h', '1d', '1w' or '1mo' into `{ count, unit, ms }`
+ */
+const parseTimeframe = (tf) => {
+  const match = String(tf).toLowerCase().match(/^(\d+)(mo|m|h|d|w)$/);
+  if (!match || parseInt(match[1], 10) <= 0) throw new Error(`Invalid timeframe: ${tf}`);
+  const count = parseInt(match[1], 10);
+  return { count, unit: match[2], ms: count * UNIT_MS[match[2]] };
+};
+
+/**
+ * Create a calendar for `timeZone` (default UTC) whose trading days start at `sessionStart` ("HH:MM"
+ * local time, default midnight) and whose weeks start on `weekStart` (0 = Sunday, default 1 = Monday).
+ * A session starting after noon belongs to the next calendar day, as FX and futures trading days do:
+ * with a 17:00 start, Sunday 17:00 opens Monday's session.
+ */
+const createCalendar = ({ timeZone = 'UTC', sessionStart = '00:00', weekStart = 1 } = {}) => {
+  const zone = getTimeZone(timeZone);
+  const startMs = parseTimeOfDay(sessionStart, 'session start');
+  if (startMs >= DAY_MS) throw new Error(`Invalid session start: ${sessionStart}`);
+  if (!(Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6)) {
+    throw new Error(`Invalid week start: ${weekStart}`);
+  }
+  // Plain UTC days keep the epoch-aligned buckets bars always had
+  const isUtcDays = zone.name === 'UTC' && startMs === 0;
+
+  // Shift from local time to "trading time", in which each trading day starts at midnight
+  const shift = startMs < DAY_MS / 2 ? -startMs : DAY_MS - startMs;
+  const tradingDayIndex = ms => Math.floor((zone.toLocal(ms) + shift) / DAY_MS);
+  const dayStart = day => zone.fromLocal(day * DAY_MS - shift);
+  // Day 0 (1970-01-01) was a Thursday
+  const weekday = day => (((day + 4) % 7) + 7) % 7;
+  const firstWeekStart = (weekStart - 4 + 7) % 7;
+
+  /**
+   * Function from a timestamp (epoch ms) to the start of its bar
+   */
+  const bucketer = (timeframe) => {
+    const { count, unit, ms } = parseTimeframe(timeframe);
+
+    if (unit === 'w') {
+      return (ts) => {
+        const day = tradingDayIndex(ts);
+        const week = Math.floor((day - firstWeekStart) / 7);
+        return dayStart(firstWeekStart + Math.floor(week / count) * count * 7);
+      };
+    }
+    if (unit === 'mo') {
+      return (ts) => {
+        const date = new Date(tradingDayIndex(ts) * DAY_MS);
+        const month = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / count) * count;
+        return dayStart(Date.UTC(Math.floor(month / 12), month % 12, 1) / DAY_MS);
+      };
+    }
+    if (isUtcDays) {
+      return ts => Math.floor(ts / ms) * ms;
+    }
+    if (unit === 'd') {
+      return ts => dayStart(Math.floor(tradingDayIndex(ts) / count) * count);
+    }
+    // Intraday bars count from the start of each trading day, so a DST change shortens or lengthens its last bar
+    return (ts) => {
+      const start = dayStart(tradingDayIndex(ts));
+      return start + Math.floor((ts - start) / ms) * ms;
+    };
+  };
+
+  /**
+   * Trading day of a timestamp, as 'YYYY-MM-DD'
+   */
+  const tradingDay = ts => new Date(tradingDayIndex(ts) * DAY_MS).toISOString().slice(0, 10);
+
+  return { timeZone: zone.name, sessionStart, weekStart, bucketer, tradingDay };
+};
+
+module.exports = {
+  parseTimeframe,
+  createCalendar,
+};
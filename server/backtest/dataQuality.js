@@ -0,0 +1,244 @@
+/**
+ * Data Quality Validation
+ *
+ * Checks uploaded candles while they stream in and builds a report of skipped rows, duplicate and
+ * out-of-order timestamps, OHLC inconsistencies, gaps and zero-volume runs. The validation mode decides
+ * what happens to bad data: 'report' keeps loading as before, 'strict' rejects the file and 'repair'
+ * drops bad rows, sorts and dedupes.
+ */
+
+const DATA_VALIDATION_MODES = ['report', 'strict', 'repair'];
+
+// Issues listed per kind; the counts cover all of them
+const MAX_LISTED_ISSUES = 100;
+
+// Timestamps remembered for telling a late row's duplicates from out-of-order rows, so memory stays bounded
+const RECENT_TIMESTAMPS = 10000;
+
+const iso = ms => new Date(ms).toISOString();
+
+// A count of issues plus the first few, in file order
+const createIssueList = () => {
+  const list = { count: 0, items: [] };
+  return {
+    list,
+    add(item) {
+      list.count++;
+      if (list.items.length < MAX_LISTED_ISSUES) list.items.push(item);
+    },
+  };
+};
+
+/**
+ * Why a candle's prices are inconsistent, or null when they are fine
+ */
+const ohlcIssue = ({ open, high, low, close }) => {
+  if (high < low) return 'high below low';
+  if (close > high || close < low) return 'close outside high-low range';
+  if (open > high || open < low) return 'open outside high-low range';
+  return null;
+};
+
+/**
+ * Gap and zero-volume checks over candles in ascending time order. The bar interval is detected as the
+ * most common step between timestamps; any longer step is a gap.
+ */
+const createSeriesChecks = () => {
+  // Step between timestamps (ms) -> { count, items: earliest steps of that size }
+  const steps = new Map();
+  const zeroVolumeRuns = createIssueList();
+  let prevMs = null;
+  let run = null;
+
+  const endRun = () => {
+    if (run) zeroVolumeRuns.add({ from: iso(run.from), to: iso(run.to), bars: run.bars });
+    run = null;
+  };
+
+  const push = (candle, ms) => {
+    if (prevMs !== null) {
+      const step = ms - prevMs;
+      const entry = steps.get(step) || { count: 0, items: [] };
+      entry.count++;
+      if (entry.items.length < MAX_LISTED_ISSUES) entry.items.push(prevMs);
+      steps.set(step, entry);
+    }
+    prevMs = ms;
+
+    if (!(candle.volume > 0)) {
+      run = run || { from: ms, to: ms, bars: 0 };
+      run.to = ms;
+      run.bars++;
+    } else {
+      endRun();
+    }
+  };
+
+  const finish = () => {
+    endRun();
+    let interval = null;
+    let best = 0;
+    for (const [step, { count }] of steps) {
+      if (count > best || (count === best && step < interval)) {
+        interval = step;
+        best = count;
+      }
+    }
+
+    // Each step size keeps its earliest occurrences, so merging them gives the earliest gaps overall
+    const gaps = { count: 0, items: [] };
+    for (const [step, { count, items }] of steps) {
+      if (step <= interval) continue;
+      gaps.count += count;
+      for (const from of items) {
+        gaps.items.push({ from: iso(from), to: iso(from + step), missingBars: Math.round(step / interval) - 1 });
+      }
+    }
+    gaps.items.sort((a, b) => a.from.localeCompare(b.from));
+    gaps.items = gaps.items.slice(0, MAX_LISTED_ISSUES);
+
+    return { interval, gaps, zeroVolumeRuns: zeroVolumeRuns.list };
+  };
+
+  return { push, finish };
+};
+
+/**
+ * Create a data quality report for one file, fed row by row:
+ * - `skip(line, reason)` records a row that could not be parsed
+ * - `check(candle, line)` records the candle's issues and returns whether to load it
+ * - `observe(candle)` feeds the gap and zero-volume checks directly, for candles repaired after reading
+ * - `finish()` returns the report
+ * Rows are numbered by file line (the header is line 1). A row repeating the latest timestamp, or one of
+ * the last RECENT_TIMESTAMPS timestamps read, is a duplicate; another row earlier than one already read
+ * is out of order.
+ */
+const createQualityReport = (mode = 'report') => {
+  if (!DATA_VALIDATION_MODES.includes(mode)) {
+    throw new Error(`Invalid data validation mode: ${mode}`);
+  }
+
+  const skippedRows = createIssueList();
+  const duplicates = createIssueList();
+  const outOfOrder = createIssueList();
+  const ohlcIssues = createIssueList();
+  const series = createSeriesChecks();
+  let rows = 0;
+  let latestMs = null;
+  // The last RECENT_TIMESTAMPS timestamps read, for lookups, and the same in a ring buffer, for evicting the oldest
+  const recentMs = new Set();
+  const recentRing = new Array(RECENT_TIMESTAMPS);
+  let recentNext = 0;
+  let repaired = null;
+
+  const skip = (line, reason) => {
+    rows++;
+    skippedRows.add({ line, reason });
+  };
+
+  const check = (candle, line) => {
+    rows++;
+    const ms = candle.timestamp.getTime();
+
+    const priceIssue = ohlcIssue(candle);
+    if (priceIssue) ohlcIssues.add({ line, timestamp: iso(ms), reason: priceIssue });
+    // Only rows earlier than the latest need the lookup
+    const duplicate = latestMs !== null && (ms === latestMs || (ms < latestMs && recentMs.has(ms)));
+    const late = !duplicate && latestMs !== null && ms < latestMs;
+    if (!duplicate) {
+      if (recentRing[recentNext] !== undefined) recentMs.delete(recentRing[recentNext]);
+      recentRing[recentNext] = ms;
+      recentNext = (recentNext + 1) % RECENT_TIMESTAMPS;
+      recentMs.add(ms);
+    }
+    if (duplicate) {
+      duplicates.add({ line, timestamp: iso(ms) });
+    } else if (late) {
+      outOfOrder.add({ line, timestamp: iso(ms), after: iso(latestMs) });
+    } else {
+      latestMs = ms;
+      // Repaired candles are checked for gaps once they are sorted
+      if (mode !== 'repair') series.push(candle, ms);
+    }
+
+    if (mode === 'report') return true;
+    if (mode === 'strict') return !priceIssue && !duplicate && !late;
+    // Repair drops bad prices and repeats; out-of-order rows are sorted in later
+    return !priceIssue && !duplicate;
+  };
+
+  const observe = candle => series.push(candle, candle.timestamp.getTime());
+
+  const finish = () => {
+    const { interval, gaps, zeroVolumeRuns } = series.finish();
+    const report = {
+      mode,
+      rows,
+      interval,
+      skippedRows: skippedRows.list,
+      duplicates: duplicates.list,
+      outOfOrder: outOfOrder.list,
+      ohlcIssues: ohlcIssues.list,
+      gaps,
+      zeroVolumeRuns,
+      // Skipped rows, duplicates, out-of-order rows and bad prices make a file invalid; gaps and zero volume are warnings
+      valid: skippedRows.list.count + duplicates.list.count + outOfOrder.list.count + ohlcIssues.list.count === 0,
+    };
+    if (repaired) report.repaired = { ...repaired, droppedRows: rows - repaired.candles };
+    return report;
+  };
+
+  const recordRepair = (details) => {
+    repaired = details;
+  };
+
+  return { mode, skip, check, observe, finish, recordRepair };
+};
+
+/**
+ * Repair candles read in 'repair' mode: sort them by time and keep the first of each timestamp,
+ * feeding the result to the report's gap and zero-volume checks
+ */
+const repairCandles = (candles, report) => {
+  const sorted = candles
+    .map((candle, i) => ({ candle, i, ms: candle.timestamp.getTime() }))
+    .sort((a, b) => a.ms - b.ms || a.i - b.i);
+  const wasSorted = sorted.every((entry, i) => entry.i === i);
+
+  const result = [];
+  let prevMs = null;
+  for (const { candle, ms } of sorted) {
+    if (ms === prevMs) continue;
+    prevMs = ms;
+    result.push(candle);
+    report.observe(candle);
+  }
+
+  report.recordRepair({ sorted: !wasSorted, candles: result.length });
+  return result;
+};
+
+/**
+ * One-line summary of a report's problems, e.g. for rejecting a file
+ */
+const describeIssues = (report) => {
+  const parts = [
+    [report.skippedRows.count, 'invalid row', 'invalid rows'],
+    [report.duplicates.count, 'duplicate timestamp', 'duplicate timestamps'],
+    [report.outOfOrder.count, 'out-of-order row', 'out-of-order rows'],
+    [report.ohlcIssues.count, 'row with inconsistent OHLC prices', 'rows with inconsistent OHLC prices'],
+  ];
+  return parts
+    .filter(([count]) => count > 0)
+    .map(([count, one, many]) => `${count} ${count === 1 ? one : many}`)
+    .join(', ');
+};
+
+module.exports = {
+  DATA_VALIDATION_MODES,
+  MAX_LISTED_ISSUES,
+  RECENT_TIMESTAMPS,
+  createQualityReport,
+  repairCandles,
+  describeIssues,
+};
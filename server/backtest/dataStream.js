@@ -0,0 +1,206 @@
+/**
+ * Streaming Candle Ingestion
+ *
+ * Reads OHLCV CSV files (plain or gzip-compressed) in chunks and aggregates candles into
+ * timeframes as they arrive, so a large file never has to be held in memory as raw candles
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const csv = require('csv-parser');
+
+const DEFAULT_CHUNK_SIZE = 10000;
+
+const toMs = (timestamp) => (timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime());
+
+/**
+ * Read one CSV row as `{ candle }`, or `{ reason }` when it is invalid.
+ * Supports timestamp columns named timestamp, time, date or datetime, in ISO 8601 or "YYYY-MM-DD HH:MM:SS" format.
+ */
+const readCandleRow = (row) => {
+  // Try different timestamp column names
+  const timeValue = row.timestamp || row.time || row.date || row.datetime;
+
+  // Replace space with T for ISO 8601 format conversion
+  let timestamp;
+  if (typeof timeValue === 'string') {
+    timestamp = new Date(timeValue.includes(' ') ? timeValue.replace(' ', 'T') : timeValue);
+  } else {
+    timestamp = new Date(timeValue);
+  }
+  if (isNaN(timestamp.getTime())) {
+    return { reason: timeValue ? `invalid timestamp: ${timeValue}` : 'missing timestamp' };
+  }
+
+  const candle = {
+    timestamp,
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    volume: parseFloat(row.volume || 0),
+  };
+  const badPrices = ['open', 'high', 'low', 'close'].filter(field => isNaN(candle[field]));
+  if (badPrices.length > 0) {
+    return { reason: `invalid ${badPrices.join(', ')}` };
+  }
+  return { candle };
+};
+
+/**
+ * Parse one CSV row into a candle, or null when it is invalid
+ */
+const parseCandleRow = (row) => {
+  const { candle, reason } = readCandleRow(row);
+  if (reason && reason.startsWith('invalid timestamp')) console.warn(`Skipping row with ${reason}`);
+  return candle || null;
+};
+
+/**
+ * Whether a file starts with the gzip magic bytes (uploads are stored without their extension)
+ */
+const isGzipFile = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(2);
+    const bytesRead = fs.readSync(fd, header, 0, 2, 0);
+    return bytesRead === 2 && header[0] === 0x1f && header[1] === 0x8b;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Read a CSV file (gunzipping it when compressed) and yield its valid candles in arrays of up to `chunkSize`.
+ * With a data quality `report` (see dataQuality.js), every row is recorded on it and only the candles
+ * it accepts are yielded.
+ */
+async function* readCandleChunks(filePath, { chunkSize = DEFAULT_CHUNK_SIZE, report = null } = {}) {
+  let stream = fs.createReadStream(filePath);
+  if (isGzipFile(filePath)) stream = stream.pipe(zlib.createGunzip());
+  const rows = stream.pipe(csv());
+
+  // Errors on the file or gunzip streams surface through the CSV parser
+  stream.on('error', error => rows.destroy(error));
+
+  let chunk = [];
+  let line = 1; // The header
+  for await (const row of rows) {
+    line++;
+    let candle;
+    if (report) {
+      const read = readCandleRow(row);
+      if (read.reason) {
+        report.skip(line, read.reason);
+        continue;
+      }
+      if (!report.check(read.candle, line)) continue;
+      candle = read.candle;
+    } else {
+      candle = parseCandleRow(row);
+      if (!candle) continue;
+    }
+    chunk.push(candle);
+    if (chunk.length >= chunkSize) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) yield chunk;
+}
+
+/**
+ * Aggregator that folds time-ordered candles into each timeframe as they arrive.
+ * `intervals` maps each timeframe to its length in ms, or to a function from a timestamp to the start
+ * of its bar (see calendar.js). A bar is complete once a candle from a later bucket arrives, so a
+ * candle belonging to an already completed bar cannot be added: `push()` drops it and returns false.
+ * `finish()` returns the timeframe -> candles mapping.
+ */
+const createStreamAggregator = (intervals) => {
+  const frames = Object.entries(intervals).map(([timeframe, interval]) => ({
+    timeframe,
+    bucketOf: typeof interval === 'function' ? interval : ts => Math.floor(ts / interval) * interval,
+    bar: null,
+    candles: [],
+  }));
+
+  const push = (candle) => {
+    const ts = toMs(candle.timestamp);
+    const buckets = frames.map(frame => frame.bucketOf(ts));
+    // Out-of-order candles are dropped from every timeframe, keeping the timeframes consistent
+    if (frames.some((frame, i) => frame.bar && buckets[i] < frame.bar.timestamp.getTime())) return false;
+
+    frames.forEach((frame, i) => {
+      const bucket = buckets[i];
+      const { bar } = frame;
+      if (bar && bucket === bar.timestamp.getTime()) {
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += candle.volume || 0;
+        return;
+      }
+      if (bar) frame.candles.push(bar);
+      frame.bar = {
+        timestamp: new Date(bucket),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0,
+      };
+    });
+    return true;
+  };
+
+  const finish = () => {
+    const candlesByTf = {};
+    for (const frame of frames) {
+      if (frame.bar) frame.candles.push(frame.bar);
+      frame.bar = null;
+      candlesByTf[frame.timeframe] = frame.candles;
+    }
+    return candlesByTf;
+  };
+
+  return { push, finish };
+};
+
+/**
+ * Consume a candle source (an iterable or async iterable of candles or candle arrays) into
+ * per-timeframe bars. Raw candles are only kept, as `raw`, when `keepRaw` is set.
+ * `count` is the number of candles used; `dropped` counts out-of-order candles left out.
+ */
+const collectCandles = async (source, intervals, { keepRaw = false } = {}) => {
+  const aggregator = createStreamAggregator(intervals);
+  const raw = keepRaw ? [] : null;
+  let count = 0;
+  let dropped = 0;
+
+  const add = (candle) => {
+    if (!aggregator.push(candle)) {
+      dropped++;
+      return;
+    }
+    if (raw) raw.push(candle);
+    count++;
+  };
+  for await (const item of source) {
+    if (Array.isArray(item)) {
+      for (const candle of item) add(candle);
+    } else {
+      add(item);
+    }
+  }
+
+  return { raw, candlesByTf: aggregator.finish(), count, dropped };
+};
+
+module.exports = {
+  readCandleRow,
+  parseCandleRow,
+  isGzipFile,
+  readCandleChunks,
+  createStreamAggregator,
+  collectCandles,
+};
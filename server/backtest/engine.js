@@ -8,40 +8,170 @@
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 const vm = require('vm');
+const { buyAndHoldCurve, compareToBenchmark } = require('./benchmark');
+const { resolveMarginOptions, liquidationPrice } = require('../trading/margin');
+const { createCommissionModel } = require('../trading/commission');
+const { createSlippageModel, resolveVolumeCap, capToVolume } = require('../trading/slippage');
+const { createIndicators } = require('../trading/indicators');
+const { createSeriesView } = require('../utils/series');
+const { readCandleChunks, collectCandles } = require('./dataStream');
+const { DATA_VALIDATION_MODES, createQualityReport, repairCandles, describeIssues } = require('./dataQuality');
+const { parseTimeframe, createCalendar } = require('./calendar');
+const { getTimeZone } = require('../utils/timezone');
+const { createSessionClock } = require('../trading/sessions');
+const { MAX_LOG_ENTRIES, createStrategyLog } = require('../trading/strategyLog');
+const { createAnnotations } = require('./annotations');
+
+const INTRABAR_MODELS = ['OHLC', 'OLHC', 'WORST'];
+const SIZING_MODES = ['signal', 'units', 'notional', 'percentEquity', 'riskPercent'];
+const LOT_ACCOUNTING = ['FIFO', 'LIFO'];
+const TIMEFRAME_ALIGNMENTS = ['open', 'closed', 'forming'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Timestamp (Date, ISO string or epoch ms) to epoch milliseconds
+function toMs(timestamp) {
+  return timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+}
 
 class BacktestEngine {
   constructor(options = {}) {
-    this.commission = options.commission || 0.001; // 0.1% default
-    this.slippage = options.slippage || 0.0005; // 0.05% default
+    // Commission: a percentage of notional (0.1% default) or a commission model config, see trading/commission.js
+    this.commission = options.commission ?? 0.001;
+    createCommissionModel(this.commission); // Validate the config up front
+    // Slippage: a fraction of price (0.05% default) or a slippage model config, see trading/slippage.js
+    this.slippage = options.slippage ?? 0.0005;
+    createSlippageModel(this.slippage); // Validate the config up front
+    // Optional cap on the share of a candle's volume that strategy orders may trade on it
+    const volumeCap = resolveVolumeCap(options);
+    this.maxVolumeShare = volumeCap.maxVolumeShare;
+    this.volumeCapMode = volumeCap.volumeCapMode;
     this.initialCapital = options.initialCapital || 10000;
+    // Symbol recorded on trades of a single-series run (portfolio runs use their own symbols)
+    this.symbol = options.symbol || null;
     // Support multiple timeframes (array). Backwards compatible with single 'timeframe' option.
     this.timeframes = options.timeframes || (options.timeframe ? [options.timeframe] : ['1h']);
+    // Timeframe the strategy steps on. By default it steps on every raw candle (or the smallest supplied timeframe).
+    this.primaryTimeframe = options.primaryTimeframe || null;
+    if (this.primaryTimeframe && !this.timeframes.includes(this.primaryTimeframe)) {
+      throw new Error(`Primary timeframe ${this.primaryTimeframe} is not one of the timeframes`);
+    }
+    // When strategies see higher-timeframe bars: 'open' from the bar's start (its high/low/close look ahead),
+    // 'closed' once its last primary candle has passed, 'forming' also adds the bar so far as ctx.formingByTf
+    this.timeframeAlignment = options.timeframeAlignment || 'open';
+    if (!TIMEFRAME_ALIGNMENTS.includes(this.timeframeAlignment)) {
+      throw new Error(`Invalid timeframe alignment: ${options.timeframeAlignment}`);
+    }
+    // What loading a CSV does with invalid rows: 'report' skips them, 'strict' rejects the file, 'repair' also sorts and dedupes
+    this.dataValidation = options.dataValidation || 'report';
+    if (!DATA_VALIDATION_MODES.includes(this.dataValidation)) {
+      throw new Error(`Invalid data validation mode: ${options.dataValidation}`);
+    }
+    // Intrabar price path used to resolve stops, targets and resting orders: 'OHLC', 'OLHC' or 'WORST'
+    this.intrabarModel = String(options.intrabarModel || 'WORST').toUpperCase();
+    if (!INTRABAR_MODELS.includes(this.intrabarModel)) {
+      throw new Error(`Invalid intrabar model: ${options.intrabarModel}`);
+    }
+    // Position sizing: 'signal' uses the strategy's `size`; other modes override it with `sizingValue`
+    this.sizingMode = options.sizingMode || 'signal';
+    this.sizingValue = options.sizingValue;
+    if (!SIZING_MODES.includes(this.sizingMode)) {
+      throw new Error(`Invalid sizing mode: ${options.sizingMode}`);
+    }
+    if (this.sizingMode !== 'signal' && !(Number.isFinite(this.sizingValue) && this.sizingValue > 0)) {
+      throw new Error(`Sizing mode ${this.sizingMode} requires a positive sizingValue`);
+    }
+    // Pyramiding: max number of open entries (lots) in one direction; lotAccounting picks which lots exits close first
+    this.pyramiding = options.pyramiding || 1;
+    this.lotAccounting = String(options.lotAccounting || 'FIFO').toUpperCase();
+    if (!(Number.isInteger(this.pyramiding) && this.pyramiding >= 1)) {
+      throw new Error(`Invalid pyramiding limit: ${options.pyramiding}`);
+    }
+    if (!LOT_ACCOUNTING.includes(this.lotAccounting)) {
+      throw new Error(`Invalid lot accounting: ${options.lotAccounting}`);
+    }
+    // Holding costs: annualized borrow rate charged on short notional while held, and per-night
+    // swap rates on notional (positive credits, negative charges) applied at each daily rollover.
+    // `rolloverTime` is wall-clock time in `timeZone` (default UTC), so it follows DST changes.
+    this.borrowRate = options.borrowRate || 0;
+    this.swapLong = options.swapLong || 0;
+    this.swapShort = options.swapShort || 0;
+    this.rolloverTime = options.rolloverTime || '00:00';
+    const rollover = String(this.rolloverTime).match(/^(\d{1,2}):(\d{2})$/);
+    if (!rollover || parseInt(rollover[1], 10) > 23 || parseInt(rollover[2], 10) > 59) {
+      throw new Error(`Invalid rollover time: ${options.rolloverTime}`);
+    }
+    this.rolloverOffsetMs = (parseInt(rollover[1], 10) * 60 + parseInt(rollover[2], 10)) * 60 * 1000;
+    // Weekday (0 = Sunday) whose rollover counts three nights, e.g. 3 for FX Wednesday rollover
+    this.tripleSwapDay = options.tripleSwapDay ?? null;
+    if (this.tripleSwapDay !== null && !(Number.isInteger(this.tripleSwapDay) && this.tripleSwapDay >= 0 && this.tripleSwapDay <= 6)) {
+      throw new Error(`Invalid triple swap day: ${options.tripleSwapDay}`);
+    }
+    // Margin: lots reserve `initialMargin` of their notional from capital; positions are liquidated
+    // when equity falls below `maintenanceMargin` of notional. Defaults to fully cash-funded.
+    const margin = resolveMarginOptions(options);
+    this.leverage = margin.leverage;
+    this.initialMargin = margin.initialMargin;
+    this.maintenanceMargin = margin.maintenanceMargin;
+    // Bar boundaries: `timeZone` and `sessionStart` anchor daily (and weekly/monthly) bars to a market's
+    // trading day, e.g. 'America/New_York' and '17:00' for gold; `weekStart` is the weekday weeks start on
+    this.calendar = createCalendar({
+      timeZone: options.timeZone,
+      sessionStart: options.sessionStart || '00:00',
+      weekStart: options.weekStart ?? 1,
+    });
+    this.rolloverZone = getTimeZone(this.calendar.timeZone);
+    // Named sessions for ctx.session; strategy orders outside `tradingSessions` (when given) are blocked
+    this.sessions = options.sessions || {};
+    this.tradingSessions = options.tradingSessions || [];
+    this.sessionClock = createSessionClock({ sessions: this.sessions, tradingSessions: this.tradingSessions });
+    // Strategy console output kept per run; later entries are only counted
+    this.maxLogEntries = options.maxLogEntries ?? MAX_LOG_ENTRIES;
   }
 
-  // Convert timeframe string like '1m', '5m', '1h', '1d' to milliseconds
+  // Convert timeframe string like '1m', '5m', '1h', '1d', '1w' or '1mo' to milliseconds (months count as 30 days)
   timeframeToMs(tf) {
-    const match = String(tf).toLowerCase().match(/^(\d+)(m|h|d)$/);
-    if (!match) throw new Error(`Invalid timeframe: ${tf}`);
-    const n = parseInt(match[1], 10);
-    const unit = match[2];
-    if (unit === 'm') return n * 60 * 1000;
-    if (unit === 'h') return n * 60 * 60 * 1000;
-    if (unit === 'd') return n * 24 * 60 * 60 * 1000;
-    throw new Error(`Unsupported timeframe unit: ${unit}`);
+    return parseTimeframe(tf).ms;
+  }
+
+  // Bars per year actually present in sorted epoch-ms timestamps, so market closures (weekends,
+  // session breaks) are not counted as bars (null with fewer than two distinct times)
+  getPeriodsPerYear(timestamps) {
+    if (timestamps.length < 2) return null;
+    const years = (timestamps[timestamps.length - 1] - timestamps[0]) / YEAR_MS;
+    return years > 0 ? (timestamps.length - 1) / years : null;
+  }
+
+  // Shortest spacing between sorted candles (0 with fewer than two): the bar length, so fills at a
+  // bar's close are timed at its end even where the next bar only opens after a market closure
+  getBarLength(candles) {
+    let barMs = 0;
+    for (let i = 1; i < candles.length; i++) {
+      const gap = toMs(candles[i].timestamp) - toMs(candles[i - 1].timestamp);
+      if (gap > 0 && (barMs === 0 || gap < barMs)) barMs = gap;
+    }
+    return barMs;
+  }
+
+  // Time a bar of the book's series ends: its open plus the bar length, or the next bar's open if sooner
+  getBarCloseTime(book, index) {
+    const end = toMs(book.primarySeries[index].timestamp) + book.barMs;
+    const next = book.primarySeries[index + 1];
+    return next ? Math.min(end, toMs(next.timestamp)) : end;
   }
 
   // Aggregate raw candles into the given timeframe
   aggregateCandles(candles, timeframe) {
     if (!Array.isArray(candles) || candles.length === 0) return [];
-    const interval = this.timeframeToMs(timeframe);
+    const bucketOf = this.calendar.bucketer(timeframe);
     const grouped = new Map();
 
     for (const c of candles) {
       const ts = c.timestamp instanceof Date ? c.timestamp.getTime() : new Date(c.timestamp).getTime();
-      const bucket = Math.floor(ts / interval) * interval;
+      const bucket = bucketOf(ts);
       if (!grouped.has(bucket)) grouped.set(bucket, []);
       grouped.get(bucket).push(c);
     }
@@ -74,64 +204,83 @@ class BacktestEngine {
   }
 
   /**
-   * Load OHLCV data from CSV file
+   * Load OHLCV data from CSV file (optionally gzip-compressed)
    * Expected format: timestamp,open,high,low,close,volume
    * Supports column names: timestamp, time, date, or datetime
    */
   async loadData(filePath) {
-    const candles = [];
-    
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (row) => {
-          // Try different timestamp column names
-          const timeValue = row.timestamp || row.time || row.date || row.datetime;
-          
-          // Parse the timestamp - handle both ISO 8601 and "YYYY-MM-DD HH:MM:SS" formats
-          let timestamp;
-          if (typeof timeValue === 'string') {
-            // Replace space with T for ISO 8601 format conversion
-            const isoString = timeValue.includes(' ') ? timeValue.replace(' ', 'T') : timeValue;
-            timestamp = new Date(isoString);
-          } else {
-            timestamp = new Date(timeValue);
-          }
-          
-          // Validate the parsed date
-          if (isNaN(timestamp.getTime())) {
-            console.warn(`Skipping row with invalid timestamp: ${timeValue}`);
-            return; // Skip invalid timestamps
-          }
-          
-          const candle = {
-            timestamp: timestamp,
-            open: parseFloat(row.open),
-            high: parseFloat(row.high),
-            low: parseFloat(row.low),
-            close: parseFloat(row.close),
-            volume: parseFloat(row.volume || 0),
-          };
-          
-          // Validate candle data
-          if (isNaN(candle.open) || isNaN(candle.high) || isNaN(candle.low) || isNaN(candle.close)) {
-            return; // Skip invalid rows
-          }
-          
-          candles.push(candle);
-        })
-        .on('end', () => {
-          console.log(`Loaded ${candles.length} candles from ${filePath}`);
-          resolve(candles);
-        })
-        .on('error', reject);
-    });
+    const { data } = await this.loadCsv(filePath);
+    return data;
+  }
+
+  /**
+   * Load a CSV file as the data of a single series for run().
+   * With a `primaryTimeframe`, candles are aggregated into `timeframes` while the file streams in
+   * and only those bars are kept (a timeframe -> candles mapping); otherwise this is loadData().
+   */
+  async loadSeries(filePath) {
+    const { data } = await this.loadCsv(filePath, { series: true });
+    return data;
+  }
+
+  /**
+   * Load a CSV file along with its data quality report, handling bad rows per `dataValidation`
+   * (see dataQuality.js). Returns `{ data, report }`, `data` being what loadSeries() (with `series`)
+   * or loadData() return. In 'strict' mode a file with invalid rows throws an error carrying the `report`.
+   * 'repair' mode holds the raw candles to sort them, even when aggregating into a primary timeframe.
+   */
+  async loadCsv(filePath, { series = false } = {}) {
+    const report = createQualityReport(this.dataValidation);
+    const chunks = readCandleChunks(filePath, { report });
+    const aggregate = series && this.primaryTimeframe;
+
+    let data;
+    let droppedOutOfOrder = 0;
+    if (this.dataValidation === 'repair') {
+      const candles = [];
+      for await (const chunk of chunks) {
+        for (const candle of chunk) candles.push(candle);
+      }
+      const repaired = repairCandles(candles, report);
+      data = aggregate ? (await collectCandles(repaired, this.getTimeframeBuckets())).candlesByTf : repaired;
+    } else if (aggregate) {
+      // Out-of-order rows (kept in 'report' mode) that fall in an already completed bar are left out
+      const collected = await collectCandles(chunks, this.getTimeframeBuckets());
+      data = collected.candlesByTf;
+      droppedOutOfOrder = collected.dropped;
+    } else {
+      data = [];
+      for await (const chunk of chunks) {
+        for (const candle of chunk) data.push(candle);
+      }
+    }
+
+    const quality = report.finish();
+    if (droppedOutOfOrder > 0) quality.droppedOutOfOrder = droppedOutOfOrder;
+    if (this.dataValidation === 'strict' && !quality.valid) {
+      const error = new Error(`Data quality check failed: ${describeIssues(quality)}`);
+      error.report = quality;
+      throw error;
+    }
+    if (!quality.valid) console.warn(`Data quality issues in ${filePath}: ${describeIssues(quality)}`);
+    console.log(aggregate
+      ? `Aggregated ${quality.rows} rows from ${filePath}`
+      : `Loaded ${data.length} candles from ${filePath}`);
+    return { data, report: quality };
+  }
+
+  // Bar bucketing function of each configured timeframe, for streaming aggregation
+  getTimeframeBuckets() {
+    const buckets = {};
+    for (const tf of this.timeframes) buckets[tf] = this.calendar.bucketer(tf);
+    return buckets;
   }
 
   /**
-   * Sandbox strategy code execution
+   * Sandbox strategy code execution. `strategyConsole` receives the strategy's console output
+   * (see trading/strategyLog.js); without one it is discarded.
    */
-  createStrategyFunction(code) {
+  createStrategyFunction(code, strategyConsole = null) {
     // Create a sandboxed context
     const sandbox = {
       module: { exports: {} },
@@ -144,8 +293,10 @@ class BacktestEngine {
         }
         throw new Error(`Module ${module} is not allowed in strategy code`);
       },
-      console: {
-        log: () => {}, // Suppress console logs in strategy
+      console: strategyConsole || {
+        log: () => {},
+        info: () => {},
+        warn: () => {},
         error: () => {},
       },
       setTimeout: undefined,
@@ -169,7 +320,8 @@ class BacktestEngine {
         })(module, exports, require, console);
       `;
       
-      vm.runInContext(wrappedCode, sandbox, { timeout: 1000 });
+      // The filename marks strategy frames in error stacks; the offset makes line numbers match the code
+      vm.runInContext(wrappedCode, sandbox, { timeout: 1000, filename: 'strategy.js', lineOffset: -3 });
       
       // Get the exported function from either module.exports or exports
       const strategyFn = sandbox.module.exports || sandbox.exports;
@@ -185,10 +337,11 @@ class BacktestEngine {
   }
 
   /**
-   * Run backtest
+   * Split backtest data into a primary series and per-timeframe candles.
+   * `data` is either a raw candle array, aggregated into this.timeframes, or a timeframe -> candles mapping.
+   * The primary series is `primaryTimeframe` when set, else the highest resolution available.
    */
-  async run(strategyCode, data, params = {}) {
-    const strategy = this.createStrategyFunction(strategyCode);
+  prepareSeries(data) {
     // Determine if `data` is a mapping of timeframe -> candles (object), or a single array
     const isMapping = data && typeof data === 'object' && !Array.isArray(data);
 
@@ -201,6 +354,10 @@ class BacktestEngine {
       // Pick the highest-resolution timeframe (smallest ms) among provided keys
       const keys = Object.keys(candlesByTf);
       if (keys.length === 0) throw new Error('No timeframe data provided');
+      if (this.primaryTimeframe) {
+        if (!candlesByTf[this.primaryTimeframe]) throw new Error(`No data for primary timeframe ${this.primaryTimeframe}`);
+        return { primarySeries: candlesByTf[this.primaryTimeframe], candlesByTf };
+      }
       let primaryTf = keys[0];
       let minMs = this.timeframeToMs(primaryTf);
       for (const k of keys) {
@@ -220,200 +377,999 @@ class BacktestEngine {
       const raw = Array.isArray(data) ? data : [];
       candlesByTf = this.createMultiTimeframeData(raw, this.timeframes);
       // Choose primary as the raw data (highest resolution available)
-      primarySeries = raw;
+      primarySeries = this.primaryTimeframe ? candlesByTf[this.primaryTimeframe] : raw;
     }
 
+    return { primarySeries, candlesByTf };
+  }
+
+  /**
+   * Run backtest.
+   * `options.benchmark` is an optional candle array to compare against instead of buying and holding `data`.
+   * `options.onProgress({ percent, bars, totalBars, trades })` is called each time another percent of the bars is processed.
+   * `options.tradeFrom` (a timestamp) makes the bars before it a warm-up: the strategy runs on them, so its
+   * indicators and state are ready, but its orders are ignored and the results cover only the later bars.
+   */
+  async run(strategyCode, data, params = {}, options = {}) {
+    const log = this.createLog();
+    const strategy = this.createStrategyFunction(strategyCode, log.console);
+    const series = [{ symbol: this.symbol, ...this.prepareSeries(data) }];
+    return this.simulate(strategy, series, params, false, { ...options, log });
+  }
+
+  /**
+   * Run backtest over a stream of raw candles: any iterable or async iterable of candles or candle arrays,
+   * such as readCandleChunks(filePath). Candles are aggregated into `timeframes` as they arrive and are
+   * only kept when no `primaryTimeframe` is set (the strategy then steps on every raw candle).
+   */
+  async runStream(strategyCode, source, params = {}, options = {}) {
+    const log = this.createLog();
+    const strategy = this.createStrategyFunction(strategyCode, log.console);
+    const { raw, candlesByTf } = await collectCandles(source, this.getTimeframeBuckets(), { keepRaw: !this.primaryTimeframe });
+    const primarySeries = this.primaryTimeframe ? candlesByTf[this.primaryTimeframe] : raw;
+    return this.simulate(strategy, [{ symbol: this.symbol, primarySeries, candlesByTf }], params, false, { ...options, log });
+  }
+
+  /**
+   * Run a backtest over a basket of symbols sharing one capital pool.
+   * `dataBySymbol` maps each symbol to a raw candle array or a timeframe -> candles mapping.
+   * The strategy sees every symbol under `ctx.symbols` and returns one signal or an array of signals, each with a `symbol`.
+   * Without `options.benchmark` the benchmark is an equal-weight buy-and-hold of the basket.
+   */
+  async runPortfolio(strategyCode, dataBySymbol, params = {}, options = {}) {
+    const symbols = Object.keys(dataBySymbol || {});
+    if (symbols.length === 0) throw new Error('No symbol data provided');
+
+    const log = this.createLog();
+    const strategy = this.createStrategyFunction(strategyCode, log.console);
+    const series = symbols.map(symbol => ({ symbol, ...this.prepareSeries(dataBySymbol[symbol]) }));
+    const results = await this.simulate(strategy, series, params, true, { ...options, log });
+
+    // simulate() adds the per-symbol breakdown of the shared-capital run
+    results.symbols = symbols;
+    return results;
+  }
+
+  // Log capturing a run's strategy console output and exceptions
+  createLog() {
+    return createStrategyLog({ maxEntries: this.maxLogEntries });
+  }
+
+  /**
+   * Core simulation loop shared by run() and runPortfolio().
+   * A single series advances one candle per step. A basket advances on every distinct timestamp,
+   * each symbol consuming its candles up to that time, so symbols with gaps simply skip steps.
+   * `options` takes the `benchmark` candles, `onProgress` callback and `tradeFrom` warm-up described on run(),
+   * and the `log` the strategy's console writes to.
+   * Portfolio runs also return `perSymbol[symbol].metrics`, from the symbol's trades and an equity curve
+   * of the initial capital plus the symbol's realized and unrealized P&L.
+   */
+  async simulate(strategy, seriesList, params, isPortfolio, options = {}) {
+    const { benchmark: benchmarkCandles, onProgress, tradeFrom, log = this.createLog() } = options;
     // Initialize state
-    let capital = this.initialCapital;
-    let position = null; // { side: 'LONG'|'SHORT', size, entryPrice, entryTime }
-    const trades = [];
+    const account = {
+      capital: this.initialCapital,
+      // symbol -> { side: 'LONG'|'SHORT', lots: [{ id, size, entryPrice, entryTime, entryIndex, entryCommission, meta, orderType, stopLoss, takeProfit }] }
+      positions: new Map(),
+      marks: new Map(), // symbol -> latest close, for marking positions to market
+      fees: createCommissionModel(this.commission), // Fresh per run: tiered models track monthly volume
+      slippage: createSlippageModel(this.slippage), // Fresh per run: the ATR model tracks each symbol's bars
+      volumeUsed: new Map(), // symbol -> { index, used }: units traded on the current candle, for the volume cap
+      volumeLimited: { rejected: 0, partial: 0 },
+      sessionBlocked: 0, // Strategy orders blocked outside the trading sessions
+      trades: [],
+      nextLotId: 1,
+      // Time (epoch ms) of the fills being made: a candle's open for fills along its price path,
+      // its close for market orders and end-of-data exits. Holding costs accrue from and to it.
+      fillTime: null,
+    };
     const state = {};
+    // ctx.ta, caching indicator values across the run; a daily vwap restarts at each calendar trading day
+    const ta = createIndicators({ dayOf: this.calendar.bucketer('1d') });
+    // Per-step account series: equity, cash, exposure (gross value of open lots) and drawdown from the equity peak
+    const equityCurve = [];
+    let equityPeak = this.initialCapital;
+    const recordEquity = (timestamp) => {
+      const equity = this.getEquity(account);
+      equityPeak = Math.max(equityPeak, equity);
+      const point = {
+        timestamp,
+        equity,
+        cash: account.capital,
+        exposure: this.getExposure(account),
+        marginUsed: this.getMarginUsed(account),
+        drawdown: equityPeak - equity,
+        drawdownPercent: equityPeak > 0 ? ((equityPeak - equity) / equityPeak) * 100 : 0,
+      };
+      // Single-series runs also record the close, for the price chart under ctx.plot lines
+      if (!isPortfolio) point.price = books[0].candle.close;
+      return point;
+    };
+    // Portfolio runs: each symbol's share of the account, { timestamp, equity, exposure } per step
+    const symbolCurves = new Map();
+    const realizedBySymbol = new Map();
+    let realizedTrades = 0;
+    const recordSymbolEquity = (timestamp) => {
+      for (; realizedTrades < account.trades.length; realizedTrades++) {
+        const { symbol, pnl } = account.trades[realizedTrades];
+        realizedBySymbol.set(symbol, (realizedBySymbol.get(symbol) || 0) + pnl);
+      }
+      return books.map(({ symbol }) => ({
+        timestamp,
+        equity: this.initialCapital + (realizedBySymbol.get(symbol) || 0) + this.getUnrealizedPnL(account, symbol),
+        exposure: this.getExposure(account, symbol),
+      }));
+    };
+    const pushSymbolEquity = (points) => {
+      books.forEach(({ symbol }, i) => {
+        if (!symbolCurves.has(symbol)) symbolCurves.set(symbol, []);
+        symbolCurves.get(symbol).push(points[i]);
+      });
+    };
+    let nextOrderId = 1;
 
-    // We'll iterate over the primarySeries and provide aggregated candles up to the current timestamp for each requested timeframe.
-    const tfIndices = {};
-    for (const tf of Object.keys(candlesByTf)) tfIndices[tf] = 0;
+    // One book per symbol: its data, progress through the data and resting LIMIT/STOP orders
+    const books = seriesList.map(({ symbol, primarySeries, candlesByTf }) => {
+      const tfIndices = {};
+      const tfBuckets = {};
+      for (const tf of Object.keys(candlesByTf)) {
+        tfIndices[tf] = 0;
+        if (this.timeframeAlignment !== 'open') tfBuckets[tf] = this.calendar.bucketer(tf);
+      }
+      return {
+        symbol,
+        primarySeries,
+        barMs: this.getBarLength(primarySeries),
+        candlesByTf,
+        tfIndices,
+        tfBuckets,
+        formingBars: {},
+        next: 0,
+        index: -1,
+        candle: null,
+        updated: false,
+        candles: [],
+        ctxCandlesByTf: {},
+        formingByTf: {},
+        pendingOrders: [],
+      };
+    });
+    const bookBySymbol = new Map(books.map(b => [b.symbol, b]));
 
-    // Process each candle (primary timeline)
-    for (let i = 0; i < primarySeries.length; i++) {
-      const candle = primarySeries[i];
-      const currentTs = candle.timestamp instanceof Date ? candle.timestamp.getTime() : new Date(candle.timestamp).getTime();
+    let timeline;
+    if (isPortfolio) {
+      const stamps = new Set();
+      for (const book of books) {
+        for (const c of book.primarySeries) stamps.add(toMs(c.timestamp));
+      }
+      timeline = Array.from(stamps).sort((a, b) => a - b);
+    } else {
+      timeline = books[0].primarySeries.map(c => toMs(c.timestamp));
+    }
+    // Steps before `tradeFrom` only warm the strategy up
+    const tradeFromMs = tradeFrom !== undefined ? toMs(tradeFrom) : -Infinity;
+    const warmupSteps = timeline.filter(ts => ts < tradeFromMs).length;
+    const tradedTimeline = timeline.slice(warmupSteps);
 
-      // For each timeframe, advance index while its candles are <= currentTs
-      const ctxCandlesByTf = {};
-      for (const tf of Object.keys(candlesByTf)) {
-        const arr = candlesByTf[tf] || [];
-        let idx = tfIndices[tf] || 0;
-        while (idx < arr.length && (arr[idx].timestamp instanceof Date ? arr[idx].timestamp.getTime() : new Date(arr[idx].timestamp).getTime()) <= currentTs) {
-          idx++;
+    // ctx.plot lines and ctx.mark markers, one plot value per traded step
+    const annotations = createAnnotations(tradedTimeline.length);
+
+    // Report progress whenever the whole percent of processed steps changes
+    let reportedPercent = -1;
+    const reportProgress = (bars) => {
+      if (!onProgress) return;
+      const percent = timeline.length > 0 ? Math.floor((bars / timeline.length) * 100) : 100;
+      if (percent === reportedPercent) return;
+      reportedPercent = percent;
+      onProgress({ percent, bars, totalBars: timeline.length, trades: account.trades.length });
+    };
+
+    // Process each step of the timeline
+    for (let step = 0; step < timeline.length; step++) {
+      const stepTs = timeline[step];
+
+      for (const book of books) {
+        book.updated = false;
+        while (book.next < book.primarySeries.length
+          && (isPortfolio ? toMs(book.primarySeries[book.next].timestamp) <= stepTs : book.next <= step)) {
+          const i = book.next++;
+          const candle = book.primarySeries[i];
+
+          // Expire stale orders, then fill resting orders and brackets along the candle's price path.
+          // Outside the trading sessions resting orders wait; brackets still protect open positions.
+          for (let o = book.pendingOrders.length - 1; o >= 0; o--) {
+            const order = book.pendingOrders[o];
+            if (order.expiresAfter && i - order.placedIndex > order.expiresAfter) {
+              book.pendingOrders.splice(o, 1);
+            }
+          }
+          account.fillTime = toMs(candle.timestamp);
+          this.applyHoldingCosts(account, book.symbol, account.fillTime);
+          this.fillIntrabar(account, book, candle, i, this.sessionClock.isTradingAllowed(toMs(candle.timestamp)));
+          this.trackExcursions(account.positions.get(book.symbol), candle, i);
+          this.checkMargin(account, book.symbol, candle, i);
+          account.marks.set(book.symbol, candle.close);
+          account.slippage.update(book.symbol, candle);
+
+          book.candle = candle;
+          book.index = i;
+          book.updated = true;
+          if (this.timeframeAlignment === 'forming') this.updateFormingBars(book, candle);
         }
-        tfIndices[tf] = idx;
-        // Provide a shallow copy slice up to idx
-        ctxCandlesByTf[tf] = arr.slice(0, idx);
+
+        if (!book.updated) continue;
+        const currentTs = toMs(book.candle.timestamp);
+
+        // For each timeframe, advance index while its candles are <= currentTs
+        const ctxCandlesByTf = {};
+        const formingByTf = {};
+        const nextCandle = book.primarySeries[book.index + 1];
+        for (const tf of Object.keys(book.candlesByTf)) {
+          const arr = book.candlesByTf[tf] || [];
+          let idx = book.tfIndices[tf] || 0;
+          while (idx < arr.length && toMs(arr[idx].timestamp) <= currentTs) {
+            idx++;
+          }
+          book.tfIndices[tf] = idx;
+          // The latest bar that has started is closed once the next primary candle falls in a later bar;
+          // at the end of the data it stays hidden, as it may be incomplete
+          let visible = idx;
+          if (this.timeframeAlignment !== 'open' && arr !== book.primarySeries && idx > 0) {
+            const barStart = toMs(arr[idx - 1].timestamp);
+            if (!nextCandle || book.tfBuckets[tf](toMs(nextCandle.timestamp)) <= barStart) visible = idx - 1;
+          }
+          // Read-only views of the candles up to now, without copying them every step
+          ctxCandlesByTf[tf] = createSeriesView(arr, visible);
+          if (this.timeframeAlignment === 'forming') {
+            const bar = book.formingBars[tf];
+            formingByTf[tf] = visible < idx && bar ? { ...bar } : null;
+          }
+        }
+        book.ctxCandlesByTf = ctxCandlesByTf;
+        book.formingByTf = formingByTf;
+        book.candles = createSeriesView(book.primarySeries, book.index + 1);
       }
 
-      const ctx = {
-        candles: primarySeries.slice(0, i + 1), // Backwards compatibility: primary timeline candles up to now
-        index: i,
-        params: params,
-        state: state,
-        candlesByTf: ctxCandlesByTf,
-        currentCandle: candle,
-      };
+      // Sessions by the step's time (the current bar's timestamp); ctx.session is only worked out when read
+      const sessionTs = isPortfolio ? stepTs : toMs(books[0].candle.timestamp);
+      const warmingUp = step < warmupSteps;
+      const tradingAllowed = this.sessionClock.isTradingAllowed(sessionTs);
+      let session = null;
+      const getSession = () => session || (session = this.sessionClock.at(sessionTs));
+
+      let ctx;
+      if (isPortfolio) {
+        const symbols = {};
+        for (const book of books) {
+          symbols[book.symbol] = {
+            candles: book.candles,
+            candlesByTf: book.ctxCandlesByTf,
+            formingByTf: book.formingByTf,
+            currentCandle: book.candle,
+            index: book.index,
+            updated: book.updated, // false when this symbol has no candle at this step
+            position: this.getPositionSnapshot(account.positions.get(book.symbol)),
+            pendingOrders: book.pendingOrders.map(o => ({ ...o })),
+          };
+        }
+        ctx = {
+          index: step,
+          timestamp: new Date(stepTs),
+          params: params,
+          state: state,
+          ta,
+          get session() { return getSession(); },
+          plot: annotations.plot,
+          mark: annotations.mark,
+          symbols,
+          capital: account.capital,
+          equity: this.getEquity(account),
+        };
+      } else {
+        const book = books[0];
+        ctx = {
+          candles: book.candles, // Backwards compatibility: primary timeline candles up to now
+          index: book.index,
+          params: params,
+          state: state,
+          ta,
+          get session() { return getSession(); },
+          plot: annotations.plot,
+          mark: annotations.mark,
+          candlesByTf: book.ctxCandlesByTf,
+          formingByTf: book.formingByTf,
+          currentCandle: book.candle,
+          pendingOrders: book.pendingOrders.map(o => ({ ...o })),
+          position: this.getPositionSnapshot(account.positions.get(book.symbol)),
+        };
+      }
 
+      log.setBar(ctx.index, new Date(sessionTs));
+      annotations.setStep(step - warmupSteps, new Date(stepTs), isPortfolio ? null : books[0].candle.close);
       try {
-        // Get strategy signal
+        // Get strategy signal(s)
         const signal = await strategy(ctx);
-        
-        const { signal: action, size, meta } = signal || { signal: 'HOLD' };
-
-        // Handle position management
-        if (action === 'BUY' && !position) {
-          // Open long position
-          const tradeSize = size || 1.0;
-          const entryPrice = candle.close * (1 + this.slippage);
-          const cost = entryPrice * tradeSize;
-          const commissionCost = cost * this.commission;
-          const totalCost = cost + commissionCost;
-          
-          if (capital >= totalCost) {
-            position = {
-              side: 'LONG',
-              size: tradeSize,
-              entryPrice: entryPrice,
-              entryTime: candle.timestamp,
-              entryIndex: i,
-              meta: meta || {},
-              totalCost: totalCost,
-            };
-            capital -= totalCost;
-          }
-        } else if (action === 'SELL' && position) {
-          // Close position
-          const exitPrice = candle.close * (1 - this.slippage);
-          const revenue = exitPrice * position.size;
-          const commissionCost = revenue * this.commission;
-          const netRevenue = revenue - commissionCost;
-          
-          let pnl;
-          if (position.side === 'LONG') {
-            // For long positions: profit if exit > entry
-            pnl = netRevenue - position.totalCost;
-          } else {
-            // For short positions: profit if entry > exit (inverted logic)
-            pnl = position.totalCost - netRevenue;
+        const signals = Array.isArray(signal) ? signal : [signal];
+
+        for (const s of signals) {
+          const order = this.normalizeOrder(s);
+          if (order.side === 'HOLD') continue;
+
+          if (order.side === 'CANCEL') {
+            // Cancel one resting order by id, every order of one symbol, or the whole book
+            for (const book of books) {
+              if (isPortfolio && order.symbol !== undefined && order.symbol !== book.symbol) continue;
+              if (order.orderId !== undefined) {
+                const idx = book.pendingOrders.findIndex(o => o.id === order.orderId);
+                if (idx !== -1) book.pendingOrders.splice(idx, 1);
+              } else {
+                book.pendingOrders.length = 0;
+              }
+            }
+            continue;
           }
-          const pnlPercent = (pnl / position.totalCost) * 100;
-          
-          capital += netRevenue;
-          
-          trades.push({
-            entryTime: position.entryTime,
-            exitTime: candle.timestamp,
-            side: position.side,
-            size: position.size,
-            entryPrice: position.entryPrice,
-            exitPrice: exitPrice,
-            pnl: pnl,
-            pnlPercent: pnlPercent,
-            entryIndex: position.entryIndex,
-            exitIndex: i,
-            meta: position.meta,
-          });
-          position = null;
-        } else if (action === 'SELL' && !position) {
-          // Open short position
-          const tradeSize = size || 1.0;
-          const entryPrice = candle.close * (1 - this.slippage);
-          const cost = entryPrice * tradeSize;
-          const commissionCost = cost * this.commission;
-          const totalCost = cost + commissionCost;
-          
-          if (capital >= totalCost) {
-            position = {
-              side: 'SHORT',
-              size: tradeSize,
-              entryPrice: entryPrice,
-              entryTime: candle.timestamp,
-              entryIndex: i,
-              meta: meta || {},
-              totalCost: totalCost,
-            };
-            capital -= totalCost;
+          if (order.side !== 'BUY' && order.side !== 'SELL') continue;
+          if (warmingUp) continue;
+          if (!tradingAllowed) {
+            account.sessionBlocked++;
+            continue;
           }
-        }
 
-        // Calculate total equity including unrealized P&L
-        let totalEquity = capital;
-        if (position) {
-          const currentPrice = candle.close;
-          let unrealizedPnL;
-          if (position.side === 'LONG') {
-            unrealizedPnL = (currentPrice - position.entryPrice) * position.size;
+          const book = isPortfolio ? bookBySymbol.get(order.symbol) : books[0];
+          if (!book) throw new Error(`Unknown symbol: ${order.symbol}`);
+          if (!book.candle) continue; // No data for this symbol yet
+          order.symbol = book.symbol;
+
+          if (order.orderType === 'MARKET') {
+            account.fillTime = this.getBarCloseTime(book, book.index);
+            this.executeOrder(account, order, book.candle.close, book.candle, book.index, true);
           } else {
-            // Short position: profit when price goes down
-            unrealizedPnL = (position.entryPrice - currentPrice) * position.size;
+            book.pendingOrders.push({ ...order, id: nextOrderId++, placedIndex: book.index, placedTime: book.candle.timestamp });
           }
-          totalEquity = capital + unrealizedPnL;
         }
-
-        // Record equity curve at each candle (includes unrealized P&L)
-        equityCurve.push({
-          timestamp: candle.timestamp,
-          equity: totalEquity,
-        });
       } catch (error) {
-        console.error(`Strategy error at candle ${i}:`, error.message);
-        // Continue execution even if strategy throws
+        // Record the error and continue with the next candle
+        log.recordError(error);
       }
+
+      // Record equity curve at each traded step (includes unrealized P&L)
+      if (!warmingUp) {
+        equityCurve.push(recordEquity(new Date(stepTs)));
+        if (isPortfolio) pushSymbolEquity(recordSymbolEquity(new Date(stepTs)));
+      }
+      reportProgress(step + 1);
     }
 
-    // Close any open position at the end
-    if (position && primarySeries.length > 0) {
-      const lastCandle = primarySeries[primarySeries.length - 1];
-      const exitPrice = lastCandle.close * (1 - this.slippage);
-      const revenue = exitPrice * position.size;
-      const commissionCost = revenue * this.commission;
-      const netRevenue = revenue - commissionCost;
-      
-      capital += netRevenue;
-      
-      let pnl;
-      if (position.side === 'LONG') {
-        // For long positions: profit if exit > entry
-        pnl = netRevenue - position.totalCost;
-      } else {
-        // For short positions: profit if entry > exit (inverted logic)
-        pnl = position.totalCost - netRevenue;
+    // Close any open positions at the end
+    const hadOpenPositions = account.positions.size > 0;
+    for (const book of books) {
+      const position = account.positions.get(book.symbol);
+      if (position && book.primarySeries.length > 0) {
+        const lastIndex = book.primarySeries.length - 1;
+        const lastCandle = book.primarySeries[lastIndex];
+        const exitPrice = this.getFillPrice(account, book.symbol, position.side === 'LONG' ? 'SELL' : 'BUY',
+          lastCandle.close, this.getPositionUnits(position), lastCandle);
+        account.fillTime = this.getBarCloseTime(book, lastIndex);
+        this.reducePosition(account, book.symbol, Infinity, exitPrice, lastCandle, lastIndex, 'MARKET', 'end_of_data');
+      }
+    }
+
+    // The last point reflects the end-of-data exits, so the curve ends at the final capital
+    if (hadOpenPositions && equityCurve.length > 0) {
+      const { timestamp } = equityCurve[equityCurve.length - 1];
+      equityCurve[equityCurve.length - 1] = recordEquity(timestamp);
+      if (isPortfolio) {
+        recordSymbolEquity(timestamp).forEach((point, i) => {
+          const curve = symbolCurves.get(books[i].symbol);
+          curve[curve.length - 1] = point;
+        });
       }
-      const pnlPercent = (pnl / position.totalCost) * 100;
-      
-      trades.push({
-        entryTime: position.entryTime,
-        exitTime: lastCandle.timestamp,
-        side: position.side,
-        size: position.size,
-        entryPrice: position.entryPrice,
-        exitPrice: exitPrice,
-        pnl: pnl,
-        pnlPercent: pnlPercent,
-        entryIndex: position.entryIndex,
-        exitIndex: primarySeries.length - 1,
-        meta: position.meta,
-      });
     }
 
     // Calculate metrics
-    const metrics = this.calculateMetrics(trades, [], this.initialCapital);
+    const { trades } = account;
+    const metrics = this.calculateMetrics(trades, equityCurve, this.initialCapital);
+
+    // Compare against buy-and-hold of the traded candles, or of the supplied benchmark series
+    const hasBenchmarkFile = Array.isArray(benchmarkCandles) && benchmarkCandles.length > 0;
+    const benchmarkSets = hasBenchmarkFile ? [benchmarkCandles] : books.map(b => b.primarySeries);
+    // Entry commission as a rate, quoted for investing all capital at the first close
+    const firstCandle = benchmarkSets.find(c => c.length > 0)?.[0];
+    const benchmarkCommission = firstCandle
+      ? createCommissionModel(this.commission).quote({
+        price: firstCandle.close,
+        size: this.initialCapital / firstCandle.close,
+        orderType: 'MARKET',
+        timestamp: firstCandle.timestamp,
+      }) / this.initialCapital
+      : 0;
+    const benchmarkCurve = buyAndHoldCurve(tradedTimeline, benchmarkSets, this.initialCapital, benchmarkCommission);
+    const benchmark = benchmarkCurve.length > 0
+      ? {
+        source: hasBenchmarkFile ? 'file' : 'buy_and_hold',
+        finalEquity: parseFloat(benchmarkCurve[benchmarkCurve.length - 1].equity.toFixed(2)),
+        metrics: compareToBenchmark(equityCurve, benchmarkCurve, this.initialCapital, this.getPeriodsPerYear(tradedTimeline)),
+        equityCurve: benchmarkCurve,
+      }
+      : null;
+
+    let perSymbol;
+    if (isPortfolio) {
+      perSymbol = {};
+      for (const { symbol } of books) {
+        const symbolTrades = trades.filter(t => t.symbol === symbol);
+        perSymbol[symbol] = {
+          metrics: this.calculateMetrics(symbolTrades, symbolCurves.get(symbol) || [], this.initialCapital),
+        };
+      }
+    }
 
     return {
       trades,
       metrics,
-      finalCapital: capital,
+      ...(perSymbol && { perSymbol }),
+      equityCurve,
+      benchmark,
+      initialCapital: this.initialCapital,
+      finalCapital: account.capital,
+      intrabarModel: this.intrabarModel,
+      sizing: { mode: this.sizingMode, value: this.sizingValue ?? null },
+      margin: { leverage: this.leverage, initialMargin: this.initialMargin, maintenanceMargin: this.maintenanceMargin },
+      volumeCap: { maxVolumeShare: this.maxVolumeShare, mode: this.volumeCapMode, ...account.volumeLimited },
+      timeframeAlignment: this.timeframeAlignment,
+      calendar: { timeZone: this.calendar.timeZone, sessionStart: this.calendar.sessionStart, weekStart: this.calendar.weekStart },
+      sessionFilter: { tradingSessions: this.tradingSessions, blocked: account.sessionBlocked },
+      logs: log.logs,
+      errors: log.errors,
+      annotations: { plots: annotations.plots, marks: annotations.marks },
+    };
+  }
+
+  /**
+   * Fold a primary candle into the bar it belongs to on each timeframe, giving the
+   * higher-timeframe bars in progress built only from primary candles seen so far
+   */
+  updateFormingBars(book, candle) {
+    const ts = toMs(candle.timestamp);
+    for (const tf of Object.keys(book.candlesByTf)) {
+      const start = book.tfBuckets[tf](ts);
+      const bar = book.formingBars[tf];
+      if (bar && bar.timestamp.getTime() === start) {
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += candle.volume || 0;
+      } else {
+        book.formingBars[tf] = {
+          timestamp: new Date(start),
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume || 0,
+        };
+      }
+    }
+  }
+
+  /**
+   * Normalize a strategy signal into an order.
+   * MARKET orders execute on the current candle; LIMIT and STOP orders need a
+   * `price` and rest in the pending-order book until a later candle crosses it.
+   * Optional `stopLoss` / `takeProfit` levels become brackets on the opened position.
+   */
+  normalizeOrder(signal) {
+    const { signal: action, symbol, size, meta, orderType, price, expiresAfter, orderId, stopLoss, takeProfit } = signal || { signal: 'HOLD' };
+    const side = typeof action === 'string' ? action.toUpperCase() : 'HOLD';
+    const type = typeof orderType === 'string' ? orderType.toUpperCase() : 'MARKET';
+
+    if (!['MARKET', 'LIMIT', 'STOP'].includes(type)) {
+      throw new Error(`Unsupported order type: ${orderType}`);
+    }
+    if (type !== 'MARKET' && (side === 'BUY' || side === 'SELL') && !(Number.isFinite(price) && price > 0)) {
+      throw new Error(`${type} order requires a positive price`);
+    }
+    for (const [name, level] of [['stopLoss', stopLoss], ['takeProfit', takeProfit]]) {
+      if (level !== undefined && level !== null && !(Number.isFinite(level) && level > 0)) {
+        throw new Error(`${name} must be a positive price`);
+      }
+    }
+
+    return {
+      side,
+      symbol,
+      orderType: type,
+      price: type === 'MARKET' ? null : price,
+      size,
+      meta,
+      expiresAfter: Number.isInteger(expiresAfter) && expiresAfter > 0 ? expiresAfter : null,
+      orderId,
+      stopLoss: stopLoss || null,
+      takeProfit: takeProfit || null,
+    };
+  }
+
+  /**
+   * Price path assumed inside a candle, starting at the open.
+   * 'OHLC' visits the high first and 'OLHC' the low first. 'WORST' picks the order
+   * that hurts the open position, or a position the first resting order would open.
+   */
+  getIntrabarPath(candle, position, pendingOrders) {
+    let highFirst = this.intrabarModel === 'OHLC';
+    if (this.intrabarModel === 'WORST') {
+      if (position) {
+        // Longs are hurt by the low coming first, shorts by the high
+        highFirst = position.side === 'SHORT';
+      } else {
+        // A buy entry is hurt by filling late and falling afterwards, a sell entry the other way round
+        highFirst = pendingOrders.length === 0 || pendingOrders[0].side === 'BUY';
+      }
+    }
+    return highFirst
+      ? [candle.open, candle.high, candle.low, candle.close]
+      : [candle.open, candle.low, candle.high, candle.close];
+  }
+
+  /**
+   * Price levels that can fill inside a candle: each lot's brackets first, then resting orders in book order.
+   * `up` triggers fire when price rises to the level, the others when it falls to it.
+   */
+  getTriggers(position, pendingOrders) {
+    const triggers = [];
+    if (position) {
+      const isLong = position.side === 'LONG';
+      const side = isLong ? 'SELL' : 'BUY';
+      for (const lot of position.lots) {
+        if (lot.stopLoss) triggers.push({ kind: 'stop', level: lot.stopLoss, up: !isLong, side, lot });
+        if (lot.takeProfit) triggers.push({ kind: 'target', level: lot.takeProfit, up: isLong, side, lot });
+      }
+    }
+    for (const order of pendingOrders) {
+      // BUY STOP and SELL LIMIT sit above the market; BUY LIMIT and SELL STOP below it
+      const up = (order.side === 'BUY') === (order.orderType === 'STOP');
+      triggers.push({ kind: 'order', level: order.price, up, side: order.side, order });
+    }
+    return triggers;
+  }
+
+  /**
+   * Walk the candle's intrabar path and fill every bracket and resting order it crosses, in price-path order.
+   * Levels already crossed at the open fill at the open (gaps). Stops pay slippage; limits and targets
+   * never fill worse than their level. Resting orders are subject to the volume cap; brackets are not.
+   * A position opened inside the candle can be stopped out later in it. Resting orders only fill when
+   * `ordersAllowed` (the candle is inside the trading sessions).
+   */
+  fillIntrabar(account, book, candle, index, ordersAllowed = true) {
+    const { symbol } = book;
+    const pendingOrders = ordersAllowed ? book.pendingOrders : [];
+    const path = this.getIntrabarPath(candle, account.positions.get(symbol), pendingOrders);
+
+    for (let leg = 0; leg < path.length; leg++) {
+      const atOpen = leg === 0;
+      const to = path[leg];
+      let price = atOpen ? to : path[leg - 1];
+      const rising = to > price;
+
+      for (;;) {
+        // Find the next level reached along this leg
+        let hit = null;
+        for (const trigger of this.getTriggers(account.positions.get(symbol), pendingOrders)) {
+          let reached;
+          if (atOpen) {
+            reached = trigger.up ? to >= trigger.level : to <= trigger.level;
+          } else if (rising) {
+            reached = trigger.up && trigger.level > price && trigger.level <= to;
+          } else {
+            reached = !trigger.up && trigger.level < price && trigger.level >= to;
+          }
+          if (reached && (!hit || (rising ? trigger.level < hit.level : trigger.level > hit.level))) {
+            hit = trigger;
+          }
+        }
+        if (!hit) break;
+
+        const level = atOpen ? to : hit.level;
+        const isStop = hit.kind === 'stop' || (hit.kind === 'order' && hit.order.orderType === 'STOP');
+
+        if (hit.kind === 'order') {
+          pendingOrders.splice(pendingOrders.indexOf(hit.order), 1);
+          this.executeOrder(account, hit.order, level, candle, index, isStop);
+        } else {
+          const fillPrice = isStop ? this.getFillPrice(account, symbol, hit.side, level, hit.lot.size, candle) : level;
+          this.closeLot(account, symbol, hit.lot, hit.lot.size, fillPrice, candle, index, hit.kind === 'stop' ? 'STOP' : 'LIMIT', hit.kind);
+        }
+        price = level;
+      }
+    }
+  }
+
+  /**
+   * Apply a BUY/SELL order filling at `price` to the account.
+   * An order on the position's side (or when flat) opens a new lot, up to the pyramiding limit.
+   * An order against the position scales out `size` units, or closes it entirely when no size is given.
+   * Market and stop orders (`slip`) fill at the slippage model's price for their size. Orders larger than
+   * the candle's remaining volume cap are rejected or partially filled.
+   * Returns false when the order could not act on the account.
+   */
+  executeOrder(account, order, price, candle, index, slip = false) {
+    const position = account.positions.get(order.symbol);
+    const side = order.side === 'BUY' ? 'LONG' : 'SHORT';
+    const slipped = size => (slip ? this.getFillPrice(account, order.symbol, order.side, price, size, candle) : price);
+    const opening = !position || position.side === side;
+    if (opening && position && position.lots.length >= this.pyramiding) return false;
+
+    let size;
+    if (opening) {
+      // Size at the reference price, then again at the price slippage gives that size
+      size = this.getPositionSize(account, order, price, candle.timestamp);
+      if (slip) size = this.getPositionSize(account, order, slipped(size), candle.timestamp);
+    } else {
+      size = Math.min(order.size || Infinity, this.getPositionUnits(position));
+    }
+    if (!(size > 0)) return false;
+
+    const volume = account.volumeUsed.get(order.symbol);
+    const used = volume && volume.index === index ? volume.used : 0;
+    const capped = capToVolume(size, candle, used, { maxVolumeShare: this.maxVolumeShare, volumeCapMode: this.volumeCapMode });
+    if (capped.limited === 'rejected') {
+      account.volumeLimited.rejected++;
+      return false;
+    }
+
+    let filled = true;
+    if (opening) {
+      filled = this.openPosition(account, side, slipped(capped.size), capped.size, order, candle, index);
+    } else {
+      this.reducePosition(account, order.symbol, capped.size, slipped(capped.size), candle, index, order.orderType, 'signal');
+    }
+    if (filled) {
+      account.volumeUsed.set(order.symbol, { index, used: used + capped.size });
+      if (capped.limited === 'partial') account.volumeLimited.partial++;
+    }
+    return filled;
+  }
+
+  /**
+   * Price a BUY/SELL of `size` units fills at, moved from the reference `price` by the slippage model
+   */
+  getFillPrice(account, symbol, side, price, size, candle) {
+    return account.slippage.fillPrice(side, { symbol, price, size, candle });
+  }
+
+  /**
+   * Total units held across a position's lots
+   */
+  getPositionUnits(position) {
+    return position.lots.reduce((sum, lot) => sum + lot.size, 0);
+  }
+
+  /**
+   * Units to open for an entry under the configured sizing mode:
+   * - signal: the signal's `size` (default 1.0)
+   * - units: a fixed number of units
+   * - notional: a fixed cash amount
+   * - percentEquity: a percentage of current equity
+   * - riskPercent: lose a percentage of equity if the entry's stopLoss is hit
+   * Cash-based modes are capped at what the available capital (after commission) can pay for.
+   */
+  getPositionSize(account, order, entryPrice, timestamp) {
+    const equity = this.getEquity(account, { [order.symbol]: entryPrice });
+    let units;
+    switch (this.sizingMode) {
+      case 'units':
+        return this.sizingValue;
+      case 'notional':
+        units = this.sizingValue / entryPrice;
+        break;
+      case 'percentEquity':
+        units = (equity * this.sizingValue / 100) / entryPrice;
+        break;
+      case 'riskPercent': {
+        const stopDistance = order.stopLoss ? Math.abs(entryPrice - order.stopLoss) : 0;
+        if (!(stopDistance > 0)) return 0; // Cannot size risk without a stop
+        units = (equity * this.sizingValue / 100) / stopDistance;
+        break;
+      }
+      default:
+        return order.size || 1.0;
+    }
+    // Largest size whose margin plus commission fits in capital (fixed-point, since fees need not be linear)
+    let affordable = account.capital / (entryPrice * this.initialMargin);
+    for (let i = 0; i < 3; i++) {
+      const fee = account.fees.quote({ price: entryPrice, size: affordable, orderType: order.orderType, timestamp });
+      affordable = Math.max(0, (account.capital - fee) / (entryPrice * this.initialMargin));
+    }
+    return Math.min(units, affordable);
+  }
+
+  /**
+   * Open a new lot of `tradeSize` units if there is enough capital for its margin and commission.
+   * Longs and shorts both reserve `initialMargin` of their notional (all of it when unleveraged).
+   */
+  openPosition(account, side, entryPrice, tradeSize, order, candle, index) {
+    const cost = entryPrice * tradeSize;
+    const fill = { price: entryPrice, size: tradeSize, orderType: order.orderType, timestamp: candle.timestamp };
+    const margin = cost * this.initialMargin;
+    const totalCost = margin + account.fees.quote(fill);
+
+    // Small tolerance for floating-point error on sizes capped at the available capital
+    if (account.capital < totalCost - 1e-9) return false;
+    const commissionCost = account.fees.charge(fill);
+
+    if (!account.positions.has(order.symbol)) account.positions.set(order.symbol, { side, lots: [] });
+    account.positions.get(order.symbol).lots.push({
+      id: account.nextLotId++,
+      size: tradeSize,
+      entryPrice: entryPrice,
+      entryTime: candle.timestamp,
+      entryIndex: index,
+      entryCommission: commissionCost,
+      margin,
+      meta: order.meta || {},
+      orderType: order.orderType,
+      stopLoss: order.stopLoss || null,
+      takeProfit: order.takeProfit || null,
+      highest: entryPrice, // Price extremes while open, for MAE/MFE
+      lowest: entryPrice,
+      borrowFees: 0, // Holding costs accrued while open (already taken from capital)
+      swap: 0,
+      heldSince: account.fillTime, // Time holding costs are accrued to
+    });
+    account.capital -= totalCost;
+    return true;
+  }
+
+  /**
+   * Close up to `quantity` units of the position, taking lots in FIFO or LIFO order.
+   * The exit is one order: its commission is charged once and split across the lots by size.
+   */
+  reducePosition(account, symbol, quantity, exitPrice, candle, index, orderType, exitReason) {
+    const position = account.positions.get(symbol);
+    if (!position) return;
+    const total = Math.min(quantity, this.getPositionUnits(position));
+    const exitCommission = account.fees.charge({ price: exitPrice, size: total, orderType, timestamp: candle.timestamp });
+
+    let remaining = total;
+    while (account.positions.has(symbol) && remaining > 1e-12) {
+      const { lots } = account.positions.get(symbol);
+      const lot = this.lotAccounting === 'LIFO' ? lots[lots.length - 1] : lots[0];
+      const closeSize = Math.min(remaining, lot.size);
+      this.closeLot(account, symbol, lot, closeSize, exitPrice, candle, index, orderType, exitReason, exitCommission * (closeSize / total));
+      remaining -= closeSize;
+    }
+  }
+
+  /**
+   * Close `quantity` units of one lot and record the trade.
+   * `exitReason` is one of 'signal', 'stop', 'target', 'liquidation' or 'end_of_data'.
+   * `exitCommission` is the lot's share of a larger exit order; otherwise the lot's exit is charged on its own.
+   */
+  closeLot(account, symbol, lot, quantity, exitPrice, candle, index, orderType, exitReason, exitCommission) {
+    const position = account.positions.get(symbol);
+    const direction = position.side === 'LONG' ? 1 : -1;
+    this.applyHoldingCosts(account, symbol, account.fillTime, [lot]);
+    const share = quantity / lot.size;
+    const margin = lot.margin * share;
+    const entryCommission = lot.entryCommission * share;
+    if (exitCommission === undefined) {
+      exitCommission = account.fees.charge({ price: exitPrice, size: quantity, orderType, timestamp: candle.timestamp });
+    }
+    const borrowFees = lot.borrowFees * share;
+    const swap = lot.swap * share;
+    const costBasis = lot.entryPrice * quantity + entryCommission;
+
+    const pnl = direction * (exitPrice - lot.entryPrice) * quantity - entryCommission - exitCommission - borrowFees + swap;
+    const pnlPercent = (pnl / costBasis) * 100;
+
+    // Release the margin the lot tied up, plus its price P&L, minus the exit commission
+    account.capital += margin + direction * (exitPrice - lot.entryPrice) * quantity - exitCommission;
+
+    // Max adverse / favorable excursion per unit, over the bars held and the exit price
+    const highest = Math.max(lot.highest, exitPrice);
+    const lowest = Math.min(lot.lowest, exitPrice);
+    const adverse = direction === 1 ? lot.entryPrice - lowest : highest - lot.entryPrice;
+    const favorable = direction === 1 ? highest - lot.entryPrice : lot.entryPrice - lowest;
+
+    account.trades.push({
+      symbol,
+      entryTime: lot.entryTime,
+      exitTime: candle.timestamp,
+      side: position.side,
+      size: quantity,
+      entryPrice: lot.entryPrice,
+      exitPrice: exitPrice,
+      pnl: pnl,
+      pnlPercent: pnlPercent,
+      entryIndex: lot.entryIndex,
+      exitIndex: index,
+      lotId: lot.id,
+      entryOrderType: lot.orderType,
+      exitOrderType: orderType,
+      exitReason,
+      stopLoss: lot.stopLoss,
+      takeProfit: lot.takeProfit,
+      commission: entryCommission + exitCommission,
+      borrowFees,
+      swap,
+      mae: adverse * quantity,
+      mfe: favorable * quantity,
+      maePercent: (adverse / lot.entryPrice) * 100,
+      mfePercent: (favorable / lot.entryPrice) * 100,
+      meta: lot.meta,
+    });
+
+    lot.size -= quantity;
+    lot.entryCommission -= entryCommission;
+    lot.margin -= margin;
+    lot.borrowFees -= borrowFees;
+    lot.swap -= swap;
+    if (lot.size <= 1e-12) {
+      position.lots.splice(position.lots.indexOf(lot), 1);
+      if (position.lots.length === 0) account.positions.delete(symbol);
+    }
+  }
+
+  /**
+   * Charge holding costs on the symbol's open lots (or the given ones) for the time each has been held
+   * up to `toTs`, on notional at the latest close: borrow fees on shorts pro rata to elapsed time, and
+   * swap for every rollover crossed since the lot's fill. Costs come out of capital as they accrue and
+   * are recorded on each lot.
+   */
+  applyHoldingCosts(account, symbol, toTs, lots) {
+    const position = account.positions.get(symbol);
+    if (!position) return;
+
+    const price = account.marks.get(symbol);
+    const swapRate = position.side === 'LONG' ? this.swapLong : this.swapShort;
+    const borrowRate = position.side === 'SHORT' ? this.borrowRate : 0;
+    for (const lot of lots || position.lots) {
+      if (toTs <= lot.heldSince) continue;
+      const notional = price * lot.size;
+      const borrowFee = notional * borrowRate * ((toTs - lot.heldSince) / (365 * DAY_MS));
+      const swap = swapRate !== 0 ? notional * swapRate * this.countSwapNights(lot.heldSince, toTs) : 0;
+      lot.borrowFees += borrowFee;
+      lot.swap += swap;
+      lot.heldSince = toTs;
+      account.capital += swap - borrowFee;
+    }
+  }
+
+  /**
+   * Nights of swap for the rollovers after `fromTs` up to and including `toTs`, at `rolloverTime`
+   * local time on each day; the triple swap day's rollover counts three
+   */
+  countSwapNights(fromTs, toTs) {
+    const zone = this.rolloverZone;
+    let nights = 0;
+    for (let day = Math.floor((zone.toLocal(fromTs) - this.rolloverOffsetMs) / DAY_MS); ; day++) {
+      const local = day * DAY_MS + this.rolloverOffsetMs;
+      const rollover = zone.fromLocal(local);
+      if (rollover > toTs) break;
+      if (rollover <= fromTs) continue;
+      nights += new Date(local).getUTCDay() === this.tripleSwapDay ? 3 : 1;
+    }
+    return nights;
+  }
+
+  /**
+   * Widen each open lot's price extremes with a candle it was held through.
+   * The entry candle is skipped: part of its range may precede the fill.
+   */
+  trackExcursions(position, candle, index) {
+    if (!position) return;
+    for (const lot of position.lots) {
+      if (lot.entryIndex === index) continue;
+      lot.highest = Math.max(lot.highest, candle.high);
+      lot.lowest = Math.min(lot.lowest, candle.low);
+    }
+  }
+
+  /**
+   * Account equity: free capital plus the value of every open lot, marked at the latest close
+   * of its symbol (or at `prices[symbol]` when given)
+   */
+  getEquity(account, prices = {}) {
+    let equity = account.capital;
+    for (const [symbol, position] of account.positions) {
+      const price = symbol in prices ? prices[symbol] : account.marks.get(symbol);
+      const direction = position.side === 'LONG' ? 1 : -1;
+      for (const lot of position.lots) {
+        equity += lot.margin + direction * (price - lot.entryPrice) * lot.size;
+      }
+    }
+    return equity;
+  }
+
+  /**
+   * Liquidate the symbol's position when equity falls below the maintenance requirement
+   * within the candle. Equity is checked at the candle's worst price for the position;
+   * the fill is at the price where equity meets the requirement (or the open, if the candle
+   * gapped through it), with slippage.
+   */
+  checkMargin(account, symbol, candle, index) {
+    const position = account.positions.get(symbol);
+    if (!position || this.maintenanceMargin === 0) return;
+
+    const worst = position.side === 'LONG' ? candle.low : candle.high;
+    const requirementAt = prices => {
+      let requirement = 0;
+      for (const [sym, pos] of account.positions) {
+        const price = sym in prices ? prices[sym] : account.marks.get(sym);
+        requirement += pos.lots.reduce((sum, lot) => sum + price * lot.size, 0) * this.maintenanceMargin;
+      }
+      return requirement;
+    };
+    if (this.getEquity(account, { [symbol]: worst }) >= requirementAt({ [symbol]: worst })) return;
+
+    // Equity and requirement are linear in this symbol's price; solve for the crossing
+    const size = this.getPositionUnits(position);
+    const direction = position.side === 'LONG' ? 1 : -1;
+    const fixedEquity = this.getEquity(account, { [symbol]: 0 });
+    const fixedRequirement = requirementAt({ [symbol]: 0 });
+    let level = liquidationPrice(position.side, size, fixedEquity, fixedRequirement, this.maintenanceMargin);
+    if (level === null || direction * (candle.open - level) <= 0) level = candle.open;
+
+    const exitPrice = this.getFillPrice(account, symbol, position.side === 'LONG' ? 'SELL' : 'BUY', level, size, candle);
+    this.reducePosition(account, symbol, Infinity, exitPrice, candle, index, 'MARKET', 'liquidation');
+  }
+
+  /**
+   * Margin reserved by open lots
+   */
+  getMarginUsed(account) {
+    let used = 0;
+    for (const position of account.positions.values()) {
+      for (const lot of position.lots) used += lot.margin;
+    }
+    return used;
+  }
+
+  /**
+   * P&L of a symbol's open lots if closed at the latest close, net of their entry commission and
+   * holding costs so far (exit costs excluded)
+   */
+  getUnrealizedPnL(account, symbol) {
+    const position = account.positions.get(symbol);
+    if (!position) return 0;
+    const price = account.marks.get(symbol);
+    const direction = position.side === 'LONG' ? 1 : -1;
+    return position.lots.reduce((sum, lot) => sum + direction * (price - lot.entryPrice) * lot.size
+      - lot.entryCommission - lot.borrowFees + lot.swap, 0);
+  }
+
+  /**
+   * Gross market value of every open lot (long and short), or of one symbol's, marked at the latest close
+   */
+  getExposure(account, onlySymbol) {
+    let exposure = 0;
+    for (const [symbol, position] of account.positions) {
+      if (onlySymbol !== undefined && symbol !== onlySymbol) continue;
+      const price = account.marks.get(symbol);
+      for (const lot of position.lots) {
+        exposure += price * lot.size;
+      }
+    }
+    return exposure;
+  }
+
+  /**
+   * Read-only view of a position for the strategy context, with total size and average entry price
+   */
+  getPositionSnapshot(position) {
+    if (!position) return null;
+    const size = position.lots.reduce((sum, lot) => sum + lot.size, 0);
+    const entryPrice = position.lots.reduce((sum, lot) => sum + lot.entryPrice * lot.size, 0) / size;
+    return {
+      side: position.side,
+      size,
+      entryPrice,
+      lots: position.lots.map(lot => ({ ...lot })),
     };
   }
 
   /**
-   * Calculate comprehensive backtest metrics
+   * Calculate comprehensive backtest metrics.
+   * Ratios are annualized with the bar frequency implied by the equity curve's timestamps.
    */
   calculateMetrics(trades, equityCurve, initialCapital) {
     if (trades.length === 0) {
@@ -425,13 +1381,27 @@ class BacktestEngine {
         accuracy: 0,
         netPnL: 0,
         roi: 0,
+        cagr: 0,
         maxDrawdown: 0,
         maxDrawdownPercent: 0,
+        maxDrawdownDuration: 0,
+        recoveryTime: null,
+        ulcerIndex: 0,
         expectancy: 0,
         averageWin: 0,
         averageLoss: 0,
         profitFactor: 0,
         sharpeRatio: 0,
+        sortinoRatio: 0,
+        calmarRatio: 0,
+        exposurePercent: 0,
+        averageBarsHeld: 0,
+        maxWinStreak: 0,
+        maxLossStreak: 0,
+        totalCommission: 0,
+        totalBorrowFees: 0,
+        totalSwap: 0,
+        liquidations: 0,
       };
     }
 
@@ -453,36 +1423,97 @@ class BacktestEngine {
     
     const expectancy = (winRate / 100) * averageWin - ((100 - winRate) / 100) * averageLoss;
     
-    // Calculate max drawdown
+    // Max drawdown, its duration (bars from the peak until equity regains it, or the end),
+    // the recovery time (bars from the max drawdown's trough back to its peak) and the ulcer index
     let peak = initialCapital;
+    let peakIndex = -1;
     let maxDrawdown = 0;
     let maxDrawdownPercent = 0;
-    
-    for (const point of equityCurve) {
-      if (point.equity > peak) {
+    let maxDrawdownPeakIndex = -1;
+    let maxDrawdownTroughIndex = -1;
+    let maxDrawdownDuration = 0;
+    let squaredDrawdowns = 0;
+
+    equityCurve.forEach((point, i) => {
+      if (point.equity >= peak) {
         peak = point.equity;
+        peakIndex = i;
       }
       const drawdown = peak - point.equity;
+      const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+      squaredDrawdowns += drawdownPercent ** 2;
+      if (drawdown > 0) maxDrawdownDuration = Math.max(maxDrawdownDuration, i - peakIndex);
       if (drawdown > maxDrawdown) {
         maxDrawdown = drawdown;
-        maxDrawdownPercent = (drawdown / peak) * 100;
+        maxDrawdownPercent = drawdownPercent;
+        maxDrawdownPeakIndex = peakIndex;
+        maxDrawdownTroughIndex = i;
+      }
+    });
+
+    let recoveryTime = null;
+    if (maxDrawdown > 0) {
+      const peakEquity = maxDrawdownPeakIndex >= 0 ? equityCurve[maxDrawdownPeakIndex].equity : initialCapital;
+      for (let i = maxDrawdownTroughIndex + 1; i < equityCurve.length; i++) {
+        if (equityCurve[i].equity >= peakEquity) {
+          recoveryTime = i - maxDrawdownTroughIndex;
+          break;
+        }
       }
     }
+    const ulcerIndex = equityCurve.length > 0 ? Math.sqrt(squaredDrawdowns / equityCurve.length) : 0;
 
     // Profit factor
     const grossProfit = winningTrades.reduce((sum, t) => sum + t.pnl, 0);
     const grossLoss = Math.abs(losingTrades.reduce((sum, t) => sum + t.pnl, 0));
     const profitFactor = grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? Infinity : 0;
 
-    // Sharpe ratio (simplified - using returns)
+    // Sharpe and Sortino ratios from per-bar returns, annualized by the bar frequency
+    const timestamps = equityCurve.map(point => toMs(point.timestamp));
+    const periodsPerYear = this.getPeriodsPerYear(timestamps) || 252;
     const returns = equityCurve.slice(1).map((point, i) => {
       const prevEquity = equityCurve[i].equity;
       return prevEquity > 0 ? (point.equity - prevEquity) / prevEquity : 0;
     });
-    const avgReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-    const variance = returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length;
+    const avgReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+    const variance = returns.length > 0
+      ? returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / returns.length
+      : 0;
     const stdDev = Math.sqrt(variance);
-    const sharpeRatio = stdDev > 0 ? (avgReturn / stdDev) * Math.sqrt(252) : 0; // Annualized
+    const sharpeRatio = stdDev > 0 ? (avgReturn / stdDev) * Math.sqrt(periodsPerYear) : 0;
+    const downsideDeviation = returns.length > 0
+      ? Math.sqrt(returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / returns.length)
+      : 0;
+    const sortinoRatio = downsideDeviation > 0 ? (avgReturn / downsideDeviation) * Math.sqrt(periodsPerYear) : 0;
+
+    // CAGR over the curve's elapsed calendar time, and Calmar = CAGR / max drawdown %
+    const finalEquity = initialCapital + totalPnL;
+    const years = timestamps.length > 1 ? (timestamps[timestamps.length - 1] - timestamps[0]) / YEAR_MS : 0;
+    const cagr = years > 0 && finalEquity > 0 ? (Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100 : 0;
+    const calmarRatio = maxDrawdownPercent > 0 ? cagr / maxDrawdownPercent : 0;
+
+    // Time in market: share of bars holding a position
+    const exposedBars = equityCurve.filter(point => point.exposure > 0).length;
+    const exposurePercent = equityCurve.length > 0 ? (exposedBars / equityCurve.length) * 100 : 0;
+
+    const averageBarsHeld = trades.reduce((sum, t) => sum + (t.exitIndex - t.entryIndex), 0) / trades.length;
+
+    // Longest runs of consecutive winning / losing trades, in exit order
+    let maxWinStreak = 0;
+    let maxLossStreak = 0;
+    let winStreak = 0;
+    let lossStreak = 0;
+    for (const trade of trades) {
+      winStreak = trade.pnl > 0 ? winStreak + 1 : 0;
+      lossStreak = trade.pnl < 0 ? lossStreak + 1 : 0;
+      maxWinStreak = Math.max(maxWinStreak, winStreak);
+      maxLossStreak = Math.max(maxLossStreak, lossStreak);
+    }
+
+    // Trading and holding costs, reported apart from the P&L they are already included in
+    const totalCommission = trades.reduce((sum, t) => sum + (t.commission || 0), 0);
+    const totalBorrowFees = trades.reduce((sum, t) => sum + (t.borrowFees || 0), 0);
+    const totalSwap = trades.reduce((sum, t) => sum + (t.swap || 0), 0);
 
     return {
       totalTrades: trades.length,
@@ -492,13 +1523,27 @@ class BacktestEngine {
       accuracy: parseFloat(winRate.toFixed(2)), // Same as win rate
       netPnL: parseFloat(totalPnL.toFixed(2)),
       roi: parseFloat(roi.toFixed(2)),
+      cagr: parseFloat(cagr.toFixed(2)),
       maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
       maxDrawdownPercent: parseFloat(maxDrawdownPercent.toFixed(2)),
+      maxDrawdownDuration, // bars
+      recoveryTime, // bars, null if never recovered
+      ulcerIndex: parseFloat(ulcerIndex.toFixed(2)),
       expectancy: parseFloat(expectancy.toFixed(2)),
       averageWin: parseFloat(averageWin.toFixed(2)),
       averageLoss: parseFloat(averageLoss.toFixed(2)),
       profitFactor: parseFloat(profitFactor.toFixed(2)),
       sharpeRatio: parseFloat(sharpeRatio.toFixed(2)),
+      sortinoRatio: parseFloat(sortinoRatio.toFixed(2)),
+      calmarRatio: parseFloat(calmarRatio.toFixed(2)),
+      exposurePercent: parseFloat(exposurePercent.toFixed(2)),
+      averageBarsHeld: parseFloat(averageBarsHeld.toFixed(2)),
+      maxWinStreak,
+      maxLossStreak,
+      totalCommission: parseFloat(totalCommission.toFixed(2)),
+      totalBorrowFees: parseFloat(totalBorrowFees.toFixed(2)),
+      totalSwap: parseFloat(totalSwap.toFixed(2)),
+      liquidations: trades.filter(t => t.exitReason === 'liquidation').length,
     };
   }
 
@@ -522,6 +1567,7 @@ class BacktestEngine {
     const csvWriter = createObjectCsvWriter({
       path: filePath,
       header: [
+        { id: 'symbol', title: 'Symbol' },
         { id: 'entryTime', title: 'Entry Time' },
         { id: 'exitTime', title: 'Exit Time' },
         { id: 'side', title: 'Side' },
@@ -530,6 +1576,14 @@ class BacktestEngine {
         { id: 'exitPrice', title: 'Exit Price' },
         { id: 'pnl', title: 'P&L' },
         { id: 'pnlPercent', title: 'P&L %' },
+        { id: 'entryOrderType', title: 'Entry Order' },
+        { id: 'exitOrderType', title: 'Exit Order' },
+        { id: 'exitReason', title: 'Exit Reason' },
+        { id: 'commission', title: 'Commission' },
+        { id: 'borrowFees', title: 'Borrow Fees' },
+        { id: 'swap', title: 'Swap' },
+        { id: 'mae', title: 'MAE' },
+        { id: 'mfe', title: 'MFE' },
       ],
     });
 
@@ -0,0 +1,242 @@
+/**
+ * Backtest Job Queue
+ *
+ * Runs backtests, optimizations and walk-forward analyses in worker threads so long runs don't hold up
+ * HTTP requests. Jobs wait in a FIFO queue until one of `concurrency` workers is free; `progress` and
+ * `status` events report on each job.
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Finished jobs stay queryable for an hour
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const DEFAULT_WORKER_FILE = path.join(__dirname, 'backtestWorker.js');
+
+// Parallel workers: BACKTEST_WORKERS, or one per CPU core but one (left for the HTTP server)
+const defaultConcurrency = () => parseInt(process.env.BACKTEST_WORKERS, 10) || Math.max(1, os.cpus().length - 1);
+
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.workerFile = options.workerFile || DEFAULT_WORKER_FILE;
+    this.concurrency = options.concurrency ?? defaultConcurrency();
+    if (!(Number.isInteger(this.concurrency) && this.concurrency > 0)) {
+      throw new Error(`Invalid job concurrency: ${this.concurrency}`);
+    }
+    this.finishedJobTtl = options.finishedJobTtl ?? FINISHED_JOB_TTL_MS;
+
+    this.jobs = new Map(); // id -> job
+    this.queue = []; // ids of queued jobs, oldest first
+    this.running = new Map(); // id -> worker
+  }
+
+  /**
+   * Queue a job. `workerData` is handed to the worker; `meta` (e.g. the backtest name) is reported with the job.
+   * `progress` is the job's progress until the worker first reports (a backtest's bar counts by default).
+   * `onComplete(result)` runs on the worker's result before the job counts as completed (e.g. to save it);
+   * whatever it returns becomes the job's `result`. When the job is cancelled while `onComplete` runs,
+   * `onDiscard(returned)` is called instead to undo it (e.g. delete what was saved).
+   * `onFinish()` runs once the job has completed, failed or been cancelled (e.g. to delete its uploads).
+   */
+  enqueue(userId, workerData, {
+    meta = {},
+    progress = { percent: 0, bars: 0, totalBars: null, trades: 0 },
+    onComplete,
+    onDiscard,
+    onFinish,
+  } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      meta,
+      status: 'queued',
+      progress,
+      error: null,
+      errorDetails: null,
+      result: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      workerData,
+      onComplete,
+      onDiscard,
+      onFinish,
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.emit('status', this.describe(job));
+    this.drain();
+    return this.describe(job);
+  }
+
+  /**
+   * A job as reported to clients, or null when there is no such job (for this user, when given)
+   */
+  get(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || (userId !== undefined && job.userId !== userId)) return null;
+    return this.describe(job);
+  }
+
+  /**
+   * Queued and running jobs, oldest first, optionally only a user's
+   */
+  list(userId) {
+    return Array.from(this.jobs.values())
+      .filter(job => !FINISHED_STATUSES.includes(job.status))
+      .filter(job => userId === undefined || job.userId === userId)
+      .map(job => this.describe(job));
+  }
+
+  /**
+   * Cancel a queued or running job. Returns the cancelled job, or null when it doesn't exist;
+   * throws when it has already finished.
+   */
+  async cancel(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || (userId !== undefined && job.userId !== userId)) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job is already ${job.status}`);
+    }
+
+    const worker = this.running.get(jobId);
+    this.finish(job, 'cancelled');
+    if (worker) {
+      await worker.terminate();
+    } else {
+      this.queue = this.queue.filter(id => id !== jobId);
+    }
+    return this.describe(job);
+  }
+
+  /**
+   * Stop every worker and forget all jobs
+   */
+  async close() {
+    const workers = Array.from(this.running.values());
+    this.running.clear();
+    this.queue = [];
+    this.jobs.clear();
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  describe(job) {
+    return {
+      id: job.id,
+      ...job.meta,
+      status: job.status,
+      progress: { ...job.progress },
+      error: job.error,
+      errorDetails: job.errorDetails,
+      result: job.result,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  // Start queued jobs while workers are free
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      this.start(this.jobs.get(this.queue.shift()));
+    }
+  }
+
+  start(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    const worker = new Worker(this.workerFile, { workerData: job.workerData });
+    this.running.set(job.id, worker);
+    this.emit('status', this.describe(job));
+
+    // A job is settled once, by its result, its error or the worker exiting without either
+    let settled = false;
+    const settle = async (message) => {
+      if (settled || job.status !== 'running') return;
+      settled = true;
+      if (message.type === 'result') {
+        const { onComplete, onDiscard } = job;
+        let result;
+        try {
+          result = onComplete ? await onComplete(message.result) : message.result;
+        } catch (error) {
+          if (job.status === 'running') this.finish(job, 'failed', error.message);
+          return;
+        }
+        if (job.status === 'running') {
+          job.result = result;
+          this.finish(job, 'completed');
+        } else if (onDiscard) {
+          // Cancelled while onComplete ran
+          try {
+            await onDiscard(result);
+          } catch (error) {
+            console.error(`Job ${job.id} discard failed:`, error);
+          }
+        }
+      } else {
+        this.finish(job, 'failed', message.error, message.details);
+      }
+    };
+
+    worker.on('message', (message) => {
+      if (message.type === 'progress') {
+        if (job.status !== 'running') return;
+        job.progress = message.progress;
+        this.emit('progress', this.describe(job));
+      } else {
+        settle(message);
+      }
+    });
+    worker.on('error', error => settle({ type: 'error', error: error.message }));
+    worker.on('exit', (code) => {
+      if (this.running.get(job.id) === worker) this.running.delete(job.id);
+      settle({ type: 'error', error: `Worker stopped with exit code ${code}` });
+      this.drain();
+    });
+  }
+
+  finish(job, status, error = null, errorDetails = null) {
+    job.status = status;
+    job.error = error;
+    job.errorDetails = errorDetails;
+    job.finishedAt = new Date();
+    const { onFinish } = job;
+    job.workerData = null;
+    job.onComplete = null;
+    job.onDiscard = null;
+    job.onFinish = null;
+    if (onFinish) {
+      Promise.resolve().then(onFinish).catch(e => console.error(`Job ${job.id} cleanup failed:`, e));
+    }
+    if (this.running.has(job.id)) {
+      this.running.delete(job.id);
+      this.drain();
+    }
+    this.emit('status', this.describe(job));
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.finishedJobTtl);
+    timer.unref();
+  }
+}
+
+// Queue shared by the backtest routes and the WebSocket server
+let sharedQueue;
+const getBacktestQueue = () => {
+  if (!sharedQueue) sharedQueue = new JobQueue();
+  return sharedQueue;
+};
+
+module.exports = {
+  JOB_STATUSES,
+  JobQueue,
+  getBacktestQueue,
+};
@@ -0,0 +1,197 @@
+/**
+ * Monte Carlo Robustness Analysis
+ *
+ * Replays the P&L of a finished backtest's trades in randomized orders to see how
+ * much of the result depends on trade sequence and on any individual trade
+ */
+
+const { createRandom, newSeed } = require('../utils/random');
+
+const MONTE_CARLO_METHODS = ['shuffle', 'resample', 'skip'];
+const MAX_SIMULATIONS = 10000;
+const HISTOGRAM_BINS = 20;
+
+/**
+ * One randomized P&L sequence:
+ * - shuffle: the same trades in a random order
+ * - resample: as many trades drawn with replacement
+ * - skip: the original order with each trade dropped with probability `skipProbability`
+ */
+function samplePnL(pnls, method, random, skipProbability) {
+  if (method === 'resample') {
+    return pnls.map(() => pnls[Math.floor(random() * pnls.length)]);
+  }
+  if (method === 'skip') {
+    return pnls.filter(() => random() >= skipProbability);
+  }
+
+  // Fisher-Yates shuffle
+  const out = pnls.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Walk an equity path from `initialCapital`: final equity, max drawdown and whether
+ * equity ever fell to the ruin level
+ */
+function replayEquity(pnls, initialCapital, ruinLevel) {
+  let equity = initialCapital;
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let ruined = false;
+
+  for (const pnl of pnls) {
+    equity += pnl;
+    if (equity > peak) peak = equity;
+    const drawdown = peak - equity;
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    if (peak > 0 && (drawdown / peak) * 100 > maxDrawdownPercent) {
+      maxDrawdownPercent = (drawdown / peak) * 100;
+    }
+    if (equity <= ruinLevel) ruined = true;
+  }
+
+  return { finalEquity: equity, maxDrawdown, maxDrawdownPercent, ruined };
+}
+
+/**
+ * Linear-interpolated percentile of an ascending array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * p;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Summary statistics, confidence interval and histogram of a sample
+ */
+function summarize(values, confidence) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  const round = v => parseFloat(v.toFixed(2));
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+  const tail = (1 - confidence) / 2;
+
+  const min = sorted[0];
+  const max = sorted[n - 1];
+  const width = (max - min) / HISTOGRAM_BINS;
+  const histogram = [];
+  if (width > 0) {
+    for (let b = 0; b < HISTOGRAM_BINS; b++) {
+      histogram.push({ from: round(min + b * width), to: round(min + (b + 1) * width), count: 0 });
+    }
+    for (const v of sorted) {
+      histogram[Math.min(Math.floor((v - min) / width), HISTOGRAM_BINS - 1)].count++;
+    }
+  } else {
+    histogram.push({ from: round(min), to: round(max), count: n });
+  }
+
+  return {
+    mean: round(mean),
+    median: round(percentile(sorted, 0.5)),
+    stdDev: round(Math.sqrt(variance)),
+    min: round(min),
+    max: round(max),
+    percentiles: {
+      p5: round(percentile(sorted, 0.05)),
+      p25: round(percentile(sorted, 0.25)),
+      p75: round(percentile(sorted, 0.75)),
+      p95: round(percentile(sorted, 0.95)),
+    },
+    confidenceInterval: {
+      level: confidence,
+      lower: round(percentile(sorted, tail)),
+      upper: round(percentile(sorted, 1 - tail)),
+    },
+    histogram,
+  };
+}
+
+/**
+ * Run Monte Carlo simulations over a list of trades.
+ * `ruinPercent` is the loss of initial capital counted as ruin (50 = equity halved).
+ */
+function monteCarlo(trades, options = {}) {
+  const {
+    initialCapital = 10000,
+    simulations = 1000,
+    methods = MONTE_CARLO_METHODS,
+    skipProbability = 0.1,
+    ruinPercent = 50,
+    confidence = 0.95,
+  } = options;
+
+  for (const method of methods) {
+    if (!MONTE_CARLO_METHODS.includes(method)) {
+      throw new Error(`Unsupported Monte Carlo method: ${method}`);
+    }
+  }
+  if (!(Number.isInteger(simulations) && simulations > 0 && simulations <= MAX_SIMULATIONS)) {
+    throw new Error(`simulations must be an integer between 1 and ${MAX_SIMULATIONS}`);
+  }
+  if (!(skipProbability >= 0 && skipProbability < 1)) {
+    throw new Error('skipProbability must be in [0, 1)');
+  }
+  if (!(ruinPercent > 0 && ruinPercent <= 100)) {
+    throw new Error('ruinPercent must be in (0, 100]');
+  }
+  if (!(confidence > 0 && confidence < 1)) {
+    throw new Error('confidence must be in (0, 1)');
+  }
+
+  const seed = Number.isInteger(options.seed) ? options.seed : newSeed();
+  const pnls = trades.map(t => t.pnl);
+  const ruinLevel = initialCapital * (1 - ruinPercent / 100);
+  const original = replayEquity(pnls, initialCapital, ruinLevel);
+
+  const results = {};
+  methods.forEach((method, m) => {
+    // Separate stream per method so adding a method doesn't change the others
+    const random = createRandom(seed + m);
+    const runs = [];
+    for (let s = 0; s < simulations; s++) {
+      runs.push(replayEquity(samplePnL(pnls, method, random, skipProbability), initialCapital, ruinLevel));
+    }
+
+    const ruined = runs.filter(r => r.ruined).length;
+    results[method] = {
+      finalEquity: summarize(runs.map(r => r.finalEquity), confidence),
+      maxDrawdown: summarize(runs.map(r => r.maxDrawdown), confidence),
+      maxDrawdownPercent: summarize(runs.map(r => r.maxDrawdownPercent), confidence),
+      riskOfRuin: parseFloat((ruined / simulations).toFixed(4)),
+    };
+  });
+
+  return {
+    seed,
+    simulations,
+    trades: trades.length,
+    initialCapital,
+    skipProbability,
+    ruinPercent,
+    confidence,
+    original: {
+      finalEquity: parseFloat(original.finalEquity.toFixed(2)),
+      maxDrawdown: parseFloat(original.maxDrawdown.toFixed(2)),
+      maxDrawdownPercent: parseFloat(original.maxDrawdownPercent.toFixed(2)),
+      ruined: original.ruined,
+    },
+    results,
+  };
+}
+
+module.exports = {
+  MONTE_CARLO_METHODS,
+  MAX_SIMULATIONS,
+  monteCarlo,
+};
@@ -0,0 +1,202 @@
+/**
+ * Parameter Optimizer
+ *
+ * Sweeps strategy params with grid or random search, runs a backtest for
+ * each parameter set and ranks the results by a chosen metric
+ */
+
+const { createRandom, newSeed } = require('../utils/random');
+
+// Metrics that can rank results, and whether higher ('desc') or lower ('asc') is better
+const RANKING_METRICS = {
+  sharpeRatio: 'desc',
+  sortinoRatio: 'desc',
+  calmarRatio: 'desc',
+  cagr: 'desc',
+  profitFactor: 'desc',
+  netPnL: 'desc',
+  roi: 'desc',
+  expectancy: 'desc',
+  winRate: 'desc',
+  maxDrawdown: 'asc',
+  maxDrawdownPercent: 'asc',
+  ulcerIndex: 'asc',
+};
+
+const MAX_COMBINATIONS = 1000;
+
+/**
+ * Normalize one parameter range.
+ * Accepts a list of values, `{ min, max, step }`, `{ min, max }` (continuous, random search only) or a fixed value.
+ */
+function normalizeRange(name, spec) {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0) throw new Error(`Range for ${name} has no values`);
+    return { values: spec };
+  }
+  if (spec && typeof spec === 'object') {
+    const { min, max, step } = spec;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new Error(`Range for ${name} needs numeric min <= max`);
+    }
+    if (step === undefined) return { min, max };
+    if (!(Number.isFinite(step) && step > 0)) throw new Error(`Range for ${name} needs a positive step`);
+
+    const values = [];
+    const count = Math.floor((max - min) / step + 1e-9);
+    for (let i = 0; i <= count; i++) {
+      // Round away floating-point noise from repeated steps (0.1 + 0.2 ...)
+      values.push(parseFloat((min + i * step).toPrecision(12)));
+    }
+    return { values };
+  }
+  return { values: [spec] };
+}
+
+/**
+ * Every combination of the given parameter ranges
+ */
+function expandGrid(ranges) {
+  const names = Object.keys(ranges || {});
+  const normalized = names.map(name => normalizeRange(name, ranges[name]));
+
+  const continuous = names.filter((name, i) => !normalized[i].values);
+  if (continuous.length > 0) {
+    throw new Error(`Grid search needs a step or a list of values for: ${continuous.join(', ')}`);
+  }
+  const total = normalized.reduce((n, r) => n * r.values.length, 1);
+  if (total > MAX_COMBINATIONS) {
+    throw new Error(`Grid has ${total} combinations; the limit is ${MAX_COMBINATIONS}`);
+  }
+
+  let combos = [{}];
+  names.forEach((name, i) => {
+    const next = [];
+    for (const combo of combos) {
+      for (const value of normalized[i].values) {
+        next.push({ ...combo, [name]: value });
+      }
+    }
+    combos = next;
+  });
+  return combos;
+}
+
+/**
+ * `samples` random parameter sets drawn from the ranges
+ */
+function sampleRandom(ranges, samples, random) {
+  if (!(Number.isInteger(samples) && samples > 0 && samples <= MAX_COMBINATIONS)) {
+    throw new Error(`Random search needs between 1 and ${MAX_COMBINATIONS} samples`);
+  }
+  const names = Object.keys(ranges || {});
+  const normalized = names.map(name => normalizeRange(name, ranges[name]));
+
+  const combos = [];
+  for (let s = 0; s < samples; s++) {
+    const combo = {};
+    names.forEach((name, i) => {
+      const range = normalized[i];
+      combo[name] = range.values
+        ? range.values[Math.floor(random() * range.values.length)]
+        : range.min + random() * (range.max - range.min);
+    });
+    combos.push(combo);
+  }
+  return combos;
+}
+
+/**
+ * Order results best-first by `metric`; results without a numeric value go last
+ */
+function rankResults(results, metric) {
+  const direction = RANKING_METRICS[metric] === 'asc' ? 1 : -1;
+  const score = r => {
+    const value = r.metrics[metric];
+    return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+  };
+  const ranked = [...results].sort((a, b) => {
+    const sa = score(a);
+    const sb = score(b);
+    if (sa === null || sb === null) return (sa === null) - (sb === null);
+    if (sa === sb) return 0;
+    return (sa - sb) * direction;
+  });
+  ranked.forEach((r, i) => { r.rank = i + 1; });
+  return ranked;
+}
+
+/**
+ * Check a sweep's `ranges`, `method`, `metric`, `samples` and `seed`, and list its parameter sets.
+ * Throws on invalid options, so callers can reject a sweep before running it.
+ */
+function planSweep({ ranges, method = 'grid', samples = 50, metric = 'sharpeRatio', seed: requestedSeed } = {}) {
+  if (!RANKING_METRICS[metric]) {
+    throw new Error(`Unsupported ranking metric: ${metric}`);
+  }
+  if (!ranges || typeof ranges !== 'object' || Object.keys(ranges).length === 0) {
+    throw new Error('At least one parameter range is required');
+  }
+
+  let seed = null;
+  let paramSets;
+  if (method === 'grid') {
+    paramSets = expandGrid(ranges);
+  } else if (method === 'random') {
+    seed = Number.isInteger(requestedSeed) ? requestedSeed : newSeed();
+    paramSets = sampleRandom(ranges, samples, createRandom(seed));
+  } else {
+    throw new Error(`Unsupported optimization method: ${method}`);
+  }
+  return { seed, paramSets };
+}
+
+/**
+ * Run `engine` over `data` once per parameter set and rank the results.
+ * Swept params are merged over `baseParams` (the strategy's saved params).
+ * `onProgress(completed, total)` is called after each parameter set.
+ */
+async function optimize(engine, strategyCode, data, options = {}) {
+  const {
+    method = 'grid',
+    metric = 'sharpeRatio',
+    baseParams = {},
+    portfolio = false,
+    onProgress,
+  } = options;
+  const { seed, paramSets } = planSweep(options);
+
+  const results = [];
+  for (let i = 0; i < paramSets.length; i++) {
+    const params = { ...baseParams, ...paramSets[i] };
+    const run = portfolio
+      ? await engine.runPortfolio(strategyCode, data, params)
+      : await engine.run(strategyCode, data, params);
+    results.push({
+      params: paramSets[i],
+      metrics: run.metrics,
+      finalCapital: run.finalCapital,
+    });
+    if (onProgress) onProgress(i + 1, paramSets.length);
+  }
+
+  const ranked = rankResults(results, metric);
+  return {
+    method,
+    metric,
+    seed,
+    combinations: paramSets.length,
+    results: ranked,
+    best: ranked[0] || null,
+  };
+}
+
+module.exports = {
+  RANKING_METRICS,
+  MAX_COMBINATIONS,
+  expandGrid,
+  sampleRandom,
+  rankResults,
+  planSweep,
+  optimize,
+};
@@ -0,0 +1,185 @@
+/**
+ * Walk-Forward Analysis
+ *
+ * Splits the candles into rolling or anchored in-sample / out-of-sample windows,
+ * optimizes params on each in-sample window and trades the winner on the
+ * following out-of-sample window, stitching the out-of-sample results together
+ */
+
+const BacktestEngine = require('./engine');
+const { optimize } = require('./optimizer');
+const { newSeed } = require('../utils/random');
+
+const WALK_FORWARD_MODES = ['rolling', 'anchored'];
+
+// Timestamp (Date, ISO string or epoch ms) to epoch milliseconds
+function toMs(timestamp) {
+  return timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+}
+
+/**
+ * Candles with start time in [startMs, endMs), for a raw array or a timeframe -> candles mapping
+ */
+function sliceData(data, startMs, endMs) {
+  const inRange = c => {
+    const ts = toMs(c.timestamp);
+    return ts >= startMs && ts < endMs;
+  };
+  if (Array.isArray(data)) return data.filter(inRange);
+
+  const out = {};
+  for (const tf of Object.keys(data)) {
+    out[tf] = (data[tf] || []).filter(inRange);
+  }
+  return out;
+}
+
+/**
+ * Primary-series index ranges of each window. Rolling windows keep a fixed in-sample
+ * length; anchored windows always start in-sample at the first candle.
+ */
+function buildWindows(totalBars, inSampleBars, outOfSampleBars, mode) {
+  const windows = [];
+  for (let oosStart = inSampleBars; oosStart < totalBars; oosStart += outOfSampleBars) {
+    windows.push({
+      isStart: mode === 'anchored' ? 0 : oosStart - inSampleBars,
+      oosStart,
+      oosEnd: Math.min(oosStart + outOfSampleBars, totalBars),
+    });
+  }
+  return windows;
+}
+
+/**
+ * Out-of-sample return per bar divided by in-sample return per bar.
+ * Null when the in-sample return is not positive, since the ratio is meaningless then.
+ */
+function efficiencyRatio(isRoi, isBars, oosRoi, oosBars) {
+  if (!(isRoi > 0) || isBars === 0 || oosBars === 0) return null;
+  return parseFloat(((oosRoi / oosBars) / (isRoi / isBars)).toFixed(4));
+}
+
+/**
+ * Check the window options of a walk-forward analysis; throws on invalid ones
+ */
+function checkWindowOptions({ mode = 'rolling', inSampleBars, outOfSampleBars }) {
+  if (!WALK_FORWARD_MODES.includes(mode)) {
+    throw new Error(`Unsupported walk-forward mode: ${mode}`);
+  }
+  if (!(Number.isInteger(inSampleBars) && inSampleBars > 0) || !(Number.isInteger(outOfSampleBars) && outOfSampleBars > 0)) {
+    throw new Error('inSampleBars and outOfSampleBars must be positive integers');
+  }
+}
+
+/**
+ * Run a walk-forward analysis.
+ * Each out-of-sample run starts from the capital the previous one ended with. It is warmed up on up to
+ * `inSampleBars` bars before the window, so indicators and strategy state are ready on its first bar;
+ * it only trades, and is measured, from there.
+ */
+async function walkForward(engineOptions, strategyCode, data, options = {}) {
+  const {
+    ranges,
+    method = 'grid',
+    samples,
+    metric = 'sharpeRatio',
+    baseParams = {},
+    inSampleBars,
+    outOfSampleBars,
+    mode = 'rolling',
+    onProgress,
+  } = options;
+
+  checkWindowOptions({ mode, inSampleBars, outOfSampleBars });
+
+  const engine = new BacktestEngine(engineOptions);
+  const { primarySeries } = engine.prepareSeries(data);
+  const windows = buildWindows(primarySeries.length, inSampleBars, outOfSampleBars, mode);
+  if (windows.length === 0) {
+    throw new Error(`Need more than ${inSampleBars} candles for one in-sample and out-of-sample window`);
+  }
+
+  const seed = method === 'random' ? (Number.isInteger(options.seed) ? options.seed : newSeed()) : null;
+  const timeAt = i => (i < primarySeries.length ? toMs(primarySeries[i].timestamp) : Infinity);
+
+  let capital = engine.initialCapital;
+  const trades = [];
+  const equityCurve = [];
+  const report = [];
+  let totals = { isRoi: 0, isBars: 0, oosRoi: 0, oosBars: 0 };
+
+  for (let w = 0; w < windows.length; w++) {
+    const { isStart, oosStart, oosEnd } = windows[w];
+    const warmupStart = Math.max(isStart, oosStart - inSampleBars);
+    const isData = sliceData(data, timeAt(isStart), timeAt(oosStart));
+    const oosData = sliceData(data, timeAt(warmupStart), timeAt(oosEnd));
+
+    // Optimize on the in-sample window
+    const search = await optimize(engine, strategyCode, isData, {
+      ranges,
+      method,
+      samples,
+      metric,
+      seed: seed !== null ? seed + w : undefined,
+      baseParams,
+    });
+    const { params, metrics: inSampleMetrics } = search.best;
+
+    // Trade the winner out-of-sample, continuing from the running capital
+    const oosEngine = new BacktestEngine({ ...engineOptions, initialCapital: capital });
+    const oos = await oosEngine.run(strategyCode, oosData, { ...baseParams, ...params }, { tradeFrom: timeAt(oosStart) });
+    const startCapital = capital;
+    capital = oos.finalCapital;
+
+    for (const trade of oos.trades) {
+      trades.push({ ...trade, window: w });
+    }
+    for (const point of oos.equityCurve) {
+      equityCurve.push({ timestamp: point.timestamp, equity: point.equity, exposure: point.exposure, window: w });
+    }
+
+    const isBars = oosStart - isStart;
+    const oosBars = oosEnd - oosStart;
+    const oosRoi = ((capital - startCapital) / startCapital) * 100;
+    totals = {
+      isRoi: totals.isRoi + inSampleMetrics.roi,
+      isBars: totals.isBars + isBars,
+      oosRoi: totals.oosRoi + oosRoi,
+      oosBars: totals.oosBars + oosBars,
+    };
+
+    report.push({
+      window: w,
+      inSample: { start: primarySeries[isStart].timestamp, end: primarySeries[oosStart - 1].timestamp, bars: isBars },
+      outOfSample: { start: primarySeries[oosStart].timestamp, end: primarySeries[oosEnd - 1].timestamp, bars: oosBars },
+      params,
+      inSampleMetrics,
+      outOfSampleMetrics: oos.metrics,
+      efficiency: efficiencyRatio(inSampleMetrics.roi, isBars, oosRoi, oosBars),
+    });
+    if (onProgress) onProgress(w + 1, windows.length);
+  }
+
+  return {
+    mode,
+    method,
+    metric,
+    seed,
+    inSampleBars,
+    outOfSampleBars,
+    windows: report,
+    trades,
+    equityCurve,
+    metrics: engine.calculateMetrics(trades, equityCurve, engine.initialCapital),
+    finalCapital: capital,
+    efficiency: efficiencyRatio(totals.isRoi, totals.isBars, totals.oosRoi, totals.oosBars),
+  };
+}
+
+module.exports = {
+  WALK_FORWARD_MODES,
+  buildWindows,
+  checkWindowOptions,
+  sliceData,
+  walkForward,
+};
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for Paper Broker
+ */
+
+const { PaperBroker } = require('../paper');
+const BacktestEngine = require('../../backtest/engine');
+
+describe('PaperBroker', () => {
+  test('should fund positions in full without leverage', async () => {
+    const broker = new PaperBroker(10000);
+
+    const rejected = await broker.placeOrder('XAUUSD', 'BUY', 200, 100);
+    expect(rejected.status).toBe('rejected');
+
+    const order = await broker.placeOrder('XAUUSD', 'BUY', 50, 100);
+    expect(order.status).toBe('filled');
+    expect(broker.balance).toBeCloseTo(10000 - 5000 - 5, 6);
+
+    broker.updatePositionPrice('XAUUSD', 110);
+    expect(broker.equity).toBeCloseTo(10000 - 5 + 500, 6);
+
+    const close = await broker.placeOrder('XAUUSD', 'SELL', 50, 110);
+    expect(close.pnl).toBeCloseTo(500 - 5 - 5.5, 6);
+    expect(broker.equity).toBeCloseTo(10000 + close.pnl, 6);
+  });
+
+  test('should add a BUY to the open long position', async () => {
+    const broker = new PaperBroker(10000, { commission: 0 });
+
+    await broker.placeOrder('XAUUSD', 'BUY', 10, 100);
+    const order = await broker.placeOrder('XAUUSD', 'BUY', 10, 110);
+    const [position] = await broker.getPositions();
+
+    expect(order.status).toBe('filled');
+    expect(broker.balance).toBeCloseTo(10000 - 1000 - 1100, 6);
+    expect(position).toMatchObject({ size: 20, entryPrice: 105, margin: 2100 });
+    // Marked at the last fill, the first 10 units are 100 up
+    expect(broker.equity).toBeCloseTo(10100, 6);
+
+    const close = await broker.placeOrder('XAUUSD', 'SELL', 20, 110);
+    expect(close.pnl).toBeCloseTo(100, 6);
+    expect(broker.balance).toBeCloseTo(10100, 6);
+  });
+
+  test('should reserve only the initial margin with leverage', async () => {
+    const broker = new PaperBroker(10000, { leverage: 10 });
+
+    const order = await broker.placeOrder('XAUUSD', 'BUY', 500, 100);
+    const summary = await broker.getAccountSummary();
+
+    expect(order.status).toBe('filled');
+    expect(summary.marginUsed).toBeCloseTo(5000, 6);
+    expect(summary.freeMargin).toBeCloseTo(10000 - 50 - 5000, 6);
+  });
+
+  test('should liquidate when equity falls below maintenance margin', async () => {
+    const broker = new PaperBroker(10000, { leverage: 10, maintenanceMargin: 0.05 });
+    await broker.placeOrder('XAUUSD', 'BUY', 900, 100);
+
+    expect(broker.updatePositionPrice('XAUUSD', 95)).toEqual([]);
+
+    const liquidations = broker.updatePositionPrice('XAUUSD', 90);
+    expect(liquidations.length).toBe(1);
+    expect(liquidations[0].reason).toBe('liquidation');
+    expect(liquidations[0].pnl).toBeCloseTo(-9000 - 90 - 81, 6);
+    expect((await broker.getPositions()).length).toBe(0);
+    expect(broker.equity).toBeCloseTo(10000 + liquidations[0].pnl, 6);
+  });
+
+  test('should charge the same fees as a backtest with the same commission model', async () => {
+    const commission = { type: 'perUnit', rate: 0.02, minimum: 1 };
+    const candles = [100, 110].map((close, i) => ({
+      timestamp: new Date(Date.UTC(2024, 0, 1 + i)),
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: 1000,
+    }));
+    const strategyCode = `
+      module.exports = async function strategy(ctx) {
+        return ctx.index === 0 ? { signal: 'BUY', size: 10 } : { signal: 'SELL' };
+      };
+    `;
+    const backtest = await new BacktestEngine({ slippage: 0, commission }).run(strategyCode, candles);
+
+    const broker = new PaperBroker(10000, { commission });
+    const entry = await broker.placeOrder('XAUUSD', 'BUY', 10, 100);
+    const exit = await broker.placeOrder('XAUUSD', 'SELL', 10, 110);
+
+    // 0.2 per side, raised to the 1.00 minimum
+    expect(entry.commission).toBe(1);
+    expect(entry.commission + exit.commission).toBeCloseTo(backtest.trades[0].commission, 10);
+    expect(exit.pnl).toBeCloseTo(backtest.trades[0].pnl, 10);
+    expect(broker.equity).toBeCloseTo(backtest.finalCapital, 10);
+  });
+
+  test('should apply slippage and the volume cap of the latest candle', async () => {
+    const broker = new PaperBroker(10000, {
+      commission: 0,
+      slippage: { type: 'range', fraction: 0.5 },
+      maxVolumeShare: 0.1,
+      volumeCapMode: 'partial',
+    });
+    broker.updatePositionPrice('XAUUSD', 100, { open: 99, high: 101, low: 99, close: 100, volume: 300 });
+
+    const entry = await broker.placeOrder('XAUUSD', 'BUY', 50, 100);
+    expect(entry.status).toBe('filled');
+    expect(entry.filledSize).toBe(30);
+    expect(entry.executedPrice).toBe(101);
+
+    // The candle's volume share is used up until the next candle arrives
+    const exit = await broker.placeOrder('XAUUSD', 'SELL', 30, 100);
+    expect(exit.status).toBe('rejected');
+
+    broker.updatePositionPrice('XAUUSD', 100, { open: 100, high: 100, low: 98, close: 100, volume: 100 });
+    const partialExit = await broker.placeOrder('XAUUSD', 'SELL', 30, 100);
+    expect(partialExit.filledSize).toBe(10);
+    expect(partialExit.executedPrice).toBe(99);
+    expect(partialExit.pnl).toBeCloseTo(-2 * 10, 10);
+    expect((await broker.getPositions())[0].size).toBe(20);
+  });
+});
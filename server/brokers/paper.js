@@ -4,12 +4,29 @@
  * Simulates trading without real money
  */
 
+const { resolveMarginOptions } = require('../trading/margin');
+const { createCommissionModel } = require('../trading/commission');
+const { createSlippageModel, resolveVolumeCap, capToVolume } = require('../trading/slippage');
+
 class PaperBroker {
-  constructor(initialCapital = 10000) {
+  /**
+   * `options` takes the same `commission`, `slippage`, `maxVolumeShare`, `volumeCapMode`, `leverage`,
+   * `initialMargin` and `maintenanceMargin` as BacktestEngine. Slippage defaults to none.
+   */
+  constructor(initialCapital = 10000, options = {}) {
     this.accountId = `account_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.initialCapital = initialCapital;
-    this.balance = initialCapital;
-    this.positions = new Map(); // symbol -> { side, size, entryPrice, entryTime, pnl, pnlPercent }
+    this.balance = initialCapital; // cash not reserved as margin
+    const margin = resolveMarginOptions(options);
+    this.leverage = margin.leverage;
+    this.initialMargin = margin.initialMargin;
+    this.maintenanceMargin = margin.maintenanceMargin;
+    this.fees = createCommissionModel(options.commission ?? 0.001); // 0.1% default
+    this.slippage = createSlippageModel(options.slippage ?? 0);
+    this.volumeCap = resolveVolumeCap(options);
+    this.bars = new Map(); // symbol -> latest candle, for candle-based slippage and the volume cap
+    this.volumeUsed = new Map(); // symbol -> units traded on the latest candle
+    this.positions = new Map(); // symbol -> { side, size, entryPrice, entryTime, currentPrice, margin, pnl, pnlPercent }
     this.orders = []; // all orders (filled, rejected, etc)
     this.equity = initialCapital; // current equity value
     this.createdAt = new Date();
@@ -28,19 +45,31 @@ class PaperBroker {
   }
 
   /**
-   * Place market order
+   * Place market order. It fills at the current price moved by the slippage model; with a volume cap,
+   * an order larger than what is left of the latest candle's volume is rejected or partially filled.
    */
   async placeOrder(symbol, side, size, currentPrice) {
     const orderId = `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const executionPrice = currentPrice; // Paper trading executes at current price
-    const commission = executionPrice * size * 0.001; // 0.1% commission
-    const totalCost = executionPrice * size + commission;
+    const action = String(side).toUpperCase();
+    const position = this.positions.get(symbol);
+    const bar = this.bars.get(symbol);
+    const used = this.volumeUsed.get(symbol) || 0;
+    // A SELL closes the whole long position
+    const wanted = action === 'SELL' && position ? position.size : size;
+    const capped = capToVolume(wanted, bar, used, this.volumeCap);
+    const fillSize = capped.size;
+    const executionPrice = this.slippage.fillPrice(action, { symbol, price: currentPrice, size: fillSize, candle: bar });
+    const fill = { price: executionPrice, size: fillSize, orderType: 'MARKET', timestamp: Date.now() };
+    const commission = this.fees.quote(fill);
+    const margin = executionPrice * fillSize * this.initialMargin;
+    const totalCost = margin + commission;
 
     const order = {
       id: orderId,
       symbol,
       side,
       size,
+      filledSize: 0,
       requestedPrice: currentPrice,
       executedPrice: executionPrice,
       commission,
@@ -52,35 +81,49 @@ class PaperBroker {
     };
 
     // Process order based on side
-    if (side.toUpperCase() === 'BUY') {
+    if ((action === 'BUY' || action === 'SELL') && capped.limited === 'rejected') {
+      order.status = 'rejected';
+      order.reason = 'Order exceeds the volume cap for the current bar';
+    } else if (action === 'BUY') {
       if (this.balance >= totalCost) {
+        this.fees.charge(fill);
         this.balance -= totalCost;
-        this.positions.set(symbol, {
-          side: 'LONG',
-          size,
-          entryPrice: executionPrice,
-          entryTime: new Date(),
-          pnl: 0,
-          pnlPercent: 0,
-          commission,
-        });
+        if (position) {
+          // Add to the open long: volume-weighted entry price, with the margin and commission of both fills
+          const size = position.size + fillSize;
+          position.entryPrice = (position.entryPrice * position.size + executionPrice * fillSize) / size;
+          position.size = size;
+          position.margin += margin;
+          position.commission += commission;
+          this.markPosition(position, executionPrice);
+        } else {
+          this.positions.set(symbol, {
+            side: 'LONG',
+            size: fillSize,
+            entryPrice: executionPrice,
+            entryTime: new Date(),
+            currentPrice: executionPrice,
+            margin,
+            pnl: 0,
+            pnlPercent: 0,
+            commission,
+          });
+        }
+        this.recalculateEquity();
         order.status = 'filled';
         order.filledAt = new Date();
+        order.filledSize = fillSize;
       } else {
         order.status = 'rejected';
         order.reason = `Insufficient funds: need ${totalCost.toFixed(2)}, available ${this.balance.toFixed(2)}`;
       }
-    } else if (side.toUpperCase() === 'SELL') {
-      const position = this.positions.get(symbol);
+    } else if (action === 'SELL') {
       if (position && position.side === 'LONG') {
-        const revenue = executionPrice * size - commission;
-        const positionPnL = revenue - (position.entryPrice * size + position.commission);
-        this.balance += revenue;
-        this.equity += positionPnL; // Update equity with realized P&L
-        order.pnl = positionPnL;
-        this.positions.delete(symbol);
+        this.fees.charge(fill);
+        order.pnl = this.closePosition(symbol, executionPrice, commission, fillSize);
         order.status = 'filled';
         order.filledAt = new Date();
+        order.filledSize = fillSize;
       } else {
         order.status = 'rejected';
         order.reason = 'No open position to close';
@@ -90,37 +133,134 @@ class PaperBroker {
       order.reason = 'Invalid side: must be BUY or SELL';
     }
 
+    if (order.status === 'filled') this.volumeUsed.set(symbol, used + fillSize);
+
     this.orders.push(order);
     return order;
   }
 
   /**
-   * Update position with current market price (for unrealized P&L)
+   * Close `size` units of a position (all of it by default): release their share of the margin
+   * with the price P&L, less the exit commission.
+   * Returns the realized P&L including both commissions.
    */
-  updatePositionPrice(symbol, currentPrice) {
+  closePosition(symbol, exitPrice, commission, size) {
+    const position = this.positions.get(symbol);
+    const closeSize = Math.min(size ?? position.size, position.size);
+    const share = closeSize / position.size;
+    const margin = position.margin * share;
+    const entryCommission = position.commission * share;
+    const pricePnL = (exitPrice - position.entryPrice) * closeSize;
+    this.balance += margin + pricePnL - commission;
+    if (share >= 1) {
+      this.positions.delete(symbol);
+    } else {
+      position.size -= closeSize;
+      position.margin -= margin;
+      position.commission -= entryCommission;
+    }
+    this.recalculateEquity();
+    return pricePnL - entryCommission - commission;
+  }
+
+  /**
+   * Update position with current market price (for unrealized P&L).
+   * `candle` is the latest bar, if known: it feeds candle-based slippage and resets the volume cap.
+   * Returns the liquidation orders if the price move triggered a margin call.
+   */
+  updatePositionPrice(symbol, currentPrice, candle) {
+    if (candle) {
+      this.bars.set(symbol, candle);
+      this.volumeUsed.set(symbol, 0);
+      this.slippage.update(symbol, candle);
+    }
     const position = this.positions.get(symbol);
     if (position) {
-      const positionValue = currentPrice * position.size;
-      const costBasis = position.entryPrice * position.size + position.commission;
-      position.pnl = positionValue - costBasis;
-      position.pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+      this.markPosition(position, currentPrice);
       
       // Update equity
       this.recalculateEquity();
     }
+    return this.checkMargin();
+  }
+
+  /**
+   * Mark a position at `currentPrice`: its unrealized P&L after the entry commission
+   */
+  markPosition(position, currentPrice) {
+    const costBasis = position.entryPrice * position.size + position.commission;
+    position.currentPrice = currentPrice;
+    position.pnl = (currentPrice - position.entryPrice) * position.size - position.commission;
+    position.pnlPercent = (position.pnl / costBasis) * 100;
   }
 
   /**
-   * Recalculate total equity
+   * Recalculate total equity: free cash plus each position's margin and unrealized price P&L
    */
   recalculateEquity() {
     let positionValue = 0;
     for (const position of this.positions.values()) {
-      positionValue += position.pnl;
+      positionValue += position.margin + (position.currentPrice - position.entryPrice) * position.size;
     }
     this.equity = this.balance + positionValue;
   }
 
+  /**
+   * Margin reserved by open positions
+   */
+  getMarginUsed() {
+    let used = 0;
+    for (const position of this.positions.values()) used += position.margin;
+    return used;
+  }
+
+  /**
+   * Liquidate every position at its current price (with slippage) when equity is below the maintenance
+   * requirement, recording each as a filled order with reason 'liquidation'
+   */
+  checkMargin() {
+    if (this.maintenanceMargin === 0) return [];
+    let requirement = 0;
+    for (const position of this.positions.values()) {
+      requirement += position.currentPrice * position.size * this.maintenanceMargin;
+    }
+    if (this.equity >= requirement) return [];
+
+    const liquidations = [];
+    for (const [symbol, position] of Array.from(this.positions.entries())) {
+      const executionPrice = this.slippage.fillPrice('SELL', {
+        symbol,
+        price: position.currentPrice,
+        size: position.size,
+        candle: this.bars.get(symbol),
+      });
+      const commission = this.fees.charge({
+        price: executionPrice,
+        size: position.size,
+        orderType: 'MARKET',
+        timestamp: Date.now(),
+      });
+      const order = {
+        id: `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        symbol,
+        side: 'SELL',
+        size: position.size,
+        filledSize: position.size,
+        requestedPrice: position.currentPrice,
+        executedPrice: executionPrice,
+        commission,
+        totalCost: 0,
+        status: 'filled',
+        filledAt: new Date(),
+        reason: 'liquidation',
+        pnl: this.closePosition(symbol, executionPrice, commission),
+      };
+      this.orders.push(order);
+      liquidations.push(order);
+    }
+    return liquidations;
+  }
+
   /**
    * Get current positions
    */
@@ -149,6 +289,9 @@ class PaperBroker {
       balance: this.balance,
       equity: this.equity,
       initialCapital: this.initialCapital,
+      leverage: this.leverage,
+      marginUsed: this.getMarginUsed(),
+      freeMargin: this.equity - this.getMarginUsed(),
       unrealizedPnL: this.equity - this.initialCapital,
       return: ((this.equity - this.initialCapital) / this.initialCapital) * 100,
       positions,
@@ -8,6 +8,7 @@ const db = require('./config/database');
 const authRoutes = require('./routes/auth');
 const strategyRoutes = require('./routes/strategies');
 const backtestRoutes = require('./routes/backtests');
+const optimizationRoutes = require('./routes/optimizations');
 const tradingRoutes = require('./routes/trading');
 const { setupWebSocket } = require('./websocket/websocket');
 
@@ -28,6 +29,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/strategies', strategyRoutes);
 app.use('/api/backtests', backtestRoutes);
+app.use('/api/optimizations', optimizationRoutes);
 app.use('/api/trading', tradingRoutes);
 
 // Create HTTP server
@@ -1,25 +1,44 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const fsPromises = require('fs').promises;
 const { prisma } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const BacktestEngine = require('../backtest/engine');
-
-// Ensure uploads directory exists
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads', { recursive: true });
-}
+const { monteCarlo } = require('../backtest/monteCarlo');
+const { getBacktestQueue } = require('../backtest/jobQueue');
+const {
+  streamingUpload,
+  parseList,
+  parseBacktestRequest,
+  removeUploads,
+  describeDataFiles,
+} = require('../utils/backtestRequest');
+const { downsampleIndices } = require('../utils/series');
 
 const router = express.Router();
 
+// Per-bar series longer than this are downsampled before storage
+const MAX_STORED_POINTS = 2000;
+
 /**
- * Convert Date objects in results to ISO strings for JSON serialization
+ * Convert Date objects in results to ISO strings for JSON serialization.
+ * The equity and benchmark curves and the strategy's plot lines share a timeline, so all keep the same downsampled bars.
  */
 function serializeResults(results) {
+  const equityCurve = results.equityCurve || [];
+  const indices = downsampleIndices(equityCurve.map(p => p.equity), MAX_STORED_POINTS);
+  const downsample = curve => indices.filter(i => i < curve.length).map(i => curve[i]);
+
   return {
     ...results,
+    equityCurve: downsample(equityCurve),
+    benchmark: results.benchmark
+      ? { ...results.benchmark, equityCurve: downsample(results.benchmark.equityCurve) }
+      : results.benchmark,
+    annotations: results.annotations
+      ? {
+        ...results.annotations,
+        plots: Object.fromEntries(Object.entries(results.annotations.plots).map(([name, values]) => [name, downsample(values)])),
+      }
+      : results.annotations,
     trades: results.trades.map(trade => ({
       ...trade,
       entryTime: trade.entryTime instanceof Date ? trade.entryTime.toISOString() : trade.entryTime,
@@ -44,19 +63,6 @@ function deserializeResults(results) {
   };
 }
 
-// Configure multer for file uploads
-const upload = multer({
-  dest: 'uploads/',
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || path.extname(file.originalname).toLowerCase() === '.csv') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV files are allowed'));
-    }
-  },
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-});
-
 // Get all backtests for user
 router.get('/', authenticate, async (req, res) => {
   try {
@@ -74,11 +80,17 @@ router.get('/', authenticate, async (req, res) => {
       orderBy: { createdAt: 'desc' },
     });
 
-    // Deserialize results
-    const deserializedBacktests = backtests.map(b => ({
-      ...b,
-      results: deserializeResults(b.results),
-    }));
+    // Deserialize results; the list only needs summaries, so per-bar curves, strategy logs and annotations are left out
+    const deserializedBacktests = backtests.map(b => {
+      const results = deserializeResults(b.results);
+      if (results) {
+        delete results.equityCurve;
+        if (results.logs) results.logs = { ...results.logs, items: undefined };
+        delete results.annotations;
+        if (results.benchmark) results.benchmark = { ...results.benchmark, equityCurve: undefined };
+      }
+      return { ...b, results };
+    });
 
     res.json({ backtests: deserializedBacktests });
   } catch (error) {
@@ -87,6 +99,33 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// Queued and running backtest jobs (optimization jobs are listed under /api/optimizations/jobs)
+router.get('/jobs', authenticate, (req, res) => {
+  res.json({ jobs: getBacktestQueue().list(req.userId).filter(job => job.type === 'backtest') });
+});
+
+// Backtest job status, progress and, once completed, the saved backtest's id
+router.get('/jobs/:jobId', authenticate, (req, res) => {
+  const job = getBacktestQueue().get(req.params.jobId, req.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job });
+});
+
+// Cancel a queued or running backtest job
+router.post('/jobs/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    const job = await getBacktestQueue().cancel(req.params.jobId, req.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
 // Get single backtest
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -121,15 +160,36 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
-// Run backtest
+/**
+ * Save a finished backtest job's results for a user
+ */
+async function saveBacktest(userId, { strategyId, name, dataFile, params }, { results, tradesCsv }) {
+  const backtest = await prisma.backtest.create({
+    data: {
+      userId,
+      strategyId,
+      name,
+      dataFile,
+      params,
+      // Serialize results for storage (convert Dates to ISO strings)
+      results: serializeResults(results),
+      tradesCsv,
+    },
+    select: { id: true },
+  });
+  return { backtestId: backtest.id };
+}
+
+// Queue a backtest; it runs in a worker thread and is saved when it completes
 router.post(
   '/run',
   authenticate,
   // accept any files (we'll validate CSVs and map them to timeframes)
-  upload.any(),
+  streamingUpload.any(),
   async (req, res) => {
+    let job;
     try {
-      const { strategyId, name, commission, slippage, initialCapital, timeframe, timeframes } = req.body;
+      const { strategyId, name } = req.body;
 
       if (!strategyId || !name) {
         return res.status(400).json({ error: 'Strategy ID and name are required' });
@@ -153,118 +213,44 @@ router.post(
 
       const strategyParams = strategy.params || {};
 
-      // Initialize backtest engine
-      // Parse timeframes: support `timeframes` (JSON array or comma-separated) or legacy `timeframe`
-      let tfs = [];
-      if (timeframes) {
-        try {
-          tfs = typeof timeframes === 'string' ? JSON.parse(timeframes) : timeframes;
-        } catch (e) {
-          // Fallback to comma-separated
-          tfs = typeof timeframes === 'string' ? timeframes.split(',').map(s => s.trim()) : timeframes;
-        }
-      } else if (timeframe) {
-        tfs = typeof timeframe === 'string' && timeframe.includes(',') ? timeframe.split(',').map(s => s.trim()) : [timeframe];
-      }
-
-      const engine = new BacktestEngine({
-        commission: parseFloat(commission) || 0.001,
-        slippage: parseFloat(slippage) || 0.0005,
-        initialCapital: parseFloat(initialCapital) || 10000,
-        timeframes: tfs.length > 0 ? tfs : ['1h'],
-      });
-
-      // Load data: support single CSV (legacy) or multiple CSVs mapped to timeframes
-      let dataParam = null;
-      const uploadedFiles = Array.isArray(req.files) ? req.files : [];
-
-      if (uploadedFiles.length > 1) {
-        // Expect one file per timeframe
-        if (tfs.length === 0) {
-          return res.status(400).json({ error: 'When uploading multiple files, please provide `timeframes` to map them.' });
-        }
-        if (uploadedFiles.length !== tfs.length) {
-          return res.status(400).json({ error: `Uploaded ${uploadedFiles.length} files but ${tfs.length} timeframes provided` });
-        }
-
-        // Load each file and map to timeframe by order
-        const dataByTf = {};
-        for (let i = 0; i < tfs.length; i++) {
-          const f = uploadedFiles[i];
-          const loaded = await engine.loadData(f.path);
-          if (!Array.isArray(loaded) || loaded.length === 0) {
-            return res.status(400).json({ error: `No valid data found in uploaded file: ${f.originalname}` });
-          }
-          dataByTf[tfs[i]] = loaded;
-        }
-
-        dataParam = dataByTf;
-      } else if (uploadedFiles.length === 1) {
-        // Single uploaded file
-        const f = uploadedFiles[0];
-        const loaded = await engine.loadData(f.path);
-        if (!Array.isArray(loaded) || loaded.length === 0) {
-          return res.status(400).json({ error: `No valid data found in uploaded file: ${f.originalname}` });
-        }
-        dataParam = loaded;
-      } else if (req.body.dataFile) {
-        // Existing stored file path (legacy)
-        const loaded = await engine.loadData(req.body.dataFile);
-        if (!Array.isArray(loaded) || loaded.length === 0) {
-          return res.status(400).json({ error: 'No valid data found in CSV file' });
-        }
-        dataParam = loaded;
-      } else {
-        return res.status(400).json({ error: 'Data file is required' });
+      // Validate engine options before queueing; the worker builds its own engine from the same fields
+      const request = parseBacktestRequest(req.body);
+      try {
+        new BacktestEngine(request.engineOptions);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
 
-      // Run backtest
-      const results = await engine.run(strategy.code, dataParam, strategyParams);
-
-      // Export trades to CSV
-      const tradesCsvPath = `uploads/backtest_${Date.now()}_trades.csv`;
-      await engine.exportTradesToCSV(results.trades, tradesCsvPath);
-
-      // Read trades CSV as text for storage
-      const tradesCsvText = await fsPromises.readFile(tradesCsvPath, 'utf8');
-
-      // Serialize results for storage (convert Dates to ISO strings)
-      const serializedResults = serializeResults(results);
-
-      // Save backtest results
-      const backtest = await prisma.backtest.create({
-        data: {
-          userId: req.userId,
-          strategyId: parseInt(strategyId),
-          name,
-          dataFile: (uploadedFiles && uploadedFiles.length > 0)
-            ? uploadedFiles.map(f => f.originalname).join(',')
-            : (req.body.dataFile || ''),
-          params: strategyParams,
-          results: serializedResults,
-          tradesCsv: tradesCsvText,
-        },
-        select: {
-          id: true,
-          name: true,
-          strategyId: true,
-          dataFile: true,
-          params: true,
-          results: true,
-          createdAt: true,
-        },
+      const backtest = {
+        strategyId: parseInt(strategyId),
+        name,
+        dataFile: describeDataFiles(req),
+        params: strategyParams,
+      };
+      const userId = req.userId;
+      job = getBacktestQueue().enqueue(userId, {
+        code: strategy.code,
+        params: strategyParams,
+        body: { ...req.body },
+        files: Array.isArray(req.files) ? req.files : [],
+      }, {
+        meta: { type: 'backtest', name, strategyId: backtest.strategyId },
+        onComplete: result => saveBacktest(userId, backtest, result),
+        // A cancel that came in while saving wins
+        onDiscard: ({ backtestId }) => prisma.backtest.delete({ where: { id: backtestId } }),
+        onFinish: () => removeUploads(req.files),
       });
 
-      // Deserialize results for response
-      backtest.results = deserializeResults(backtest.results);
-
-      res.status(201).json({
-        backtest,
-        results: results,
-      });
+      res.status(202).json({ job });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Backtest error:', error);
       res.status(500).json({ error: `Backtest failed: ${error.message}` });
+    } finally {
+      // Once queued, the job deletes the uploads when it finishes
+      if (!job) removeUploads(req.files);
     }
   }
 );
@@ -295,6 +281,51 @@ router.get('/:id/trades', authenticate, async (req, res) => {
   }
 });
 
+// Monte Carlo analysis of a saved backtest's trades (no strategy rerun)
+router.get('/:id/monte-carlo', authenticate, async (req, res) => {
+  try {
+    const backtest = await prisma.backtest.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.userId,
+      },
+      select: {
+        results: true,
+      },
+    });
+
+    if (!backtest || !backtest.results) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    const { trades = [], finalCapital } = backtest.results;
+    // Older backtests didn't store initial capital; all positions are closed, so it follows from the P&L
+    const initialCapital = backtest.results.initialCapital
+      ?? finalCapital - trades.reduce((sum, t) => sum + t.pnl, 0);
+    const { simulations, methods, skipProbability, ruinPercent, confidence, seed } = req.query;
+
+    let report;
+    try {
+      report = monteCarlo(trades, {
+        initialCapital,
+        simulations: simulations !== undefined ? parseInt(simulations) : undefined,
+        methods: methods ? parseList(methods) : undefined,
+        skipProbability: skipProbability !== undefined ? parseFloat(skipProbability) : undefined,
+        ruinPercent: ruinPercent !== undefined ? parseFloat(ruinPercent) : undefined,
+        confidence: confidence !== undefined ? parseFloat(confidence) : undefined,
+        seed: seed !== undefined ? parseInt(seed) : undefined,
+      });
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    res.json({ monteCarlo: report });
+  } catch (error) {
+    console.error('Monte Carlo error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete backtest
 router.delete('/:id', authenticate, async (req, res) => {
   try {
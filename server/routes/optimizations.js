@@ -0,0 +1,394 @@
+const express = require('express');
+const { prisma } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const BacktestEngine = require('../backtest/engine');
+const { planSweep } = require('../backtest/optimizer');
+const { checkWindowOptions } = require('../backtest/walkForward');
+const { getBacktestQueue } = require('../backtest/jobQueue');
+const {
+  upload,
+  badRequest,
+  parseBacktestRequest,
+  removeUploads,
+  describeDataFiles,
+} = require('../utils/backtestRequest');
+const { downsampleIndices } = require('../utils/series');
+
+const router = express.Router();
+
+// Stitched walk-forward equity curves longer than this are downsampled before storage
+const MAX_STORED_POINTS = 2000;
+
+// Job types run by the optimization endpoints
+const OPTIMIZATION_JOB_TYPES = ['optimization', 'walk_forward'];
+
+// A user's optimization job as reported to clients, or null
+const getOptimizationJob = (jobId, userId) => {
+  const job = getBacktestQueue().get(jobId, userId);
+  return job && OPTIMIZATION_JOB_TYPES.includes(job.type) ? job : null;
+};
+
+// Get all optimization runs for user (without the full result tables)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const optimizations = await prisma.optimization.findMany({
+      where: { userId: req.userId },
+      select: {
+        id: true,
+        name: true,
+        strategyId: true,
+        dataFile: true,
+        method: true,
+        metric: true,
+        paramRanges: true,
+        bestParams: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ optimizations });
+  } catch (error) {
+    console.error('Get optimizations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Queued and running optimization jobs
+router.get('/jobs', authenticate, (req, res) => {
+  const jobs = getBacktestQueue().list(req.userId).filter(job => OPTIMIZATION_JOB_TYPES.includes(job.type));
+  res.json({ jobs });
+});
+
+// Optimization job status, progress and, once completed, the saved optimization's id
+router.get('/jobs/:jobId', authenticate, (req, res) => {
+  const job = getOptimizationJob(req.params.jobId, req.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job });
+});
+
+// Cancel a queued or running optimization job
+router.post('/jobs/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    if (!getOptimizationJob(req.params.jobId, req.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const job = await getBacktestQueue().cancel(req.params.jobId, req.userId);
+    res.json({ job });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Get single optimization run with ranked results
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const optimization = await prisma.optimization.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.userId,
+      },
+    });
+
+    if (!optimization) {
+      return res.status(404).json({ error: 'Optimization not found' });
+    }
+
+    res.json({ optimization });
+  } catch (error) {
+    console.error('Get optimization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Strategy, parameter ranges and parsed request shared by the optimization endpoints, checked before
+ * the run is queued. Throws errors carrying an HTTP `status` for bad input.
+ */
+async function prepareSweep(req) {
+  const { strategyId, name, paramRanges } = req.body;
+
+  if (!strategyId || !name || !paramRanges) {
+    throw badRequest('Strategy ID, name and paramRanges are required');
+  }
+
+  let ranges;
+  try {
+    ranges = typeof paramRanges === 'string' ? JSON.parse(paramRanges) : paramRanges;
+  } catch (e) {
+    throw badRequest('paramRanges must be valid JSON');
+  }
+
+  // Get strategy
+  const strategy = await prisma.strategy.findFirst({
+    where: {
+      id: parseInt(strategyId),
+      userId: req.userId,
+    },
+    select: {
+      code: true,
+      params: true,
+    },
+  });
+
+  if (!strategy) {
+    const error = new Error('Strategy not found');
+    error.status = 404;
+    throw error;
+  }
+
+  // Validate engine options; the worker builds its own engine from the same fields
+  const request = parseBacktestRequest(req.body);
+  try {
+    new BacktestEngine(request.engineOptions);
+  } catch (e) {
+    throw badRequest(e.message);
+  }
+
+  return { strategy, ranges, request };
+}
+
+/**
+ * Queue a sweep job for the worker; `save(report)` stores its report once it completes
+ */
+function enqueueSweep(req, type, options, { strategy, ranges }, save) {
+  const { strategyId, name } = req.body;
+  const run = {
+    userId: req.userId,
+    strategyId: parseInt(strategyId),
+    name,
+    dataFile: describeDataFiles(req),
+    paramRanges: ranges,
+  };
+  return getBacktestQueue().enqueue(req.userId, {
+    task: type,
+    code: strategy.code,
+    params: strategy.params || {},
+    body: { ...req.body },
+    files: Array.isArray(req.files) ? req.files : [],
+    options: { ...options, ranges },
+  }, {
+    meta: { type, name, strategyId: run.strategyId },
+    progress: { percent: 0, runs: 0, totalRuns: null },
+    onComplete: report => save(run, report),
+    // A cancel that came in while saving wins
+    onDiscard: ({ optimizationId }) => prisma.optimization.delete({ where: { id: optimizationId } }),
+    onFinish: () => removeUploads(req.files),
+  });
+}
+
+/**
+ * Save a finished parameter sweep
+ */
+async function saveOptimization(run, report) {
+  const optimization = await prisma.optimization.create({
+    data: {
+      ...run,
+      method: report.method,
+      metric: report.metric,
+      results: report,
+      bestParams: report.best ? report.best.params : null,
+    },
+    select: { id: true },
+  });
+  return { optimizationId: optimization.id };
+}
+
+/**
+ * Save a finished walk-forward analysis; the last window's params are the ones to trade going forward
+ */
+async function saveWalkForward(run, report) {
+  const indices = downsampleIndices(report.equityCurve.map(p => p.equity), MAX_STORED_POINTS);
+  report.equityCurve = indices.map(i => report.equityCurve[i]);
+
+  const lastWindow = report.windows[report.windows.length - 1];
+  const optimization = await prisma.optimization.create({
+    data: {
+      ...run,
+      method: 'walk_forward',
+      metric: report.metric,
+      results: report,
+      bestParams: lastWindow.params,
+    },
+    select: { id: true },
+  });
+  return { optimizationId: optimization.id };
+}
+
+// Queue an optimization: one backtest per parameter set, ranked by `metric`, run in a worker thread
+router.post(
+  '/run',
+  authenticate,
+  upload.any(),
+  async (req, res) => {
+    let job;
+    try {
+      const { method = 'grid', metric = 'sharpeRatio', samples, seed } = req.body;
+      const sweep = await prepareSweep(req);
+
+      const options = {
+        method,
+        metric,
+        samples: samples !== undefined ? parseInt(samples) : undefined,
+        seed: seed !== undefined ? parseInt(seed) : undefined,
+      };
+      try {
+        planSweep({ ...options, ranges: sweep.ranges });
+      } catch (e) {
+        // Invalid ranges, method or metric
+        throw badRequest(e.message);
+      }
+
+      job = enqueueSweep(req, 'optimization', options, sweep, saveOptimization);
+      res.status(202).json({ job });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Optimization error:', error);
+      res.status(500).json({ error: `Optimization failed: ${error.message}` });
+    } finally {
+      // Once queued, the job deletes the uploads when it finishes
+      if (!job) removeUploads(req.files);
+    }
+  }
+);
+
+// Queue a walk-forward analysis: optimize in-sample, trade the winner out-of-sample, window by window
+router.post(
+  '/walk-forward',
+  authenticate,
+  upload.any(),
+  async (req, res) => {
+    let job;
+    try {
+      const {
+        method = 'grid',
+        metric = 'sharpeRatio',
+        samples,
+        seed,
+        mode = 'rolling',
+        inSampleBars,
+        outOfSampleBars,
+      } = req.body;
+      const sweep = await prepareSweep(req);
+
+      if (sweep.request.isPortfolio) {
+        throw badRequest('Walk-forward analysis supports a single symbol');
+      }
+
+      const options = {
+        method,
+        metric,
+        mode,
+        inSampleBars: parseInt(inSampleBars),
+        outOfSampleBars: parseInt(outOfSampleBars),
+        samples: samples !== undefined ? parseInt(samples) : undefined,
+        seed: seed !== undefined ? parseInt(seed) : undefined,
+      };
+      try {
+        checkWindowOptions(options);
+        planSweep({ ...options, ranges: sweep.ranges });
+      } catch (e) {
+        // Invalid windows, ranges, method or metric
+        throw badRequest(e.message);
+      }
+
+      job = enqueueSweep(req, 'walk_forward', options, sweep, saveWalkForward);
+      res.status(202).json({ job });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Walk-forward error:', error);
+      res.status(500).json({ error: `Walk-forward failed: ${error.message}` });
+    } finally {
+      if (!job) removeUploads(req.files);
+    }
+  }
+);
+
+// Promote a parameter set (best by default, `rank`, or a walk-forward `window`) into the strategy's saved params
+router.post('/:id/promote', authenticate, async (req, res) => {
+  try {
+    const optimization = await prisma.optimization.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.userId,
+      },
+    });
+
+    if (!optimization) {
+      return res.status(404).json({ error: 'Optimization not found' });
+    }
+
+    let chosen;
+    if (optimization.method === 'walk_forward') {
+      // Walk-forward runs promote a window's params, the most recent by default
+      const windows = optimization.results?.windows || [];
+      const index = req.body.window !== undefined ? parseInt(req.body.window) : windows.length - 1;
+      chosen = windows.find(w => w.window === index);
+      if (!chosen) {
+        return res.status(400).json({ error: `No window ${req.body.window}` });
+      }
+    } else {
+      const rank = req.body.rank !== undefined ? parseInt(req.body.rank) : 1;
+      chosen = (optimization.results?.results || []).find(r => r.rank === rank);
+      if (!chosen) {
+        return res.status(400).json({ error: `No result with rank ${req.body.rank}` });
+      }
+    }
+
+    const strategy = await prisma.strategy.findFirst({
+      where: {
+        id: optimization.strategyId,
+        userId: req.userId,
+      },
+    });
+
+    if (!strategy) {
+      return res.status(404).json({ error: 'Strategy not found' });
+    }
+
+    const updated = await prisma.strategy.update({
+      where: { id: strategy.id },
+      data: { params: { ...(strategy.params || {}), ...chosen.params } },
+      select: {
+        id: true,
+        name: true,
+        params: true,
+        updatedAt: true,
+      },
+    });
+
+    res.json({ strategy: updated, promoted: chosen });
+  } catch (error) {
+    console.error('Promote optimization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete optimization run
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const optimization = await prisma.optimization.deleteMany({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.userId,
+      },
+    });
+
+    if (optimization.count === 0) {
+      return res.status(404).json({ error: 'Optimization not found' });
+    }
+
+    res.json({ message: 'Optimization deleted successfully' });
+  } catch (error) {
+    console.error('Delete optimization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const { prisma } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { encrypt, decrypt } = require('../utils/encryption');
 const { PaperBroker } = require('../brokers/paper');
+const { resolveMarginOptions } = require('../trading/margin');
+const { createCommissionModel, parseCommissionConfig } = require('../trading/commission');
+const { createSlippageModel, resolveVolumeCap, parseSlippageConfig } = require('../trading/slippage');
+const { createSessionClock } = require('../trading/sessions');
 const { setupLiveTrading, getSession, stopTradingSession, getActiveSessions } = require('../trading/liveTrading');
 
 const router = express.Router();
@@ -107,7 +111,51 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { strategyId, symbol, brokerType = 'paper' } = req.body;
+      const {
+        strategyId,
+        symbol,
+        brokerType = 'paper',
+        commission,
+        slippage,
+        maxVolumeShare,
+        volumeCapMode,
+        leverage,
+        initialMargin,
+        maintenanceMargin,
+        sessions,
+        tradingSessions,
+      } = req.body;
+
+      // Fee, slippage and margin settings for the paper account (same models as backtests)
+      let brokerOptions;
+      try {
+        brokerOptions = {
+          commission: parseCommissionConfig(commission),
+          slippage: parseSlippageConfig(slippage, 0),
+          maxVolumeShare: maxVolumeShare !== undefined ? parseFloat(maxVolumeShare) : undefined,
+          volumeCapMode,
+          leverage: leverage !== undefined ? parseFloat(leverage) : undefined,
+          initialMargin: initialMargin !== undefined ? parseFloat(initialMargin) : undefined,
+          maintenanceMargin: maintenanceMargin !== undefined ? parseFloat(maintenanceMargin) : undefined,
+        };
+        createCommissionModel(brokerOptions.commission);
+        createSlippageModel(brokerOptions.slippage);
+        resolveVolumeCap(brokerOptions);
+        resolveMarginOptions(brokerOptions);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      // Market sessions for ctx.session and the trading-hours filter (same definitions as backtests)
+      const sessionOptions = {
+        sessions: sessions || {},
+        tradingSessions: Array.isArray(tradingSessions) ? tradingSessions : [],
+      };
+      try {
+        createSessionClock(sessionOptions);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
 
       // Check if paper trading is enabled
       const isPaperTrading = process.env.PAPER_TRADING_ENABLED !== 'false';
@@ -132,7 +180,7 @@ router.post(
       }
 
       // Start live trading session
-      const sessionId = await setupLiveTrading(req.userId, strategyId, symbol, brokerType, strategy);
+      const sessionId = await setupLiveTrading(req.userId, strategyId, symbol, brokerType, strategy, brokerOptions, sessionOptions);
 
       res.json({
         message: 'Live trading started',
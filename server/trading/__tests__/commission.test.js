@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for Commission Models
+ */
+
+const { createCommissionModel, parseCommissionConfig } = require('../commission');
+
+describe('Commission models', () => {
+  const fill = (price, size, extra = {}) => ({ price, size, orderType: 'MARKET', timestamp: Date.UTC(2024, 0, 15), ...extra });
+
+  test('should treat a number as a percentage of notional', () => {
+    const model = createCommissionModel(0.001);
+    expect(model.type).toBe('percent');
+    expect(model.quote(fill(100, 10))).toBeCloseTo(1, 10);
+  });
+
+  test('should charge per unit, per order and per lot', () => {
+    expect(createCommissionModel({ type: 'perUnit', rate: 0.005 }).quote(fill(50, 200))).toBeCloseTo(1, 10);
+    expect(createCommissionModel({ type: 'perOrder', amount: 2.5 }).quote(fill(50, 200))).toBe(2.5);
+    // Half a standard FX lot at $7 per lot
+    expect(createCommissionModel({ type: 'perLot', amount: 7, lotSize: 100000 }).quote(fill(1.1, 50000))).toBeCloseTo(3.5, 10);
+  });
+
+  test('should clamp fees to the minimum and maximum', () => {
+    const model = createCommissionModel({ type: 'perUnit', rate: 0.005, minimum: 1, maximum: 10 });
+    expect(model.quote(fill(50, 10))).toBe(1);
+    expect(model.quote(fill(50, 1000))).toBeCloseTo(5, 10);
+    expect(model.quote(fill(50, 5000))).toBe(10);
+    expect(model.quote(fill(50, 0))).toBe(0);
+  });
+
+  test('should use the maker rate for limit fills and the taker rate otherwise', () => {
+    const model = createCommissionModel({ type: 'makerTaker', maker: 0.0002, taker: 0.0007 });
+    expect(model.quote(fill(100, 10, { orderType: 'LIMIT' }))).toBeCloseTo(0.2, 10);
+    expect(model.quote(fill(100, 10))).toBeCloseTo(0.7, 10);
+    expect(model.quote(fill(100, 10, { orderType: 'STOP' }))).toBeCloseTo(0.7, 10);
+  });
+
+  test('should step down tiered rates as monthly volume grows', () => {
+    const model = createCommissionModel({
+      type: 'tiered',
+      tiers: [{ volume: 100000, rate: 0.0005 }, { volume: 0, rate: 0.001 }],
+    });
+
+    // Quotes do not count toward volume, charges do
+    expect(model.quote(fill(100, 1000))).toBeCloseTo(100, 10);
+    expect(model.charge(fill(100, 1000))).toBeCloseTo(100, 10);
+    expect(model.charge(fill(100, 10))).toBeCloseTo(0.5, 10);
+
+    // Volume resets at the start of the next calendar month
+    expect(model.quote(fill(100, 10, { timestamp: Date.UTC(2024, 1, 1) }))).toBeCloseTo(1, 10);
+  });
+
+  test('should reject invalid configs', () => {
+    expect(() => createCommissionModel({ type: 'flat' })).toThrow('Invalid commission model');
+    expect(() => createCommissionModel(-0.001)).toThrow('non-negative rate');
+    expect(() => createCommissionModel({ type: 'perLot', amount: 7 })).toThrow('lotSize');
+    expect(() => createCommissionModel({ type: 'tiered', tiers: [] })).toThrow('tiers');
+    expect(() => createCommissionModel({ type: 'perOrder', amount: 1, minimum: -1 })).toThrow('minimum');
+  });
+
+  test('should parse request values', () => {
+    expect(parseCommissionConfig(undefined)).toBe(0.001);
+    expect(parseCommissionConfig('0.002')).toBe(0.002);
+    expect(parseCommissionConfig('{"type":"perOrder","amount":1}')).toEqual({ type: 'perOrder', amount: 1 });
+    expect(() => parseCommissionConfig('cheap')).toThrow('commission must be');
+  });
+});
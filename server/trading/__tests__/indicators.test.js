@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for the ctx.ta Indicator Library
+ */
+
+const { createIndicators } = require('../indicators');
+const { createCalendar } = require('../../backtest/calendar');
+const { createSeriesView } = require('../../utils/series');
+
+const makeCandles = (closes, start = Date.UTC(2024, 0, 1)) => closes.map((close, i) => ({
+  timestamp: new Date(start + i * 60 * 60 * 1000),
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 100 + i,
+}));
+
+const closes = Array.from({ length: 60 }, (_, i) => 100 + 10 * Math.sin(i / 5) + i * 0.1);
+
+describe('Technical indicators', () => {
+  test('should match direct moving average calculations', () => {
+    const ta = createIndicators();
+    const candles = makeCandles(closes);
+    const last = closes.slice(-5);
+
+    expect(ta.sma(candles, 5)).toBeCloseTo(last.reduce((a, b) => a + b, 0) / 5, 10);
+    expect(ta.wma(candles, 5)).toBeCloseTo(last.reduce((sum, c, i) => sum + c * (i + 1), 0) / 15, 10);
+
+    let ema = closes.slice(0, 10).reduce((a, b) => a + b, 0) / 10;
+    for (const close of closes.slice(10)) ema += (2 / 11) * (close - ema);
+    expect(ta.ema(candles, 10)).toBeCloseTo(ema, 10);
+
+    const macd = ta.macd(candles);
+    expect(macd.macd).toBeCloseTo(ta.ema(candles, 12) - ta.ema(candles, 26), 10);
+    expect(macd.histogram).toBeCloseTo(macd.macd - macd.signal, 10);
+
+    // Plain number series work for price-only indicators
+    expect(ta.sma(closes, 5)).toBeCloseTo(ta.sma(candles, 5), 10);
+    expect(ta.sma(candles.slice(0, 4), 5)).toBeNull();
+  });
+
+  test('should use Wilder smoothing for RSI and ATR', () => {
+    const ta = createIndicators();
+    const candles = makeCandles([1, 2, 1.5, 2.5]);
+
+    // Gains/losses over 2 changes: 0.5/0.25 (RS 2), then (0.5 + 1) / 2 and 0.25 / 2 (RS 6)
+    expect(ta.rsi(candles.slice(0, 3), 2)).toBeCloseTo(100 - 100 / 3, 10);
+    expect(ta.rsi(candles, 2)).toBeCloseTo(100 - 100 / 7, 10);
+    expect(ta.rsi(makeCandles([1, 2, 3, 4]), 2)).toBe(100);
+
+    // True ranges 2, 2, 2, 3.5: (2 + 2) / 2, then (2 + 2) / 2 and (2 + 3.5) / 2
+    const gapped = makeCandles([1, 2, 1.5, 4]);
+    gapped[3].low = 3.5;
+    expect(ta.atr(gapped.slice(0, 2), 2)).toBe(2);
+    expect(ta.atr(gapped, 2)).toBeCloseTo(2.75, 10);
+  });
+
+  test('should compute band and channel indicators', () => {
+    const ta = createIndicators();
+    const candles = makeCandles([10, 12, 11, 13]);
+
+    const bands = ta.bbands(candles, 4, 2);
+    expect(bands.middle).toBe(11.5);
+    expect(bands.upper - bands.middle).toBeCloseTo(2 * Math.sqrt(1.25), 10);
+
+    expect(ta.donchian(candles, 3)).toEqual({ upper: 14, middle: 12, lower: 10 });
+
+    const stoch = ta.stoch(candles, 3, 2);
+    expect(stoch.k).toBeCloseTo(((13 - 10) / (14 - 10)) * 100, 10);
+    expect(stoch.d).toBeCloseTo((((11 - 9) / (13 - 9)) * 100 + stoch.k) / 2, 10);
+
+    const adx = ta.adx(makeCandles(closes), 14);
+    expect(adx.adx).toBeGreaterThanOrEqual(0);
+    expect(adx.adx).toBeLessThanOrEqual(100);
+    expect(adx.plusDI).toBeGreaterThan(0);
+  });
+
+  test('should anchor VWAP to the UTC day and pivots to the previous bar', () => {
+    const ta = createIndicators();
+    const candles = makeCandles([10, 20, 30], Date.UTC(2024, 0, 1, 22));
+    candles.forEach((c) => { c.volume = 1; });
+
+    // The third candle (00:00) starts a new day
+    expect(ta.vwap(candles.slice(0, 2))).toBe(15);
+    expect(ta.vwap(candles)).toBe(30);
+    expect(ta.vwap(candles, 'none')).toBe(20);
+
+    expect(ta.pivots(candles.slice(0, 1))).toBeNull();
+    expect(ta.pivots(candles)).toMatchObject({ pivot: 20, r1: 21, s1: 19, r2: 22, s2: 18 });
+  });
+
+  test('should restart VWAP at the trading day given by a calendar', () => {
+    // Trading days start at 17:00 New York time (22:00 UTC in January)
+    const calendar = createCalendar({ timeZone: 'America/New_York', sessionStart: '17:00' });
+    const ta = createIndicators({ dayOf: calendar.bucketer('1d') });
+    const candles = makeCandles([10, 20, 30, 40], Date.UTC(2024, 0, 1, 21));
+    candles.forEach((c) => { c.volume = 1; });
+
+    // 21:00 closes a trading day; 22:00 opens the next, which goes on past UTC midnight
+    expect(ta.vwap(candles.slice(0, 1))).toBe(10);
+    expect(ta.vwap(candles.slice(0, 2))).toBe(20);
+    expect(ta.vwap(candles)).toBe(30);
+  });
+
+  test('should process each new bar once as the series grows', () => {
+    const ta = createIndicators();
+    let reads = 0;
+    const candles = makeCandles(closes).map(c => ({
+      ...c,
+      get close() {
+        reads++;
+        return c.close;
+      },
+    }));
+
+    const fresh = createIndicators();
+    for (let i = 1; i <= candles.length; i++) {
+      ta.ema(createSeriesView(candles, i), 10);
+    }
+    expect(reads).toBe(candles.length);
+    expect(ta.ema(candles, 10)).toBe(fresh.ema(candles, 10));
+    expect(ta.ago(1).ema(candles, 10)).toBe(fresh.ema(candles.slice(0, -1), 10));
+
+    // Shorter views of the same candles read the cached values
+    const expected = fresh.ema(candles.slice(0, 30), 10);
+    reads = 0;
+    expect(ta.ema(createSeriesView(candles, 30), 10)).toBe(expected);
+    expect(reads).toBe(0);
+
+    // A different series starting with the same candle is recomputed, not mixed up with the cache
+    const other = [candles[0], ...makeCandles([1, 2, 3])];
+    expect(ta.sma(other, 2)).toBe(2.5);
+  });
+
+  test('should reject invalid arguments', () => {
+    const ta = createIndicators();
+    const candles = makeCandles(closes);
+    expect(() => ta.sma(candles, 0)).toThrow('Invalid sma period');
+    expect(() => ta.atr(closes, 14)).toThrow('needs a series of candles');
+    expect(() => ta.vwap(candles, 'week')).toThrow('Invalid vwap reset');
+    expect(() => ta.ago(-1)).toThrow('Invalid ta.ago bars');
+  });
+});
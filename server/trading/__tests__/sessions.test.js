@@ -0,0 +1,56 @@
+/**
+ * Unit Tests for Trading Sessions
+ */
+
+const { createSessionClock } = require('../sessions');
+
+const utc = iso => new Date(iso).getTime();
+
+describe('Trading sessions', () => {
+  test('should report the open sessions in their own time zones', () => {
+    const clock = createSessionClock();
+
+    // Wednesday 13:00 UTC in winter: London (GMT) and New York (EST) overlap, Tokyo is closed
+    expect(clock.at(utc('2024-01-10T13:00:00Z'))).toEqual({
+      active: ['london', 'newYork'],
+      tradingAllowed: true,
+      asia: false,
+      london: true,
+      newYork: true,
+    });
+    // Tokyo morning
+    expect(clock.at(utc('2024-01-10T01:00:00Z')).active).toEqual(['asia']);
+    // London opens at 07:00 UTC under BST
+    expect(clock.at(utc('2024-07-10T07:30:00Z')).london).toBe(true);
+    expect(clock.at(utc('2024-01-10T07:30:00Z')).london).toBe(false);
+    // Weekends are closed
+    expect(clock.at(utc('2024-01-13T13:00:00Z')).active).toEqual([]);
+  });
+
+  test('should support custom and overnight sessions', () => {
+    const clock = createSessionClock({
+      sessions: { sydney: { timeZone: 'Australia/Sydney', open: '22:00', close: '06:00', days: [1, 2, 3, 4, 5] } },
+    });
+
+    expect(clock.names).toEqual(['asia', 'london', 'newYork', 'sydney']);
+    // Tuesday 23:00 Sydney time (AEDT, UTC+11) and Wednesday 02:00 belong to Tuesday's session
+    expect(clock.at(utc('2024-01-09T12:00:00Z')).sydney).toBe(true);
+    expect(clock.at(utc('2024-01-09T15:00:00Z')).sydney).toBe(true);
+    // Saturday 02:00 is still Friday's session; Sunday 02:00 follows a closed Saturday
+    expect(clock.at(utc('2024-01-12T15:00:00Z')).sydney).toBe(true);
+    expect(clock.at(utc('2024-01-13T15:00:00Z')).sydney).toBe(false);
+
+    expect(() => createSessionClock({ sessions: { bad: { timeZone: 'UTC', open: '9am', close: '17:00' } } }))
+      .toThrow('Invalid bad session open');
+  });
+
+  test('should only allow trading in the chosen sessions', () => {
+    const clock = createSessionClock({ tradingSessions: ['london'] });
+
+    expect(clock.isTradingAllowed(utc('2024-01-10T10:00:00Z'))).toBe(true);
+    expect(clock.isTradingAllowed(utc('2024-01-10T18:00:00Z'))).toBe(false);
+    expect(clock.at(utc('2024-01-10T18:00:00Z'))).toMatchObject({ newYork: true, tradingAllowed: false });
+    expect(createSessionClock().isTradingAllowed(utc('2024-01-13T13:00:00Z'))).toBe(true);
+    expect(() => createSessionClock({ tradingSessions: ['frankfurt'] })).toThrow('Unknown trading session: frankfurt');
+  });
+});
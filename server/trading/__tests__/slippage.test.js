@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for Slippage Models
+ */
+
+const { createSlippageModel, resolveVolumeCap, capToVolume, parseSlippageConfig } = require('../slippage');
+
+describe('Slippage models', () => {
+  const candle = { open: 100, high: 104, low: 98, close: 102, volume: 10000 };
+  const fill = (size = 1) => ({ symbol: 'XAUUSD', price: 100, size, candle });
+
+  test('should treat a number as a fraction of price', () => {
+    const model = createSlippageModel(0.001);
+    expect(model.type).toBe('percent');
+    expect(model.fillPrice('BUY', fill())).toBeCloseTo(100.1, 10);
+    expect(model.fillPrice('SELL', fill())).toBeCloseTo(99.9, 10);
+  });
+
+  test('should move fills by a fixed spread in ticks or a fraction of the range', () => {
+    const ticks = createSlippageModel({ type: 'ticks', ticks: 3, tickSize: 0.01 });
+    expect(ticks.fillPrice('BUY', fill())).toBeCloseTo(100.03, 10);
+
+    const range = createSlippageModel({ type: 'range', fraction: 0.1 });
+    expect(range.fillPrice('SELL', fill())).toBeCloseTo(100 - 0.6, 10);
+  });
+
+  test('should track the ATR of each symbol', () => {
+    const model = createSlippageModel({ type: 'atr', fraction: 0.5, period: 2 });
+    expect(model.fillPrice('BUY', fill())).toBe(100); // No bars yet
+
+    model.update('XAUUSD', { high: 101, low: 99, close: 100 }); // TR 2
+    model.update('XAUUSD', { high: 106, low: 102, close: 105 }); // TR 6 (gap from 100)
+    expect(model.fillPrice('BUY', fill())).toBeCloseTo(100 + 0.5 * 4, 10);
+
+    // Wilder smoothing once the period is full: (4 * 1 + 2) / 2
+    model.update('XAUUSD', { high: 106, low: 104, close: 105 });
+    expect(model.fillPrice('BUY', fill())).toBeCloseTo(100 + 0.5 * 3, 10);
+    expect(model.fillPrice('BUY', { ...fill(), symbol: 'EURUSD' })).toBe(100);
+  });
+
+  test('should grow market impact with the square root of participation', () => {
+    const model = createSlippageModel({ type: 'sqrtImpact', coefficient: 0.1 });
+    expect(model.fillPrice('BUY', fill(100))).toBeCloseTo(100 * (1 + 0.1 * 0.1), 10);
+    expect(model.fillPrice('BUY', fill(400))).toBeCloseTo(100 * (1 + 0.1 * 0.2), 10);
+    // Without volume the order is treated as trading the whole bar
+    expect(model.fillPrice('SELL', { price: 100, size: 1, candle: { ...candle, volume: 0 } })).toBeCloseTo(90, 10);
+  });
+
+  test('should reject or partially fill orders over the volume cap', () => {
+    const reject = resolveVolumeCap({ maxVolumeShare: 0.01 });
+    expect(capToVolume(100, candle, 0, reject)).toEqual({ size: 100, limited: null });
+    expect(capToVolume(60, candle, 50, reject)).toEqual({ size: 0, limited: 'rejected' });
+
+    const partial = resolveVolumeCap({ maxVolumeShare: 0.01, volumeCapMode: 'partial' });
+    expect(capToVolume(60, candle, 50, partial)).toEqual({ size: 50, limited: 'partial' });
+    expect(capToVolume(60, candle, 100, partial)).toEqual({ size: 0, limited: 'rejected' });
+
+    const none = resolveVolumeCap({});
+    expect(capToVolume(1e9, candle, 0, none)).toEqual({ size: 1e9, limited: null });
+  });
+
+  test('should reject invalid configs', () => {
+    expect(() => createSlippageModel({ type: 'spread' })).toThrow('Invalid slippage model');
+    expect(() => createSlippageModel({ type: 'ticks', ticks: 1 })).toThrow('tickSize');
+    expect(() => createSlippageModel({ type: 'atr', fraction: 1, period: 0 })).toThrow('period');
+    expect(() => resolveVolumeCap({ maxVolumeShare: 1.5 })).toThrow('Invalid max volume share');
+    expect(() => resolveVolumeCap({ maxVolumeShare: 0.1, volumeCapMode: 'queue' })).toThrow('Invalid volume cap mode');
+    expect(() => parseSlippageConfig('wide')).toThrow('slippage must be');
+    expect(parseSlippageConfig('0')).toBe(0);
+  });
+});
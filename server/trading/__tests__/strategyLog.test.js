@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for the Strategy Log
+ */
+
+const { createStrategyLog } = require('../strategyLog');
+
+describe('Strategy log', () => {
+  test('should cap entries per bar and pass accepted entries to onEntry', () => {
+    const streamed = [];
+    const log = createStrategyLog({ maxPerBar: 2, onEntry: entry => streamed.push(entry) });
+
+    log.console.info('loaded');
+    log.setBar(0, new Date('2024-01-01T00:00:00Z'));
+    for (let i = 0; i < 5; i++) log.console.log('tick', i);
+    log.setBar(1, '2024-01-01T01:00:00.000Z');
+    log.console.error('%s failed', 'order');
+
+    expect(streamed.map(e => e.message)).toEqual(['loaded', 'tick 0', 'tick 1', 'order failed']);
+    expect(streamed[0]).toEqual({ level: 'info', index: null, timestamp: null, message: 'loaded' });
+    expect(streamed[3]).toMatchObject({ level: 'error', index: 1, timestamp: '2024-01-01T01:00:00.000Z' });
+    expect(log.logs).toMatchObject({ count: 7, dropped: 3 });
+  });
+
+  test('should record thrown values as structured errors', () => {
+    const log = createStrategyLog();
+    log.setBar(4, new Date('2024-01-01T04:00:00Z'));
+
+    expect(log.recordError(new TypeError('x is undefined'))).toEqual({
+      index: 4,
+      timestamp: '2024-01-01T04:00:00.000Z',
+      message: 'x is undefined',
+      stack: null,
+    });
+    log.recordError('plain string');
+    expect(log.errors.count).toBe(2);
+    expect(log.errors.items[1].message).toBe('plain string');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Commission Models
+ *
+ * Fee schedules shared by BacktestEngine and PaperBroker, so a backtest and a paper
+ * session with the same config charge the same fees
+ */
+
+const COMMISSION_TYPES = ['percent', 'perUnit', 'perOrder', 'makerTaker', 'tiered', 'perLot'];
+
+// Calendar month (UTC) of a timestamp, for monthly volume tiers
+const monthKey = (timestamp) => {
+  const date = new Date(timestamp ?? Date.now());
+  return `${date.getUTCFullYear()}-${date.getUTCMonth() + 1}`;
+};
+
+const isNonNegative = value => Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a commission config and fill in defaults.
+ * A plain number is a percentage of notional (0.001 = 0.1%), as the `commission` option always was.
+ */
+const normalizeCommissionConfig = (config) => {
+  const spec = typeof config === 'number' ? { type: 'percent', rate: config } : { ...config };
+  if (!COMMISSION_TYPES.includes(spec.type)) {
+    throw new Error(`Invalid commission model: ${spec.type}`);
+  }
+
+  const invalid = (field) => new Error(`Commission model ${spec.type} needs a non-negative ${field}`);
+  switch (spec.type) {
+    case 'percent':
+    case 'perUnit':
+      if (!isNonNegative(spec.rate)) throw invalid('rate');
+      break;
+    case 'perOrder':
+      if (!isNonNegative(spec.amount)) throw invalid('amount');
+      break;
+    case 'makerTaker':
+      if (!isNonNegative(spec.maker)) throw invalid('maker rate');
+      if (!isNonNegative(spec.taker)) throw invalid('taker rate');
+      break;
+    case 'tiered':
+      if (!Array.isArray(spec.tiers) || spec.tiers.length === 0
+        || !spec.tiers.every(t => isNonNegative(t.volume) && isNonNegative(t.rate))) {
+        throw invalid('list of { volume, rate } tiers');
+      }
+      spec.tiers = spec.tiers.slice().sort((a, b) => a.volume - b.volume);
+      break;
+    case 'perLot':
+      if (!isNonNegative(spec.amount)) throw invalid('amount');
+      if (!(Number.isFinite(spec.lotSize) && spec.lotSize > 0)) throw invalid('lotSize');
+      break;
+    default:
+      break;
+  }
+  if (spec.minimum !== undefined && !isNonNegative(spec.minimum)) throw invalid('minimum');
+  if (spec.maximum !== undefined && !isNonNegative(spec.maximum)) throw invalid('maximum');
+
+  return spec;
+};
+
+/**
+ * Create a commission model. Every fill is `{ price, size, orderType, timestamp }`:
+ * - percent: `rate` of notional
+ * - perUnit: `rate` per unit/share
+ * - perOrder: fixed `amount` per order
+ * - makerTaker: `maker` rate of notional for LIMIT fills, `taker` rate for MARKET and STOP fills
+ * - tiered: rate of the highest `tiers[]` entry whose `volume` the month's traded notional has reached
+ * - perLot: `amount` per lot of `lotSize` units (e.g. 100000 for FX, 100 oz for gold)
+ * Any type takes an optional per-order `minimum` and `maximum`.
+ * `quote` prices a fill; `charge` also counts it toward the monthly volume.
+ */
+const createCommissionModel = (config = 0.001) => {
+  const spec = normalizeCommissionConfig(config);
+  const monthlyVolume = new Map();
+
+  const baseFee = ({ price, size, orderType, timestamp }) => {
+    const notional = price * size;
+    switch (spec.type) {
+      case 'perUnit':
+        return size * spec.rate;
+      case 'perOrder':
+        return spec.amount;
+      case 'makerTaker':
+        return notional * (orderType === 'LIMIT' ? spec.maker : spec.taker);
+      case 'tiered': {
+        const volume = monthlyVolume.get(monthKey(timestamp)) || 0;
+        let rate = spec.tiers[0].rate;
+        for (const tier of spec.tiers) {
+          if (volume >= tier.volume) rate = tier.rate;
+        }
+        return notional * rate;
+      }
+      case 'perLot':
+        return (size / spec.lotSize) * spec.amount;
+      default:
+        return notional * spec.rate;
+    }
+  };
+
+  const quote = (fill) => {
+    if (!(fill.size > 0)) return 0;
+    let fee = baseFee(fill);
+    if (spec.minimum !== undefined) fee = Math.max(fee, spec.minimum);
+    if (spec.maximum !== undefined) fee = Math.min(fee, spec.maximum);
+    return fee;
+  };
+
+  const charge = (fill) => {
+    const fee = quote(fill);
+    const key = monthKey(fill.timestamp);
+    monthlyVolume.set(key, (monthlyVolume.get(key) || 0) + fill.price * fill.size);
+    return fee;
+  };
+
+  return { type: spec.type, config: spec, quote, charge };
+};
+
+/**
+ * Parse a commission option sent in a request body: a number, or a model config as an object or JSON string.
+ * Returns `fallback` when the value is missing.
+ */
+const parseCommissionConfig = (value, fallback = 0.001) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error('commission must be a number or a commission model JSON object');
+  }
+};
+
+module.exports = {
+  COMMISSION_TYPES,
+  createCommissionModel,
+  parseCommissionConfig,
+};
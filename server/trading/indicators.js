@@ -0,0 +1,399 @@
+/**
+ * Technical Indicators
+ *
+ * The `ctx.ta` library given to strategies by BacktestEngine and live sessions. Each indicator takes
+ * a series and returns its value on the series' last bar (null while warming up). Results are cached
+ * per backing array (the candles behind a series view), so calling an indicator again on a view of
+ * the same candles grown by a bar only processes that bar, and a shorter view reads the cached values.
+ */
+
+const { unwrapSeries } = require('../utils/series');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMs = (timestamp) => (timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime());
+
+// Start of a timestamp's UTC day
+const utcDayOf = ts => Math.floor(ts / DAY_MS) * DAY_MS;
+
+// Price of a series item: candles use their close, plain number series the number itself
+const priceOf = item => (typeof item === 'number' ? item : item.close);
+
+const trueRange = (candle, prevClose) => (prevClose === null
+  ? candle.high - candle.low
+  : Math.max(candle.high, prevClose) - Math.min(candle.low, prevClose));
+
+// Classic floor pivot levels from a bar's high, low and close, for the bar after it
+const floorPivots = ({ high, low, close }) => {
+  const pivot = (high + low + close) / 3;
+  return {
+    pivot,
+    r1: 2 * pivot - low,
+    s1: 2 * pivot - high,
+    r2: pivot + (high - low),
+    s2: pivot - (high - low),
+    r3: high + 2 * (pivot - low),
+    s3: low - 2 * (high - pivot),
+  };
+};
+
+const checkPeriod = (name, period) => {
+  if (!(Number.isInteger(period) && period > 0)) {
+    throw new Error(`Invalid ${name} period: ${period}`);
+  }
+};
+
+// Rolling window over the last `size` pushed values
+const createWindow = (size) => {
+  const items = [];
+  return {
+    items,
+    push(value) {
+      items.push(value);
+      if (items.length > size) items.shift();
+    },
+    full: () => items.length === size,
+  };
+};
+
+// Exponential moving average of a number stream, seeded with the simple average of the first `period` values
+const createEma = (period) => {
+  const k = 2 / (period + 1);
+  let count = 0;
+  let sum = 0;
+  let ema = null;
+  return (value) => {
+    if (ema === null) {
+      sum += value;
+      count++;
+      if (count === period) ema = sum / period;
+      return ema;
+    }
+    ema += k * (value - ema);
+    return ema;
+  };
+};
+
+// Average of the first `period` values, then Wilder's smoothing
+const createWilder = (period) => {
+  let count = 0;
+  let average = 0;
+  return (value) => {
+    if (count < period) {
+      count++;
+      average += (value - average) / count;
+      return count === period ? average : null;
+    }
+    average = (average * (period - 1) + value) / period;
+    return average;
+  };
+};
+
+/**
+ * Indicator definitions: default parameters, whether the series must hold candles (not plain numbers),
+ * and a factory for a stepper that takes each series item in order and returns the value at that bar.
+ * Factories are called with the parameters and then the library's options (see createIndicators).
+ */
+const INDICATORS = {
+  sma: {
+    defaults: [20],
+    create: (period) => {
+      checkPeriod('sma', period);
+      const window = createWindow(period);
+      let sum = 0;
+      return (item) => {
+        const value = priceOf(item);
+        if (window.full()) sum -= window.items[0];
+        window.push(value);
+        sum += value;
+        return window.full() ? sum / period : null;
+      };
+    },
+  },
+
+  ema: {
+    defaults: [20],
+    create: (period) => {
+      checkPeriod('ema', period);
+      const ema = createEma(period);
+      return item => ema(priceOf(item));
+    },
+  },
+
+  wma: {
+    defaults: [20],
+    create: (period) => {
+      checkPeriod('wma', period);
+      const window = createWindow(period);
+      const weightSum = (period * (period + 1)) / 2;
+      return (item) => {
+        window.push(priceOf(item));
+        if (!window.full()) return null;
+        return window.items.reduce((sum, value, i) => sum + value * (i + 1), 0) / weightSum;
+      };
+    },
+  },
+
+  rsi: {
+    defaults: [14],
+    create: (period) => {
+      checkPeriod('rsi', period);
+      const gains = createWilder(period);
+      const losses = createWilder(period);
+      let prev = null;
+      return (item) => {
+        const value = priceOf(item);
+        if (prev === null) {
+          prev = value;
+          return null;
+        }
+        const change = value - prev;
+        prev = value;
+        const gain = gains(Math.max(change, 0));
+        const loss = losses(Math.max(-change, 0));
+        if (gain === null) return null;
+        if (loss === 0) return gain === 0 ? 50 : 100;
+        return 100 - 100 / (1 + gain / loss);
+      };
+    },
+  },
+
+  macd: {
+    defaults: [12, 26, 9],
+    create: (fast, slow, signal) => {
+      for (const period of [fast, slow, signal]) checkPeriod('macd', period);
+      const fastEma = createEma(fast);
+      const slowEma = createEma(slow);
+      const signalEma = createEma(signal);
+      return (item) => {
+        const value = priceOf(item);
+        const f = fastEma(value);
+        const s = slowEma(value);
+        if (f === null || s === null) return null;
+        const macd = f - s;
+        const line = signalEma(macd);
+        return { macd, signal: line, histogram: line === null ? null : macd - line };
+      };
+    },
+  },
+
+  atr: {
+    defaults: [14],
+    candles: true,
+    create: (period) => {
+      checkPeriod('atr', period);
+      const average = createWilder(period);
+      let prevClose = null;
+      return (candle) => {
+        const range = trueRange(candle, prevClose);
+        prevClose = candle.close;
+        return average(range);
+      };
+    },
+  },
+
+  bbands: {
+    defaults: [20, 2],
+    create: (period, multiplier) => {
+      checkPeriod('bbands', period);
+      const window = createWindow(period);
+      return (item) => {
+        window.push(priceOf(item));
+        if (!window.full()) return null;
+        const middle = window.items.reduce((sum, value) => sum + value, 0) / period;
+        const variance = window.items.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+        const width = multiplier * Math.sqrt(variance);
+        return { upper: middle + width, middle, lower: middle - width };
+      };
+    },
+  },
+
+  stoch: {
+    defaults: [14, 3],
+    candles: true,
+    create: (kPeriod, dPeriod) => {
+      checkPeriod('stoch', kPeriod);
+      checkPeriod('stoch', dPeriod);
+      const candles = createWindow(kPeriod);
+      const ks = createWindow(dPeriod);
+      return (candle) => {
+        candles.push(candle);
+        if (!candles.full()) return null;
+        const highest = Math.max(...candles.items.map(c => c.high));
+        const lowest = Math.min(...candles.items.map(c => c.low));
+        const k = highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+        ks.push(k);
+        return { k, d: ks.full() ? ks.items.reduce((sum, value) => sum + value, 0) / dPeriod : null };
+      };
+    },
+  },
+
+  adx: {
+    defaults: [14],
+    candles: true,
+    create: (period) => {
+      checkPeriod('adx', period);
+      let prev = null;
+      let count = 0;
+      let trSum = 0;
+      let plusSum = 0;
+      let minusSum = 0;
+      const average = createWilder(period);
+      return (candle) => {
+        if (prev === null) {
+          prev = candle;
+          return null;
+        }
+        const up = candle.high - prev.high;
+        const down = prev.low - candle.low;
+        const plusDM = up > down && up > 0 ? up : 0;
+        const minusDM = down > up && down > 0 ? down : 0;
+        const range = trueRange(candle, prev.close);
+        prev = candle;
+
+        // Wilder's running sums of true range and directional movement
+        if (count < period) {
+          count++;
+          trSum += range;
+          plusSum += plusDM;
+          minusSum += minusDM;
+          if (count < period) return null;
+        } else {
+          trSum += range - trSum / period;
+          plusSum += plusDM - plusSum / period;
+          minusSum += minusDM - minusSum / period;
+        }
+        const plusDI = trSum > 0 ? (plusSum / trSum) * 100 : 0;
+        const minusDI = trSum > 0 ? (minusSum / trSum) * 100 : 0;
+        const dx = plusDI + minusDI > 0 ? (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100 : 0;
+        return { adx: average(dx), plusDI, minusDI };
+      };
+    },
+  },
+
+  vwap: {
+    defaults: ['day'],
+    candles: true,
+    create: (reset, { dayOf }) => {
+      if (!['day', 'none'].includes(reset)) throw new Error(`Invalid vwap reset: ${reset}`);
+      let day = null;
+      let value = 0;
+      let volume = 0;
+      return (candle) => {
+        // Restart at each trading day unless anchored to the start of the series
+        const candleDay = dayOf(toMs(candle.timestamp));
+        if (reset === 'day' && candleDay !== day) {
+          day = candleDay;
+          value = 0;
+          volume = 0;
+        }
+        const typical = (candle.high + candle.low + candle.close) / 3;
+        value += typical * (candle.volume || 0);
+        volume += candle.volume || 0;
+        return volume > 0 ? value / volume : null;
+      };
+    },
+  },
+
+  donchian: {
+    defaults: [20],
+    candles: true,
+    create: (period) => {
+      checkPeriod('donchian', period);
+      const window = createWindow(period);
+      return (candle) => {
+        window.push(candle);
+        if (!window.full()) return null;
+        const upper = Math.max(...window.items.map(c => c.high));
+        const lower = Math.min(...window.items.map(c => c.low));
+        return { upper, middle: (upper + lower) / 2, lower };
+      };
+    },
+  },
+
+  pivots: {
+    defaults: [],
+    candles: true,
+    create: () => {
+      let prev = null;
+      return (candle) => {
+        const levels = prev && floorPivots(prev);
+        prev = candle;
+        return levels || null;
+      };
+    },
+  },
+};
+
+/**
+ * Create an indicator library with its own cache, e.g. one per backtest run or live session.
+ * `ta.ema(series, 50)` is the value on the last bar; `ta.ago(1).ema(series, 50)` the value one bar earlier.
+ * Read earlier bars through `ta.ago` rather than a copy such as `series.slice(0, -1)`: a copy is a new
+ * array, computed from its first bar on every call.
+ * `dayOf(ms)` maps a timestamp to the start of its trading day, where a daily vwap restarts (default: UTC days).
+ */
+const createIndicators = ({ dayOf = utcDayOf } = {}) => {
+  const options = { dayOf };
+  // Backing array -> indicator key -> values over its first bars
+  const cache = new WeakMap();
+
+  const compute = (name, input, args, ago) => {
+    const definition = INDICATORS[name];
+    if (!input || typeof input.length !== 'number') {
+      throw new Error(`ta.${name} needs a series of candles`);
+    }
+    // Read series views through their backing array
+    const { source: series, length } = unwrapSeries(input);
+    if (length === 0) return null;
+    const first = series[0];
+    if (definition.candles && typeof first !== 'object') {
+      throw new Error(`ta.${name} needs a series of candles`);
+    }
+
+    const params = definition.defaults.map((value, i) => args[i] ?? value);
+    const key = `${name}(${params.join(',')})`;
+    let entries = cache.get(series);
+    if (!entries) {
+      entries = new Map();
+      cache.set(series, entries);
+    }
+
+    // Values only depend on earlier bars, so views of the same array share them whatever their length.
+    // Start over when the array no longer holds the item last processed (it was changed in place).
+    let entry = entries.get(key);
+    const count = entry ? entry.values.length : 0;
+    if (!entry || (count > 0 && count <= length && series[count - 1] !== entry.last)) {
+      entry = { step: definition.create(...params, options), values: [], last: undefined };
+      entries.set(key, entry);
+    }
+    let last = entry.last;
+    for (let i = entry.values.length; i < length; i++) {
+      last = series[i];
+      entry.values.push(entry.step(last));
+    }
+    entry.last = last;
+
+    const index = length - 1 - ago;
+    return index >= 0 ? entry.values[index] : null;
+  };
+
+  const views = new Map();
+  const view = (ago) => {
+    if (!(Number.isInteger(ago) && ago >= 0)) throw new Error(`Invalid ta.ago bars: ${ago}`);
+    if (!views.has(ago)) {
+      const ta = { ago: view };
+      for (const name of Object.keys(INDICATORS)) {
+        ta[name] = (series, ...args) => compute(name, series, args, ago);
+      }
+      views.set(ago, ta);
+    }
+    return views.get(ago);
+  };
+
+  return view(0);
+};
+
+module.exports = {
+  INDICATORS,
+  createIndicators,
+};
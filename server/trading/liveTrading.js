@@ -6,21 +6,27 @@
 
 const { PaperBroker } = require('../brokers/paper');
 const { MarketSimulator } = require('./marketSimulator');
+const { createIndicators } = require('./indicators');
+const { createSessionClock } = require('./sessions');
+const { createStrategyLog } = require('./strategyLog');
 const vm = require('vm');
 
 // Active trading sessions
 const activeSessions = new Map();
 
 /**
- * Setup live trading session
+ * Setup live trading session.
+ * `brokerOptions` holds the paper account's fee, slippage and margin settings (`commission`, `slippage`,
+ * `maxVolumeShare`, `volumeCapMode`, `leverage`, `initialMargin`, `maintenanceMargin`).
+ * `sessionOptions` holds session definitions and the sessions orders are allowed in (`sessions`, `tradingSessions`).
  */
-async function setupLiveTrading(userId, strategyId, symbol, brokerType, strategy) {
+async function setupLiveTrading(userId, strategyId, symbol, brokerType, strategy, brokerOptions = {}, sessionOptions = {}) {
   const sessionId = `session_${userId}_${Date.now()}`;
 
   // Initialize broker
   let broker;
   if (brokerType === 'paper') {
-    broker = new PaperBroker(10000); // $10,000 starting capital for paper trading
+    broker = new PaperBroker(10000, brokerOptions); // $10,000 starting capital for paper trading
   } else {
     throw new Error('Live broker adapters not yet implemented. Use paper trading.');
   }
@@ -28,6 +34,15 @@ async function setupLiveTrading(userId, strategyId, symbol, brokerType, strategy
   // Initialize market simulator
   const marketSimulator = new MarketSimulator(symbol, 100); // Start at $100
 
+  // Strategy console output is streamed to the session's WebSocket rather than kept
+  const log = createStrategyLog({
+    maxEntries: 0,
+    onEntry: (entry) => {
+      const session = activeSessions.get(sessionId);
+      if (session) sendUpdate(session.ws, { type: 'strategy_log', sessionId, entry });
+    },
+  });
+
   // Create strategy function in sandbox
   const sandbox = {
     module: { exports: {} },
@@ -38,11 +53,11 @@ async function setupLiveTrading(userId, strategyId, symbol, brokerType, strategy
       }
       throw new Error(`Module ${module} is not allowed`);
     },
-    console: { log: () => {}, error: () => {} },
+    console: log.console,
   };
 
   vm.createContext(sandbox);
-  vm.runInContext(strategy.code, sandbox, { timeout: 1000 });
+  vm.runInContext(strategy.code, sandbox, { timeout: 1000, filename: 'strategy.js' });
   const strategyFn = sandbox.module.exports;
 
   // Store session with all necessary data
@@ -56,6 +71,9 @@ async function setupLiveTrading(userId, strategyId, symbol, brokerType, strategy
     strategyFn,
     strategyParams: strategy.params || {},
     state: {},
+    ta: createIndicators(), // ctx.ta, caching indicator values across the session
+    sessionClock: createSessionClock(sessionOptions), // ctx.session and the trading-hours filter
+    log, // Strategy console output and exceptions
     isRunning: false,
     ws: null,
     trades: [], // Track trades for this session
@@ -102,21 +120,50 @@ function startTradingSession(sessionId, ws) {
 
       // Update positions with current price (for unrealized P&L)
       const currentPrice = session.marketSimulator.getCurrentPrice();
-      session.broker.updatePositionPrice(session.symbol, currentPrice);
+      const liquidations = session.broker.updatePositionPrice(session.symbol, currentPrice, candle) || [];
+      for (const order of liquidations) {
+        session.trades.push(order);
+        sendUpdate(ws, {
+          type: 'liquidation',
+          trade: order,
+          accountSummary: await session.broker.getAccountSummary(),
+        });
+      }
 
       // Prepare context for strategy
+      const positions = await session.broker.getPositions();
       const strategyContext = {
         candles: session.candles,
         index: session.candles.length - 1,
         params: session.strategyParams,
         state: session.state,
+        ta: session.ta,
+        session: session.sessionClock.at(candle.timestamp.getTime()),
+        // Chart annotations are only collected by backtests
+        plot: () => {},
+        mark: () => {},
+        position: positions.find(p => p.symbol === session.symbol) || null,
       };
 
-      // Execute strategy
-      const signal = await session.strategyFn(strategyContext);
+      // Execute strategy; its exceptions are reported and the bar is skipped
+      session.log.setBar(strategyContext.index, candle.timestamp);
+      let signal = null;
+      try {
+        signal = await session.strategyFn(strategyContext);
+      } catch (error) {
+        sendUpdate(ws, { type: 'strategy_error', sessionId, error: session.log.recordError(error) });
+      }
 
-      // Process signal
-      if (signal && signal.signal) {
+      // Process signal; orders outside the trading sessions are blocked
+      const blocked = signal && signal.signal && ['BUY', 'SELL'].includes(signal.signal.toUpperCase())
+        && !session.sessionClock.isTradingAllowed(candle.timestamp.getTime());
+      if (blocked) {
+        sendUpdate(ws, {
+          type: 'order_blocked',
+          signal,
+          reason: `Outside trading sessions: ${session.sessionClock.tradingSessions.join(', ')}`,
+        });
+      } else if (signal && signal.signal) {
         const signalType = signal.signal.toUpperCase();
 
         if (signalType === 'BUY' && signal.size) {
@@ -236,6 +283,7 @@ function getActiveSessions(userId) {
         brokerType: session.brokerType,
         isRunning: session.isRunning,
         tradesCount: session.trades.length,
+        errorsCount: session.log.errors.count,
         createdAt: session.createdAt,
       });
     }
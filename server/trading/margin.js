@@ -0,0 +1,48 @@
+/**
+ * Margin Model
+ *
+ * Leverage, initial and maintenance margin shared by BacktestEngine and PaperBroker,
+ * so backtests and paper sessions open and liquidate positions under the same rules
+ */
+
+/**
+ * Resolve margin settings from `leverage`, `initialMargin` and `maintenanceMargin`
+ * (margins are fractions of position notional).
+ * Initial margin defaults to 1 / leverage. Maintenance margin defaults to half the initial
+ * margin for leveraged accounts and to 0 (never liquidate) for fully cash-funded ones.
+ */
+const resolveMarginOptions = (options = {}) => {
+  const leverage = options.leverage ?? 1;
+  if (!(Number.isFinite(leverage) && leverage >= 1)) {
+    throw new Error(`Invalid leverage: ${options.leverage}`);
+  }
+
+  const initialMargin = options.initialMargin ?? 1 / leverage;
+  if (!(Number.isFinite(initialMargin) && initialMargin > 0 && initialMargin <= 1)) {
+    throw new Error(`Invalid initial margin: ${options.initialMargin}`);
+  }
+
+  const maintenanceMargin = options.maintenanceMargin ?? (initialMargin < 1 ? initialMargin / 2 : 0);
+  if (!(Number.isFinite(maintenanceMargin) && maintenanceMargin >= 0 && maintenanceMargin <= initialMargin)) {
+    throw new Error(`Invalid maintenance margin: ${options.maintenanceMargin} (must be between 0 and the initial margin)`);
+  }
+
+  return { leverage: 1 / initialMargin, initialMargin, maintenanceMargin };
+};
+
+/**
+ * Price at which equity falls to the maintenance requirement for a position of `size` units.
+ * `fixedEquity` and `fixedRequirement` are the equity and requirement with this position's
+ * price terms taken out, so equity(p) = fixedEquity + direction * size * p and
+ * requirement(p) = fixedRequirement + maintenanceMargin * size * p.
+ * Returns null when no positive price triggers liquidation.
+ */
+const liquidationPrice = (side, size, fixedEquity, fixedRequirement, maintenanceMargin) => {
+  const direction = side === 'LONG' ? 1 : -1;
+  const denominator = size * (maintenanceMargin - direction);
+  if (denominator === 0) return null;
+  const price = (fixedEquity - fixedRequirement) / denominator;
+  return price > 0 ? price : null;
+};
+
+module.exports = { resolveMarginOptions, liquidationPrice };
@@ -0,0 +1,88 @@
+/**
+ * Trading Sessions
+ *
+ * Named market sessions (Asia, London, New York by default) for `ctx.session`, and the trading-hours
+ * filter that blocks strategy orders outside chosen sessions. Shared by BacktestEngine and live sessions.
+ */
+
+const { getTimeZone, parseTimeOfDay } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Weekday (0 = Sunday) of a day number counted from 1970-01-01
+const weekday = day => (((day + 4) % 7) + 7) % 7;
+
+// Local opening hours of each session, Monday to Friday
+const DEFAULT_SESSIONS = {
+  asia: { timeZone: 'Asia/Tokyo', open: '09:00', close: '18:00' },
+  london: { timeZone: 'Europe/London', open: '08:00', close: '17:00' },
+  newYork: { timeZone: 'America/New_York', open: '08:00', close: '17:00' },
+};
+
+/**
+ * Validate a session definition: `timeZone`, `open` and `close` ("HH:MM" local time; a close before
+ * the open runs past midnight) and `days` (weekdays it opens on, 0 = Sunday; default Monday to Friday)
+ */
+const normalizeSession = (name, spec) => {
+  if (!spec || typeof spec !== 'object') throw new Error(`Invalid session: ${name}`);
+  const days = spec.days ?? WEEKDAYS;
+  if (!Array.isArray(days) || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    throw new Error(`Invalid days for session ${name}`);
+  }
+  return {
+    name,
+    zone: getTimeZone(spec.timeZone),
+    open: parseTimeOfDay(spec.open, `${name} session open`),
+    close: parseTimeOfDay(spec.close, `${name} session close`),
+    days,
+  };
+};
+
+/**
+ * Create a session clock from `sessions` (definitions added to or replacing the defaults) and
+ * `tradingSessions` (names of the sessions strategies may trade in; empty means always):
+ * - `at(ms)`: `{ active, tradingAllowed, <name>: boolean for each session }`, the value of `ctx.session`
+ * - `isTradingAllowed(ms)`: whether any of the trading sessions is open
+ */
+const createSessionClock = ({ sessions = {}, tradingSessions = [] } = {}) => {
+  const definitions = Object.entries({ ...DEFAULT_SESSIONS, ...sessions })
+    .map(([name, spec]) => normalizeSession(name, spec));
+  const names = definitions.map(s => s.name);
+  for (const name of tradingSessions) {
+    if (!names.includes(name)) throw new Error(`Unknown trading session: ${name}`);
+  }
+
+  const isOpen = (session, ms) => {
+    const local = session.zone.toLocal(ms);
+    const day = Math.floor(local / DAY_MS);
+    const time = local - day * DAY_MS;
+    if (session.open <= session.close) {
+      return time >= session.open && time < session.close && session.days.includes(weekday(day));
+    }
+    // Overnight sessions count as opening on the day they start
+    if (time >= session.open) return session.days.includes(weekday(day));
+    return time < session.close && session.days.includes(weekday(day - 1));
+  };
+
+  const trading = definitions.filter(s => tradingSessions.includes(s.name));
+  const isTradingAllowed = ms => trading.length === 0 || trading.some(s => isOpen(s, ms));
+
+  const at = (ms) => {
+    const session = { active: [], tradingAllowed: true };
+    for (const definition of definitions) {
+      const open = isOpen(definition, ms);
+      session[definition.name] = open;
+      if (open) session.active.push(definition.name);
+    }
+    session.tradingAllowed = trading.length === 0 || trading.some(s => session[s.name]);
+    return session;
+  };
+
+  return { names, tradingSessions: [...tradingSessions], at, isTradingAllowed };
+};
+
+module.exports = {
+  DEFAULT_SESSIONS,
+  createSessionClock,
+};
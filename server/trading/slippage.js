@@ -0,0 +1,159 @@
+/**
+ * Slippage Models
+ *
+ * Fill-price models and the bar-volume cap shared by BacktestEngine and PaperBroker
+ */
+
+const SLIPPAGE_TYPES = ['percent', 'ticks', 'range', 'atr', 'sqrtImpact'];
+const VOLUME_CAP_MODES = ['reject', 'partial'];
+
+const isNonNegative = value => Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a slippage config and fill in defaults.
+ * A plain number is a fraction of price (0.0005 = 0.05%), as the `slippage` option always was.
+ */
+const normalizeSlippageConfig = (config) => {
+  const spec = typeof config === 'number' ? { type: 'percent', rate: config } : { ...config };
+  if (!SLIPPAGE_TYPES.includes(spec.type)) {
+    throw new Error(`Invalid slippage model: ${spec.type}`);
+  }
+
+  const invalid = (field) => new Error(`Slippage model ${spec.type} needs a non-negative ${field}`);
+  switch (spec.type) {
+    case 'percent':
+      if (!isNonNegative(spec.rate)) throw invalid('rate');
+      break;
+    case 'ticks':
+      if (!isNonNegative(spec.ticks)) throw invalid('ticks');
+      if (!(Number.isFinite(spec.tickSize) && spec.tickSize > 0)) throw invalid('tickSize');
+      break;
+    case 'range':
+      if (!isNonNegative(spec.fraction)) throw invalid('fraction');
+      break;
+    case 'atr':
+      if (!isNonNegative(spec.fraction)) throw invalid('fraction');
+      spec.period = spec.period ?? 14;
+      if (!(Number.isInteger(spec.period) && spec.period > 0)) throw invalid('integer period');
+      break;
+    case 'sqrtImpact':
+      if (!isNonNegative(spec.coefficient)) throw invalid('coefficient');
+      break;
+    default:
+      break;
+  }
+  return spec;
+};
+
+/**
+ * Create a slippage model. `fillPrice(side, { symbol, price, size, candle })` moves a reference
+ * price against the order (up for BUY, down for SELL) by:
+ * - percent: `rate` of price
+ * - ticks: a fixed spread of `ticks` times `tickSize`
+ * - range: `fraction` of the fill candle's high-low range
+ * - atr: `fraction` of the symbol's ATR over `period` bars (default 14), as of the last `update`
+ * - sqrtImpact: `coefficient * sqrt(size / volume)` of price, using the fill candle's volume
+ *   (an order on a candle without volume is treated as trading the whole bar)
+ * `update(symbol, candle)` feeds each completed candle, for the ATR.
+ */
+const createSlippageModel = (config = 0.0005) => {
+  const spec = normalizeSlippageConfig(config);
+  const atrState = new Map(); // symbol -> { prevClose, atr, count }
+
+  const update = (symbol, candle) => {
+    if (spec.type !== 'atr' || !candle) return;
+    const state = atrState.get(symbol) || { prevClose: null, atr: 0, count: 0 };
+    const trueRange = state.prevClose === null
+      ? candle.high - candle.low
+      : Math.max(candle.high, state.prevClose) - Math.min(candle.low, state.prevClose);
+    // Simple average until `period` bars have been seen, then Wilder's smoothing
+    state.count = Math.min(state.count + 1, spec.period);
+    state.atr += (trueRange - state.atr) / state.count;
+    state.prevClose = candle.close;
+    atrState.set(symbol, state);
+  };
+
+  const offset = ({ symbol, price, size, candle }) => {
+    switch (spec.type) {
+      case 'ticks':
+        return spec.ticks * spec.tickSize;
+      case 'range':
+        return candle ? spec.fraction * (candle.high - candle.low) : 0;
+      case 'atr': {
+        const state = atrState.get(symbol);
+        return state ? spec.fraction * state.atr : 0;
+      }
+      case 'sqrtImpact': {
+        const volume = candle && candle.volume > 0 ? candle.volume : 0;
+        const participation = volume > 0 ? size / volume : 1;
+        return price * spec.coefficient * Math.sqrt(Math.max(0, participation));
+      }
+      default:
+        return price * spec.rate;
+    }
+  };
+
+  const fillPrice = (side, fill) => {
+    const move = offset(fill);
+    return side === 'BUY' ? fill.price + move : Math.max(0, fill.price - move);
+  };
+
+  return { type: spec.type, config: spec, update, fillPrice };
+};
+
+/**
+ * Validate the bar-volume cap: `maxVolumeShare` (0-1] of a candle's volume that orders may trade
+ * on it, and `volumeCapMode` 'reject' (default) or 'partial' for orders larger than what is left.
+ * No `maxVolumeShare` means no cap.
+ */
+const resolveVolumeCap = ({ maxVolumeShare, volumeCapMode } = {}) => {
+  const mode = String(volumeCapMode || 'reject').toLowerCase();
+  if (!VOLUME_CAP_MODES.includes(mode)) {
+    throw new Error(`Invalid volume cap mode: ${volumeCapMode}`);
+  }
+  if (maxVolumeShare === undefined || maxVolumeShare === null) {
+    return { maxVolumeShare: null, volumeCapMode: mode };
+  }
+  if (!(Number.isFinite(maxVolumeShare) && maxVolumeShare > 0 && maxVolumeShare <= 1)) {
+    throw new Error(`Invalid max volume share: ${maxVolumeShare}`);
+  }
+  return { maxVolumeShare, volumeCapMode: mode };
+};
+
+/**
+ * Size an order can fill under the volume cap, given the units already traded on the candle.
+ * Returns `{ size, limited }` where `limited` is null, 'partial' or 'rejected'.
+ */
+const capToVolume = (size, candle, used, { maxVolumeShare, volumeCapMode }) => {
+  if (maxVolumeShare === null) return { size, limited: null };
+  const volume = candle && candle.volume > 0 ? candle.volume : 0;
+  const available = Math.max(0, volume * maxVolumeShare - used);
+  if (size <= available + 1e-12) return { size, limited: null };
+  if (volumeCapMode === 'partial' && available > 0) return { size: available, limited: 'partial' };
+  return { size: 0, limited: 'rejected' };
+};
+
+/**
+ * Parse a slippage option sent in a request body: a number, or a model config as an object or JSON string.
+ * Returns `fallback` when the value is missing.
+ */
+const parseSlippageConfig = (value, fallback = 0.0005) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  const number = Number(value);
+  if (Number.isFinite(number)) return number;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error('slippage must be a number or a slippage model JSON object');
+  }
+};
+
+module.exports = {
+  SLIPPAGE_TYPES,
+  VOLUME_CAP_MODES,
+  createSlippageModel,
+  resolveVolumeCap,
+  capToVolume,
+  parseSlippageConfig,
+};
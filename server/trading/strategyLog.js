@@ -0,0 +1,94 @@
+/**
+ * Strategy Log
+ *
+ * Captures a strategy's `console.log/info/warn/error` output and runtime exceptions, tagged with the
+ * bar they happened on. Used by BacktestEngine, which stores both with the results, and by live
+ * sessions, which stream log entries over the WebSocket.
+ */
+
+const util = require('util');
+
+const MAX_LOG_ENTRIES = 1000;
+const MAX_ENTRIES_PER_BAR = 20;
+const MAX_ERRORS = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+const STACK_LINES = 5;
+
+const LOG_LEVELS = ['log', 'info', 'warn', 'error'];
+
+const truncate = text => (text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text);
+
+// Frames of an error's stack that point into the strategy code (compiled with the filename 'strategy.js')
+const strategyStack = (error) => {
+  if (!error || typeof error.stack !== 'string') return null;
+  const frames = error.stack.split('\n').filter(line => line.includes('strategy.js')).slice(0, STACK_LINES);
+  return frames.length > 0 ? frames.map(line => line.trim()).join('\n') : null;
+};
+
+/**
+ * Create a strategy log. Options:
+ * - `maxEntries`: log entries kept (default 1000); later ones are only counted
+ * - `maxPerBar`: log entries accepted per bar (default 20), so one chatty bar cannot crowd out the rest
+ * - `onEntry(entry)`: called with every accepted entry, e.g. to stream it
+ *
+ * Entries are `{ level, index, timestamp, message }`; errors are `{ index, timestamp, message, stack }`.
+ * `setBar(index, timestamp)` tags what follows with the current bar (null before the first bar).
+ */
+const createStrategyLog = ({ maxEntries = MAX_LOG_ENTRIES, maxPerBar = MAX_ENTRIES_PER_BAR, onEntry } = {}) => {
+  const logs = { count: 0, dropped: 0, items: [] };
+  const errors = { count: 0, items: [] };
+  let index = null;
+  let timestamp = null;
+  let barEntries = 0;
+
+  const setBar = (barIndex, barTimestamp) => {
+    index = barIndex;
+    timestamp = barTimestamp instanceof Date ? barTimestamp.toISOString() : barTimestamp ?? null;
+    barEntries = 0;
+  };
+
+  const write = level => (...args) => {
+    logs.count++;
+    if (barEntries >= maxPerBar) {
+      logs.dropped++;
+      return;
+    }
+    barEntries++;
+    const entry = { level, index, timestamp, message: truncate(util.format(...args)) };
+    if (logs.items.length < maxEntries) logs.items.push(entry);
+    else logs.dropped++;
+    if (onEntry) onEntry(entry);
+  };
+
+  // The `console` given to the strategy sandbox
+  const strategyConsole = {};
+  for (const level of LOG_LEVELS) strategyConsole[level] = write(level);
+
+  /**
+   * Record an exception thrown by the strategy on the current bar, returning its structured entry
+   */
+  const recordError = (error) => {
+    const entry = {
+      index,
+      timestamp,
+      message: truncate(error && error.message !== undefined ? String(error.message) : String(error)),
+      stack: strategyStack(error),
+    };
+    errors.count++;
+    if (errors.items.length < MAX_ERRORS) errors.items.push(entry);
+    return entry;
+  };
+
+  return {
+    console: strategyConsole,
+    setBar,
+    recordError,
+    logs,
+    errors,
+  };
+};
+
+module.exports = {
+  MAX_LOG_ENTRIES,
+  createStrategyLog,
+};
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for Series Helpers
+ */
+
+const util = require('util');
+const { createSeriesView, downsampleIndices } = require('../series');
+
+describe('downsampleIndices', () => {
+  test('should keep every point of a short series', () => {
+    expect(downsampleIndices([1, 2, 3], 10)).toEqual([0, 1, 2]);
+  });
+
+  test('should keep the endpoints and the extremes of a long series', () => {
+    const values = Array.from({ length: 1000 }, (_, i) => Math.sin(i / 10) * 100);
+    values[500] = -1000; // deepest trough
+    values[700] = 1000; // highest peak
+    const indices = downsampleIndices(values, 100);
+
+    expect(indices.length).toBeLessThanOrEqual(100);
+    expect(indices[0]).toBe(0);
+    expect(indices[indices.length - 1]).toBe(999);
+    expect(indices).toEqual(expect.arrayContaining([500, 700]));
+    // Chronological order is preserved
+    expect(indices.every((idx, i) => i === 0 || idx > indices[i - 1])).toBe(true);
+  });
+});
+
+describe('createSeriesView', () => {
+  const source = [{ close: 1 }, { close: 2 }, { close: 3 }, { close: 4 }];
+
+  test('should expose the first items of the source like an array', () => {
+    const view = createSeriesView(source, 3);
+
+    expect(view.length).toBe(3);
+    expect(view[0]).toBe(source[0]);
+    expect(view[3]).toBeUndefined();
+    expect(Array.isArray(view)).toBe(true);
+    expect([...view].map(c => c.close)).toEqual([1, 2, 3]);
+    expect(view.slice(-2).map(c => c.close)).toEqual([2, 3]);
+    expect(view.reduce((sum, c) => sum + c.close, 0)).toBe(6);
+    expect(Object.keys(view)).toEqual(['0', '1', '2']);
+    expect(JSON.stringify(view)).toBe(JSON.stringify(source.slice(0, 3)));
+    expect(util.inspect(view)).toBe(util.inspect(source.slice(0, 3)));
+  });
+
+  test('should reject writes', () => {
+    const view = createSeriesView(source, 2);
+
+    expect(() => { view[0] = null; }).toThrow('read-only');
+    expect(() => view.push({ close: 5 })).toThrow('read-only');
+    expect(() => view.reverse()).toThrow('read-only');
+    expect(source.length).toBe(4);
+    expect(source[0].close).toBe(1);
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Shared request handling for routes that run the backtest engine
+ * (CSV uploads, engine options and mapping uploaded files to timeframes/symbols)
+ */
+
+const multer = require('multer');
+const fs = require('fs');
+const { parseCommissionConfig } = require('../trading/commission');
+const { parseSlippageConfig } = require('../trading/slippage');
+
+// Ensure uploads directory exists
+if (!fs.existsSync('uploads')) {
+  fs.mkdirSync('uploads', { recursive: true });
+}
+
+// Upload limit of files whose candles are all held in memory (10MB default)
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 10;
+// Upload limit of the backtest route, whose files can be aggregated while streaming (1GB default)
+const MAX_STREAM_UPLOAD_MB = parseInt(process.env.MAX_STREAM_UPLOAD_MB, 10) || 1024;
+const CSV_MIME_TYPES = ['text/csv', 'application/gzip', 'application/x-gzip'];
+
+// Configure multer for CSV uploads of up to `maxMb` megabytes
+const createUpload = maxMb => multer({
+  dest: 'uploads/',
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (CSV_MIME_TYPES.includes(file.mimetype) || name.endsWith('.csv') || name.endsWith('.csv.gz')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files (optionally gzip-compressed) are allowed'));
+    }
+  },
+  limits: { fileSize: maxMb * 1024 * 1024 },
+});
+
+const upload = createUpload(MAX_UPLOAD_MB);
+// Only loadCsvFile's streaming path takes files above MAX_UPLOAD_MB
+const streamingUpload = createUpload(MAX_STREAM_UPLOAD_MB);
+
+// Multipart field name of the optional benchmark CSV
+const BENCHMARK_FIELD = 'benchmark';
+
+/**
+ * Error for invalid requests; routes answer it with `status` and the message
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse a list field sent as a JSON array or a comma-separated string
+ */
+function parseList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+  }
+}
+
+// Commission or slippage rate or model config; a malformed value is a bad request
+function parseModelConfig(parse, value) {
+  try {
+    return parse(value);
+  } catch (e) {
+    throw badRequest(e.message);
+  }
+}
+
+// Session definitions sent as a JSON object; a malformed value is a bad request
+function parseSessions(value) {
+  if (!value) return undefined;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw badRequest('sessions must be a JSON object of session definitions');
+  }
+}
+
+/**
+ * Read engine options and the timeframe/symbol mapping from a multipart request body
+ */
+function parseBacktestRequest(body) {
+  const {
+    commission,
+    slippage,
+    maxVolumeShare,
+    volumeCapMode,
+    initialCapital,
+    timeframe,
+    timeframes,
+    primaryTimeframe,
+    timeframeAlignment,
+    timeZone,
+    sessionStart,
+    weekStart,
+    sessions,
+    tradingSessions,
+    dataValidation,
+    intrabarModel,
+    sizingMode,
+    sizingValue,
+    pyramiding,
+    lotAccounting,
+    borrowRate,
+    swapLong,
+    swapShort,
+    rolloverTime,
+    tripleSwapDay,
+    leverage,
+    initialMargin,
+    maintenanceMargin,
+    symbols,
+  } = body;
+
+  // Parse timeframes: support `timeframes` (JSON array or comma-separated) or legacy `timeframe`
+  let tfs = [];
+  if (timeframes) {
+    tfs = parseList(timeframes);
+  } else if (timeframe) {
+    tfs = typeof timeframe === 'string' && timeframe.includes(',') ? timeframe.split(',').map(s => s.trim()) : [timeframe];
+  }
+
+  // Parse symbols: one per uploaded file. More than one distinct symbol runs a shared-capital portfolio backtest
+  const syms = parseList(symbols);
+  const distinctSymbols = Array.from(new Set(syms));
+  const isPortfolio = distinctSymbols.length > 1;
+
+  const engineOptions = {
+    commission: parseModelConfig(parseCommissionConfig, commission),
+    slippage: parseModelConfig(parseSlippageConfig, slippage),
+    maxVolumeShare: maxVolumeShare !== undefined && maxVolumeShare !== '' ? parseFloat(maxVolumeShare) : undefined,
+    volumeCapMode: volumeCapMode || 'reject',
+    initialCapital: parseFloat(initialCapital) || 10000,
+    timeframes: tfs.length > 0 ? tfs : ['1h'],
+    primaryTimeframe: primaryTimeframe || undefined,
+    timeframeAlignment: timeframeAlignment || 'open',
+    timeZone: timeZone || undefined,
+    sessionStart: sessionStart || undefined,
+    weekStart: weekStart !== undefined && weekStart !== '' ? parseInt(weekStart) : undefined,
+    sessions: parseSessions(sessions),
+    tradingSessions: parseList(tradingSessions),
+    dataValidation: dataValidation || 'report',
+    intrabarModel: intrabarModel || 'WORST',
+    sizingMode: sizingMode || 'signal',
+    sizingValue: sizingValue !== undefined ? parseFloat(sizingValue) : undefined,
+    pyramiding: parseInt(pyramiding) || 1,
+    lotAccounting: lotAccounting || 'FIFO',
+    borrowRate: parseFloat(borrowRate) || 0,
+    swapLong: parseFloat(swapLong) || 0,
+    swapShort: parseFloat(swapShort) || 0,
+    rolloverTime: rolloverTime || '00:00',
+    tripleSwapDay: tripleSwapDay !== undefined && tripleSwapDay !== '' ? parseInt(tripleSwapDay) : null,
+    leverage: leverage !== undefined ? parseFloat(leverage) : undefined,
+    initialMargin: initialMargin !== undefined ? parseFloat(initialMargin) : undefined,
+    maintenanceMargin: maintenanceMargin !== undefined ? parseFloat(maintenanceMargin) : undefined,
+    symbol: distinctSymbols.length === 1 ? distinctSymbols[0] : undefined,
+  };
+
+  return { engineOptions, tfs, syms, distinctSymbols, isPortfolio };
+}
+
+// Uploaded files, excluding the optional `benchmark` file
+function dataFiles(req) {
+  const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+  return uploadedFiles.filter(f => f.fieldname !== BENCHMARK_FIELD);
+}
+
+/**
+ * Stream an uploaded CSV into candles. A file that is a symbol's whole raw series (`series`) goes
+ * through engine.loadSeries, which aggregates it while reading when a primary timeframe is set.
+ * Any other file is read into memory, so it may not exceed MAX_UPLOAD_MB.
+ * Each file's data quality report is added to `req.dataQuality`.
+ */
+async function loadCsvFile(engine, req, f, { series = false } = {}) {
+  const streamed = series && engine.primaryTimeframe;
+  if (!streamed && f.size > MAX_UPLOAD_MB * 1024 * 1024) {
+    throw badRequest(`Uploaded file ${f.originalname} is over ${MAX_UPLOAD_MB}MB; `
+      + 'larger files need a primaryTimeframe to be aggregated while streaming');
+  }
+
+  let loaded;
+  try {
+    loaded = await engine.loadCsv(f.path, { series });
+  } catch (e) {
+    const error = badRequest(e.report
+      ? `Rejected uploaded file ${f.originalname}: ${e.message}`
+      : `Could not read uploaded file ${f.originalname}: ${e.message}`);
+    if (e.report) error.report = { file: f.originalname, ...e.report };
+    throw error;
+  }
+  req.dataQuality = req.dataQuality || [];
+  req.dataQuality.push({ file: f.originalname, ...loaded.report });
+
+  const candles = Array.isArray(loaded.data) ? loaded.data : loaded.data[engine.primaryTimeframe];
+  if (!candles || candles.length === 0) {
+    throw badRequest(`No valid data found in uploaded file: ${f.originalname}`);
+  }
+  return loaded.data;
+}
+
+/**
+ * Load the request's CSV data for the engine.
+ * Supports a single CSV (legacy), multiple CSVs mapped to timeframes, or CSVs mapped to symbols for portfolio runs.
+ */
+async function loadBacktestData(engine, req, { tfs, syms, distinctSymbols, isPortfolio }) {
+  const uploadedFiles = dataFiles(req);
+  const loadFile = f => loadCsvFile(engine, req, f);
+  const loadSeriesFile = f => loadCsvFile(engine, req, f, { series: true });
+
+  if (syms.length > 0 && uploadedFiles.length !== syms.length) {
+    throw badRequest(`Uploaded ${uploadedFiles.length} files but ${syms.length} symbols provided`);
+  }
+
+  if (isPortfolio) {
+    // Files map to symbols by order. A symbol listed once gets a raw series aggregated into `timeframes`;
+    // a symbol listed several times maps its files to `timeframes` by order (one timeframe per file).
+    const repeated = syms.length !== distinctSymbols.length;
+    if (repeated && tfs.length !== uploadedFiles.length) {
+      throw badRequest('When a symbol has several files, provide one timeframe per file in `timeframes`.');
+    }
+
+    const dataBySymbol = {};
+    for (let i = 0; i < uploadedFiles.length; i++) {
+      const loaded = repeated ? await loadFile(uploadedFiles[i]) : await loadSeriesFile(uploadedFiles[i]);
+      if (repeated) {
+        dataBySymbol[syms[i]] = dataBySymbol[syms[i]] || {};
+        dataBySymbol[syms[i]][tfs[i]] = loaded;
+      } else {
+        dataBySymbol[syms[i]] = loaded;
+      }
+    }
+    return dataBySymbol;
+  }
+
+  if (uploadedFiles.length > 1) {
+    // Expect one file per timeframe
+    if (tfs.length === 0) {
+      throw badRequest('When uploading multiple files, please provide `timeframes` to map them.');
+    }
+    if (uploadedFiles.length !== tfs.length) {
+      throw badRequest(`Uploaded ${uploadedFiles.length} files but ${tfs.length} timeframes provided`);
+    }
+
+    // Load each file and map to timeframe by order
+    const dataByTf = {};
+    for (let i = 0; i < tfs.length; i++) {
+      dataByTf[tfs[i]] = await loadFile(uploadedFiles[i]);
+    }
+    return dataByTf;
+  }
+
+  if (uploadedFiles.length === 1) {
+    // Single uploaded file
+    return loadSeriesFile(uploadedFiles[0]);
+  }
+
+  if (req.body.dataFile) {
+    // Existing stored file path (legacy)
+    return loadCsvFile(engine, req, { path: req.body.dataFile, originalname: req.body.dataFile }, { series: true });
+  }
+
+  throw badRequest('Data file is required');
+}
+
+/**
+ * Candles of the optional benchmark CSV (uploaded as the `benchmark` field), or undefined
+ */
+async function loadBenchmarkData(engine, req) {
+  const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+  const file = uploadedFiles.find(f => f.fieldname === BENCHMARK_FIELD);
+  return file ? loadCsvFile(engine, req, file) : undefined;
+}
+
+/**
+ * Delete uploaded files once they have been loaded (or will not be)
+ */
+async function removeUploads(files) {
+  const uploadedFiles = Array.isArray(files) ? files : [];
+  await Promise.all(uploadedFiles.map(f => fs.promises.unlink(f.path).catch(() => {})));
+}
+
+/**
+ * Names of the request's data files, for storing with the results
+ */
+function describeDataFiles(req) {
+  const uploadedFiles = dataFiles(req);
+  return uploadedFiles.length > 0
+    ? uploadedFiles.map(f => f.originalname).join(',')
+    : (req.body.dataFile || '');
+}
+
+module.exports = {
+  upload,
+  streamingUpload,
+  badRequest,
+  parseList,
+  parseBacktestRequest,
+  loadBacktestData,
+  loadBenchmarkData,
+  removeUploads,
+  describeDataFiles,
+};
@@ -0,0 +1,22 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ *
+ * Used wherever sampled results must be reproducible from a stored seed
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a seed for a new sampled run
+ */
+const newSeed = () => Math.floor(Math.random() * 4294967296);
+
+module.exports = { createRandom, newSeed };
@@ -0,0 +1,104 @@
+/**
+ * Helpers for exposing and storing long per-bar series
+ */
+
+const util = require('util');
+
+// Canonical array index from a property key, or -1
+const toIndex = (prop) => {
+  if (typeof prop !== 'string' || prop.length === 0) return -1;
+  const code = prop.charCodeAt(0);
+  if (code < 48 || code > 57) return -1; // Method names and symbols skip the number parse
+  const index = Number(prop);
+  return Number.isInteger(index) && String(index) === prop ? index : -1;
+};
+
+// Key under which a view exposes `{ source, length }` to trusted code such as ctx.ta
+const VIEW_SOURCE = Symbol('seriesViewSource');
+
+const readOnly = () => {
+  throw new TypeError('Series views are read-only');
+};
+
+/**
+ * Read-only view of the first `length` items of `source`, without copying them.
+ * It behaves like an array for strategies: `length`, index access, iteration, `Array.isArray`
+ * and the non-mutating array methods (`slice`, `map`, `reduce`, ...), which return plain arrays.
+ * Writes throw. Items past `length` are invisible, so a view of the candles so far cannot look ahead.
+ */
+const createSeriesView = (source, length = source.length) => {
+  const size = Math.max(0, Math.min(length, source.length));
+  const window = { source, length: size };
+  // util.inspect (and so console.log) reads a proxy's target, not its traps: print the visible items instead
+  const target = [];
+  Object.defineProperty(target, util.inspect.custom, {
+    value: (depth, options, inspect) => inspect(source.slice(0, size), { ...options, depth }),
+    configurable: true,
+  });
+  return new Proxy(target, {
+    get(target, prop, receiver) {
+      if (prop === 'length') return size;
+      if (prop === VIEW_SOURCE) return window;
+      const index = toIndex(prop);
+      if (index !== -1) return index < size ? source[index] : undefined;
+      return Reflect.get(target, prop, receiver);
+    },
+    has(target, prop) {
+      const index = toIndex(prop);
+      return index !== -1 ? index < size : Reflect.has(target, prop);
+    },
+    ownKeys() {
+      const keys = [];
+      for (let i = 0; i < size; i++) keys.push(String(i));
+      keys.push('length');
+      return keys;
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      if (prop === 'length') return { value: size, writable: true, enumerable: false, configurable: false };
+      const index = toIndex(prop);
+      if (index !== -1 && index < size) {
+        return { value: source[index], writable: false, enumerable: true, configurable: true };
+      }
+      return undefined;
+    },
+    set: readOnly,
+    defineProperty: readOnly,
+    deleteProperty: readOnly,
+    setPrototypeOf: readOnly,
+  });
+};
+
+/**
+ * Indices of at most `maxPoints` points that keep the shape of a series:
+ * the first and last points plus the lowest and highest value of each bucket,
+ * so peaks and troughs (and therefore drawdowns) survive downsampling
+ */
+const downsampleIndices = (values, maxPoints) => {
+  const n = values.length;
+  if (n <= maxPoints) return values.map((_, i) => i);
+
+  const buckets = Math.max(1, Math.floor((maxPoints - 2) / 2));
+  const size = (n - 2) / buckets;
+  const indices = [0];
+  for (let b = 0; b < buckets; b++) {
+    const start = 1 + Math.floor(b * size);
+    const end = 1 + Math.floor((b + 1) * size);
+    let lo = start;
+    let hi = start;
+    for (let i = start; i < end; i++) {
+      if (values[i] < values[lo]) lo = i;
+      if (values[i] > values[hi]) hi = i;
+    }
+    indices.push(Math.min(lo, hi));
+    if (hi !== lo) indices.push(Math.max(lo, hi));
+  }
+  indices.push(n - 1);
+  return indices;
+};
+
+/**
+ * The backing array and length of a series view, or of a plain array, for reading it without proxy traps
+ */
+const unwrapSeries = series => series[VIEW_SOURCE] || { source: series, length: series.length };
+
+module.exports = { createSeriesView, unwrapSeries, downsampleIndices };
@@ -0,0 +1,107 @@
+/**
+ * Time Zones
+ *
+ * Converts between epoch milliseconds and wall-clock time in an IANA time zone (e.g. 'America/New_York'),
+ * following its daylight saving changes. Wall-clock time is represented as "local ms": the epoch ms the
+ * same date and time would have in UTC, so `new Date(local).getUTCHours()` is the local hour.
+ */
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const zones = new Map();
+
+/**
+ * Validate a time zone name, returning it (UTC when empty)
+ */
+const resolveTimeZone = (timeZone) => {
+  const name = timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+  } catch (e) {
+    throw new Error(`Invalid time zone: ${timeZone}`);
+  }
+  return name;
+};
+
+/**
+ * Time zone converter, shared per zone name:
+ * - `offset(ms)`: the zone's UTC offset in ms at an instant
+ * - `toLocal(ms)`: wall-clock time at an instant, as local ms
+ * - `fromLocal(local)`: the instant a wall-clock time occurs (a time skipped by a DST change resolves next to the gap)
+ */
+const getTimeZone = (timeZone) => {
+  const name = resolveTimeZone(timeZone);
+  if (zones.has(name)) return zones.get(name);
+
+  let zone;
+  if (name === 'UTC') {
+    zone = { name, offset: () => 0, toLocal: ms => ms, fromLocal: local => local };
+  } else {
+    const format = new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    const exactOffset = (ms) => {
+      const parts = {};
+      for (const { type, value } of format.formatToParts(new Date(ms))) parts[type] = value;
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+    };
+    // Offsets are cached per UTC day; on a day with a DST change, per quarter hour (changes fall on those)
+    const dayOffsets = new Map();
+    const quarterOffsets = new Map();
+    const offset = (ms) => {
+      const day = Math.floor(ms / DAY_MS);
+      let value = dayOffsets.get(day);
+      if (value === undefined) {
+        const start = exactOffset(day * DAY_MS);
+        value = start === exactOffset((day + 1) * DAY_MS) ? start : null;
+        dayOffsets.set(day, value);
+      }
+      if (value !== null) return value;
+
+      const quarter = Math.floor(ms / QUARTER_HOUR_MS);
+      value = quarterOffsets.get(quarter);
+      if (value === undefined) {
+        value = exactOffset(quarter * QUARTER_HOUR_MS);
+        quarterOffsets.set(quarter, value);
+      }
+      return value;
+    };
+    zone = {
+      name,
+      offset,
+      toLocal: ms => ms + offset(ms),
+      fromLocal: (local) => {
+        const guess = local - offset(local);
+        return local - offset(guess);
+      },
+    };
+  }
+  zones.set(name, zone);
+  return zone;
+};
+
+/**
+ * Parse a "HH:MM" time of day into ms after midnight
+ */
+const parseTimeOfDay = (value, label = 'time of day') => {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59
+    || (parseInt(match[1], 10) === 24 && parseInt(match[2], 10) > 0)) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 60 * 1000;
+};
+
+module.exports = {
+  resolveTimeZone,
+  getTimeZone,
+  parseTimeOfDay,
+};
@@ -4,6 +4,7 @@
 
 const WebSocket = require('ws');
 const { getSession, startTradingSession, stopTradingSession } = require('../trading/liveTrading');
+const { getBacktestQueue } = require('../backtest/jobQueue');
 
 let wss;
 
@@ -27,6 +28,24 @@ function setupWebSocket(server) {
             ws.send(JSON.stringify({ type: 'subscribed', sessionId: data.sessionId }));
             break;
           
+          case 'subscribe_job': {
+            // Backtest job progress; job ids are random UUIDs only handed to the user who queued the job
+            const job = data.jobId && getBacktestQueue().get(data.jobId);
+            if (!job) {
+              ws.send(JSON.stringify({ type: 'error', message: 'Job not found' }));
+              break;
+            }
+            ws.jobIds = ws.jobIds || new Set();
+            ws.jobIds.add(job.id);
+            ws.send(JSON.stringify({ type: 'job_status', job }));
+            break;
+          }
+
+          case 'unsubscribe_job':
+            if (ws.jobIds) ws.jobIds.delete(data.jobId);
+            ws.send(JSON.stringify({ type: 'unsubscribed', jobId: data.jobId }));
+            break;
+
           case 'unsubscribe':
             if (ws.sessionId) {
               stopTradingSession(ws.sessionId);
@@ -58,6 +77,18 @@ function setupWebSocket(server) {
     ws.send(JSON.stringify({ type: 'connected', message: 'WebSocket connected' }));
   });
 
+  // Forward backtest job updates to the clients subscribed to each job
+  const queue = getBacktestQueue();
+  const sendJobUpdate = type => (job) => {
+    wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN && client.jobIds && client.jobIds.has(job.id)) {
+        client.send(JSON.stringify({ type, job }));
+      }
+    });
+  };
+  queue.on('progress', sendJobUpdate('job_progress'));
+  queue.on('status', sendJobUpdate('job_status'));
+
   console.log('WebSocket server initialized');
 }
 